@@ -0,0 +1,130 @@
+/**
+ * LZW Benchmark
+ * Compares GIFEncoder.lzwEncode with the previous string-keyed implementation
+ * on frame-sized index buffers and checks that both produce identical bytes.
+ *
+ * Usage: node benchmarks/gif-lzw.js [iterations]
+ */
+
+var GIFEncoder = require('../core/gif-encoder.js');
+
+// Previous implementation: string dictionary keys, plain array output
+function legacyLzwEncode(pixels) {
+  var data = [];
+  var clearCode = 256;
+  var eoiCode = 257;
+  var codeSize = 9;
+  var nextCode = 258;
+  var dict = {};
+  var buffer = 0;
+  var bufferLen = 0;
+  var output = [];
+
+  var emit = function(code) {
+    buffer |= code << bufferLen;
+    bufferLen += codeSize;
+    while (bufferLen >= 8) {
+      output.push(buffer & 0xFF);
+      buffer >>= 8;
+      bufferLen -= 8;
+    }
+  };
+
+  emit(clearCode);
+  var prev = pixels[0];
+
+  for (var i = 1; i < pixels.length; i++) {
+    var curr = pixels[i];
+    var key = prev + ',' + curr;
+
+    if (dict[key] !== undefined) {
+      prev = dict[key];
+    } else {
+      emit(prev);
+      if (nextCode < 4096) {
+        dict[key] = nextCode++;
+        if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+      } else {
+        emit(clearCode);
+        dict = {};
+        codeSize = 9;
+        nextCode = 258;
+      }
+      prev = curr;
+    }
+  }
+
+  emit(prev);
+  emit(eoiCode);
+  if (bufferLen > 0) output.push(buffer & 0xFF);
+
+  for (var i = 0; i < output.length; i += 255) {
+    var chunk = output.slice(i, Math.min(i + 255, output.length));
+    data.push(chunk.length);
+    for (var j = 0; j < chunk.length; j++) data.push(chunk[j]);
+  }
+  return new Uint8Array(data);
+}
+
+function currentLzwEncode(pixels) {
+  var encoder = new GIFEncoder(1, 1);
+  encoder.lzwEncode(pixels);
+  return encoder.data.slice(0, encoder.length);
+}
+
+// Chart-like frame: flat background, bars, and noisy "text" rows
+function makeFrame(width, height, seed) {
+  var pixels = new Uint8Array(width * height);
+  var rand = seed;
+  for (var y = 0; y < height; y++) {
+    for (var x = 0; x < width; x++) {
+      var i = y * width + x;
+      var bar = Math.floor(x / (width / 8));
+      if (y > height * 0.2 && y < height * 0.8 && x % (width / 8) > 20 &&
+          height * 0.8 - y < (bar + 1) * height * 0.07) {
+        pixels[i] = 10 + bar;
+      } else if (y % 60 < 14 && x > width * 0.1 && x < width * 0.9) {
+        rand = (rand * 1103515245 + 12345) & 0x7FFFFFFF;
+        pixels[i] = 100 + (rand >> 16) % 40; // Anti-aliased text edges
+      } else {
+        pixels[i] = 1;
+      }
+    }
+  }
+  return pixels;
+}
+
+function bench(name, fn, pixels, iterations) {
+  if (global.gc) global.gc();
+  var heapBefore = process.memoryUsage().heapUsed;
+  var start = process.hrtime.bigint();
+  var out;
+  for (var i = 0; i < iterations; i++) out = fn(pixels);
+  var ms = Number(process.hrtime.bigint() - start) / 1e6 / iterations;
+  var heapMb = (process.memoryUsage().heapUsed - heapBefore) / (1024 * 1024);
+  console.log('  ' + name + ': ' + ms.toFixed(1) + ' ms/frame, heap +' + heapMb.toFixed(1) + ' MB');
+  return { ms: ms, out: out };
+}
+
+var iterations = parseInt(process.argv[2], 10) || 3;
+var sizes = [
+  { name: 'landscape 900x600', width: 900, height: 600 },
+  { name: 'square 1080x1080', width: 1080, height: 1080 },
+  { name: 'story 1080x1920', width: 1080, height: 1920 }
+];
+
+var failed = false;
+sizes.forEach(function(size) {
+  var pixels = makeFrame(size.width, size.height, 42);
+  console.log(size.name);
+  var legacy = bench('string keys', legacyLzwEncode, pixels, iterations);
+  var current = bench('typed arrays', currentLzwEncode, pixels, iterations);
+
+  var same = legacy.out.length === current.out.length &&
+    legacy.out.every(function(b, i) { return b === current.out[i]; });
+  if (!same) failed = true;
+  console.log('  speedup: ' + (legacy.ms / current.ms).toFixed(1) + 'x, output ' +
+    (same ? 'identical' : 'DIFFERS') + ' (' + current.out.length + ' bytes)');
+});
+
+if (failed) process.exit(1);
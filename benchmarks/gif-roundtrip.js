@@ -0,0 +1,138 @@
+/**
+ * GIF Round-Trip Check
+ * Encodes a chart-like animation with GIFEncoder, decodes it with
+ * GIFDecoder and checks that every composited frame has the source pixels
+ * and that the delays add up to the centisecond-rounded timeline. Runs the
+ * delta/collapse modes and the global palette, and prints timings.
+ *
+ * Frames use a dozen flat colors, so the palette is exact and any pixel
+ * difference is an encoder or decoder bug rather than quantization.
+ *
+ * Usage: node benchmarks/gif-roundtrip.js [width] [height]
+ */
+
+var GIFEncoder = require('../core/gif-encoder.js');
+var GIFDecoder = require('../core/gif-decoder.js');
+
+var COLORS = [
+  [13, 17, 23], [230, 237, 243], [139, 148, 158], [48, 54, 61],
+  [88, 166, 255], [63, 185, 80], [163, 113, 247], [247, 129, 102],
+  [210, 153, 34], [121, 192, 255], [126, 231, 135], [255, 123, 114]
+];
+
+// Bars growing with progress over a grid, plus a "label" block per bar
+// that appears once the bar is half grown
+function makeFrame(width, height, progress) {
+  var data = new Uint8ClampedArray(width * height * 4);
+  var bars = 6;
+  var barWidth = Math.floor(width / (bars * 2));
+  var base = Math.floor(height * 0.85);
+
+  for (var y = 0; y < height; y++) {
+    for (var x = 0; x < width; x++) {
+      var color = y % 40 === 0 ? 3 : 0;
+      var bar = Math.floor(x / (barWidth * 2));
+      if (bar < bars && x % (barWidth * 2) >= barWidth / 2 && x % (barWidth * 2) < barWidth * 1.5) {
+        var top = base - Math.round(progress * (bar + 1) / bars * height * 0.7);
+        if (y >= top && y < base) color = 4 + bar;
+        else if (progress > 0.5 && y >= top - 14 && y < top - 4) color = 1;
+      }
+      if (y >= base && y < base + 2) color = 2;
+      var p = (y * width + x) * 4;
+      data[p] = COLORS[color][0];
+      data[p + 1] = COLORS[color][1];
+      data[p + 2] = COLORS[color][2];
+      data[p + 3] = 255;
+    }
+  }
+  return { width: width, height: height, data: data };
+}
+
+// The default page timeline: 45 ms animation frames, then a 65 ms hold
+function makeTimeline(width, height) {
+  var totalFrames = 30;
+  var holdFrames = 20;
+  var frames = [];
+  for (var i = 0; i <= totalFrames; i++) frames.push({ image: makeFrame(width, height, i / totalFrames), delay: 45 });
+  var last = frames[frames.length - 1].image;
+  for (var k = 0; k < holdFrames; k++) frames.push({ image: last, delay: 65 });
+  return frames;
+}
+
+function samePixels(a, b) {
+  if (a.length !== b.length) return false;
+  for (var i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Encode and decode one mode
+ * @returns {string[]} Problems found (empty when the round trip is exact)
+ */
+function roundTrip(name, frames, width, height, options) {
+  var problems = [];
+  var start = process.hrtime.bigint();
+  var encoder = new GIFEncoder(width, height, options);
+  if (options.palette === 'global') encoder.sampleFrame(frames[frames.length - 1].image);
+  encoder.start();
+  frames.forEach(function(frame) { encoder.addFrame(frame.image, frame.delay); });
+  encoder.writeByte(0x3B); // Trailer (finish() wraps the bytes in a Blob)
+  var bytes = encoder.data.slice(0, encoder.length);
+  var encodeMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  start = process.hrtime.bigint();
+  var decoded = new GIFDecoder(bytes).decodeFrames();
+  var decodeMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  // Expected output: identical consecutive frames merge when collapsing,
+  // and each frame's end time is rounded to centiseconds
+  var expected = [];
+  var elapsed = 0;
+  frames.forEach(function(frame, i) {
+    var delay = Math.round((elapsed + frame.delay) / 10) * 10 - Math.round(elapsed / 10) * 10;
+    elapsed += frame.delay;
+    var previous = expected[expected.length - 1];
+    if (options.collapse !== false && previous && frames[i - 1].image === frame.image) previous.delay += delay;
+    else expected.push({ image: frame.image, delay: delay });
+  });
+
+  if (decoded.length !== expected.length) {
+    problems.push('expected ' + expected.length + ' frames, decoded ' + decoded.length);
+  }
+  for (var i = 0; i < Math.min(decoded.length, expected.length); i++) {
+    if (!samePixels(decoded[i].data, expected[i].image.data)) problems.push('frame ' + i + ' pixels differ');
+    if (decoded[i].delay !== expected[i].delay) {
+      problems.push('frame ' + i + ' delay ' + decoded[i].delay + ' ms, expected ' + expected[i].delay + ' ms');
+    }
+  }
+  var total = decoded.reduce(function(sum, frame) { return sum + frame.delay; }, 0);
+  if (Math.abs(total - elapsed) > 5) problems.push('duration ' + total + ' ms, timeline ' + elapsed + ' ms');
+
+  console.log('  ' + name + ': ' + decoded.length + ' frames, ' + Math.round(bytes.length / 1024) + ' KB, encode ' +
+    encodeMs.toFixed(0) + ' ms, decode ' + decodeMs.toFixed(0) + ' ms, ' + total + ' ms of ' + elapsed + ' ms, ' +
+    (problems.length ? 'FAILED' : 'exact'));
+  problems.forEach(function(problem) { console.log('    ' + problem); });
+  return problems;
+}
+
+var width = parseInt(process.argv[2], 10) || 300;
+var height = parseInt(process.argv[3], 10) || 200;
+var frames = makeTimeline(width, height);
+console.log(width + 'x' + height + ', ' + frames.length + ' frames');
+
+var modes = [
+  { name: 'delta + collapse', options: {} },
+  { name: 'delta only', options: { collapse: false } },
+  { name: 'collapse only', options: { delta: false } },
+  { name: 'full frames', options: { delta: false, collapse: false } },
+  { name: 'global palette', options: { palette: 'global' } }
+];
+
+var failed = false;
+modes.forEach(function(mode) {
+  if (roundTrip(mode.name, frames, width, height, mode.options).length) failed = true;
+});
+
+if (failed) process.exit(1);
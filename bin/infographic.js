@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+/**
+ * infographic CLI
+ * Renders a JSON chart spec (see core/chart-spec.js) to an animated GIF,
+ * an MP4 video or the self-contained HTML page, without a browser.
+ *
+ * Usage:
+ *   node bin/infographic.js render spec.json --format gif --size twitter --style dark -o out.gif
+ *   node bin/infographic.js render spec.json --watch
+ *   node bin/infographic.js validate spec.json
+ *   node bin/infographic.js schema > chart-spec.schema.json
+ *
+ * MP4 output pipes raw frames to ffmpeg, which must be on the PATH.
+ * Exit codes: 0 success, 1 render error, 2 usage error.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var childProcess = require('child_process');
+var ChartSpec = require('../core/chart-spec.js');
+var SpecRenderer = require('../core/spec-renderer.js');
+var AnimationTimeline = require('../core/animation-timeline.js');
+
+var FORMATS = ['gif', 'mp4', 'html'];
+
+var USAGE = [
+  'Usage: infographic render <spec.json> [options]',
+  '       infographic validate <spec.json>',
+  '       infographic schema',
+  '',
+  'Render options:',
+  '  -f, --format <gif|mp4|html>  Output format (default: from -o, else gif)',
+  '  -s, --size <name|WxH>        Canvas size: square, squareLarge, landscape,',
+  '                               landscapeWide, twitter, story or e.g. 1200x628',
+  '      --style <name>           dark, light, vibrant, corporate or minimal',
+  '  -o, --output <file>          Output file (default: spec name + format)',
+  '  -w, --watch                  Re-render whenever the spec changes',
+  '  -h, --help                   Show this help'
+].join('\n');
+
+function usageError(message) {
+  console.error('infographic: ' + message + '\n\n' + USAGE);
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  var args = { positional: [] };
+  var flags = {
+    '-f': 'format', '--format': 'format',
+    '-s': 'size', '--size': 'size',
+    '--style': 'style',
+    '-o': 'output', '--output': 'output'
+  };
+
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    var eq = arg.indexOf('=');
+    var name = arg.charAt(0) === '-' && eq > 0 ? arg.slice(0, eq) : arg;
+
+    if (name === '-h' || name === '--help') {
+      args.help = true;
+    } else if (name === '-w' || name === '--watch') {
+      args.watch = true;
+    } else if (flags[name]) {
+      var value = eq > 0 && name !== arg ? arg.slice(eq + 1) : argv[++i];
+      if (value === undefined) usageError('missing value for ' + name);
+      args[flags[name]] = value;
+    } else if (arg.charAt(0) === '-' && arg !== '-') {
+      usageError('unknown option ' + arg);
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+}
+
+/**
+ * Pipe raw RGBA frames of the video timeline to ffmpeg (H.264, yuv420p)
+ */
+function writeMP4(job, output) {
+  var fps = job.animation.videoFps;
+  var progresses = new AnimationTimeline(job.animation).videoFrames(fps).map(function(frame) { return frame.progress; });
+
+  return new Promise(function(resolve, reject) {
+    var ffmpeg = childProcess.spawn('ffmpeg', [
+      '-y', '-loglevel', 'error',
+      '-f', 'rawvideo', '-pix_fmt', 'rgba', '-s', job.width + 'x' + job.height, '-r', String(fps), '-i', '-',
+      // H.264 with 4:2:0 chroma needs even dimensions: drop an odd edge pixel
+      '-vf', 'crop=trunc(iw/2)*2:trunc(ih/2)*2:0:0',
+      '-pix_fmt', 'yuv420p', '-c:v', 'libx264', '-movflags', '+faststart',
+      output
+    ], { stdio: ['pipe', 'ignore', 'pipe'] });
+
+    var stderr = '';
+    ffmpeg.stderr.on('data', function(chunk) { stderr += chunk; });
+    ffmpeg.on('error', function(err) {
+      reject(err.code === 'ENOENT' ?
+        new Error('ffmpeg not found on PATH; install it, or use --format html and the page\'s Download MP4 button') :
+        err);
+    });
+    ffmpeg.on('close', function(code) {
+      if (code === 0) resolve();
+      else reject(new Error('ffmpeg exited with code ' + code + (stderr ? ':\n' + stderr.trim() : '')));
+    });
+    // ffmpeg exiting early surfaces through 'close'
+    ffmpeg.stdin.on('error', function() {});
+
+    var draw;
+    try {
+      draw = SpecRenderer.createFrameRenderer(job);
+    } catch (err) {
+      ffmpeg.kill();
+      reject(err);
+      return;
+    }
+
+    // Render one frame at a time, waiting for ffmpeg to drain the pipe
+    var i = 0;
+    (function writeNext() {
+      while (i < progresses.length) {
+        var data = draw(progresses[i++]).getImageData(0, 0, job.width, job.height).data;
+        if (!ffmpeg.stdin.write(Buffer.from(data.buffer, data.byteOffset, data.byteLength))) {
+          ffmpeg.stdin.once('drain', writeNext);
+          return;
+        }
+      }
+      ffmpeg.stdin.end();
+    })();
+  });
+}
+
+function readSpec(specPath) {
+  try {
+    return JSON.parse(fs.readFileSync(specPath, 'utf8'));
+  } catch (err) {
+    throw new Error(specPath + ': ' + err.message);
+  }
+}
+
+function printWarnings(specPath, job) {
+  job.warnings.forEach(function(warning) {
+    console.error(specPath + ': warning: ' + warning);
+  });
+}
+
+function render(specPath, args) {
+  var started = Date.now();
+  var job = ChartSpec.resolve(readSpec(specPath), { style: args.style, size: args.size });
+  printWarnings(specPath, job);
+  var output = args.output;
+  var done;
+
+  if (args.format === 'html') {
+    fs.writeFileSync(output, SpecRenderer.renderHTML(job));
+    done = Promise.resolve();
+  } else if (args.format === 'mp4') {
+    done = writeMP4(job, output);
+  } else {
+    done = SpecRenderer.renderGIF(job).then(function(bytes) {
+      fs.writeFileSync(output, bytes);
+    });
+  }
+
+  return done.then(function() {
+    var size = fs.statSync(output).size;
+    console.log('Wrote ' + output + ' (' + job.width + 'x' + job.height + ', ' +
+      Math.round(size / 1024) + ' KB) in ' + (Date.now() - started) + ' ms');
+  });
+}
+
+function main(argv) {
+  var args = parseArgs(argv);
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  var command = args.positional[0];
+  var specPath = args.positional[1];
+  if (command === 'schema') {
+    console.log(JSON.stringify(ChartSpec.schema, null, 2));
+    return;
+  }
+  if (command !== 'render' && command !== 'validate') {
+    usageError(command ? 'unknown command "' + command + '"' : 'missing command');
+  }
+  if (!specPath) usageError('missing spec file');
+  if (args.positional.length > 2) usageError('unexpected argument "' + args.positional[2] + '"');
+
+  if (command === 'validate') {
+    try {
+      var spec = readSpec(specPath);
+    } catch (err) {
+      console.error('infographic: ' + err.message);
+      process.exit(1);
+    }
+    var result = ChartSpec.validate(spec);
+    if (!result.valid) {
+      console.error(specPath + ':\n  ' + result.errors.join('\n  '));
+      process.exit(1);
+    }
+    // Then the checks render runs on top of the schema (data rules, room
+    // for insights), so a spec that validates also renders
+    try {
+      printWarnings(specPath, ChartSpec.resolve(spec));
+    } catch (err) {
+      console.error(specPath + ':\n  ' + err.message);
+      process.exit(1);
+    }
+    console.log(specPath + ': valid');
+    return;
+  }
+
+  var ext = args.output ? path.extname(args.output).slice(1).toLowerCase() : '';
+  args.format = (args.format || (FORMATS.indexOf(ext) >= 0 ? ext : 'gif')).toLowerCase();
+  if (FORMATS.indexOf(args.format) < 0) usageError('unknown format "' + args.format + '" (expected gif, mp4 or html)');
+  if (!args.output) {
+    args.output = path.join(path.dirname(specPath), path.basename(specPath, path.extname(specPath)) + '.' + args.format);
+  }
+
+  var run = function() {
+    return Promise.resolve().then(function() {
+      return render(specPath, args);
+    });
+  };
+
+  if (!args.watch) {
+    run().catch(function(err) {
+      console.error('infographic: ' + err.message);
+      process.exit(1);
+    });
+    return;
+  }
+
+  // Watch mode: render now and after every change, keep going on errors
+  var rendering = false;
+  var pending = false;
+  var watchRender = function() {
+    if (rendering) {
+      pending = true;
+      return;
+    }
+    rendering = true;
+    run().catch(function(err) {
+      console.error('infographic: ' + err.message);
+    }).then(function() {
+      rendering = false;
+      if (pending) {
+        pending = false;
+        watchRender();
+      }
+    });
+  };
+
+  if (!fs.existsSync(specPath)) usageError('spec file not found: ' + specPath);
+  console.log('Watching ' + specPath + ' (Ctrl+C to stop)');
+  watchRender();
+  fs.watchFile(specPath, { interval: 300 }, function(curr, prev) {
+    if (curr.mtimeMs !== prev.mtimeMs) watchRender();
+  });
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,91 @@
+/**
+ * Animation Timeline
+ * The GIF timeline (animation frames, then the hold) that every export
+ * format follows: frame delays, progress at a time, and the resampled
+ * frames of the video exports. The generated page (see
+ * HTMLTemplate.generate) and the CLI (SpecRenderer, bin/infographic.js)
+ * both use this one implementation, so their timing cannot drift apart.
+ *
+ * The whole implementation lives inside the constructor so
+ * AnimationTimeline.toString() can be embedded in the page.
+ *
+ * Usage:
+ *   var timeline = new AnimationTimeline(animation);
+ *   timeline.frameDelay(i);          // ms
+ *   timeline.progressAt(1500);       // 0-1
+ *   timeline.videoFrames(30);        // [{ progress, timestamp, duration }]
+ */
+
+function AnimationTimeline(animation) {
+  // { totalFrames, holdFrames, frameDelay, holdDelay, frameDelays }
+  this.animation = animation;
+
+  /**
+   * Delay (ms) of animation frame i; animation.frameDelays overrides per frame
+   */
+  this.frameDelay = function(i) {
+    var delays = animation.frameDelays;
+    return delays && delays[i] != null ? delays[i] : animation.frameDelay;
+  };
+
+  /**
+   * Length (ms) of the GIF timeline: animation frames plus the hold
+   */
+  this.duration = function() {
+    var total = animation.holdFrames * animation.holdDelay;
+    for (var i = 0; i <= animation.totalFrames; i++) total += this.frameDelay(i);
+    return total;
+  };
+
+  /**
+   * Animation progress (0-1) at a time (ms) on the GIF timeline,
+   * interpolated between frames so higher frame rates stay smooth
+   */
+  this.progressAt = function(time) {
+    var start = 0;
+    for (var i = 0; i < animation.totalFrames; i++) {
+      var delay = this.frameDelay(i);
+      if (time < start + delay) return (i + (time - start) / delay) / animation.totalFrames;
+      start += delay;
+    }
+    return 1;
+  };
+
+  /**
+   * Time (ms) at which the animation reaches a progress (0-1); the inverse
+   * of progressAt
+   */
+  this.timeAtProgress = function(progress) {
+    var position = progress * animation.totalFrames;
+    var time = 0;
+    for (var i = 0; i < Math.floor(position); i++) time += this.frameDelay(i);
+    if (position > i) time += (position - i) * this.frameDelay(i);
+    return time;
+  };
+
+  /**
+   * Video frames resampled from the GIF timeline at a frame rate, with
+   * timestamps and durations in microseconds (the last frame is trimmed so
+   * the video is exactly as long as the GIF)
+   * @param {number} fps
+   * @returns {Object[]} [{ progress, timestamp, duration }]
+   */
+  this.videoFrames = function(fps) {
+    var duration = this.duration();
+    var step = 1000 / fps;
+    var frames = [];
+    for (var time = 0; time < duration - 0.5; time += step) {
+      frames.push({ progress: this.progressAt(time), timestamp: Math.round(time * 1000) });
+    }
+    for (var i = 0; i < frames.length; i++) {
+      var end = i + 1 < frames.length ? frames[i + 1].timestamp : Math.round(duration * 1000);
+      frames[i].duration = end - frames[i].timestamp;
+    }
+    return frames;
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnimationTimeline;
+}
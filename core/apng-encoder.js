@@ -0,0 +1,253 @@
+/**
+ * Self-contained Animated PNG (APNG) Encoder
+ * Full-color, alpha-capable alternative to GIFEncoder with the same
+ * start() / addFrame() / finish() interface. Compression uses the inline
+ * DeflateEncoder, so export works offline from file://.
+ *
+ * Everything lives inside the constructor so APNGEncoder.toString() can be
+ * embedded in generated pages next to DeflateEncoder.toString().
+ */
+
+if (typeof DeflateEncoder === 'undefined' && typeof require !== 'undefined') {
+  var DeflateEncoder = require('./deflate.js');
+}
+
+function APNGEncoder(width, height, options) {
+  options = options || {};
+  this.width = width;
+  this.height = height;
+
+  // Loop count, same meaning as GIFEncoder: 0 = forever, -1 = play once,
+  // N = repeat N more times (APNG stores the total number of plays)
+  this.loop = options.loop !== undefined ? options.loop : 0;
+
+  // Delta mode: each frame after the first only covers the region that
+  // changed, blended with APNG_BLEND_OP_SOURCE over the previous frame
+  this.delta = options.delta !== false;
+
+  // Identical consecutive frames are merged into one with the summed delay
+  this.collapse = options.collapse !== false;
+
+  this.deflater = new DeflateEncoder({ maxChain: options.maxChain });
+  this.frames = [];
+  this.prevPixels = null;
+
+  var MAX_DELAY = 65535; // Delays are stored as delay_num / 1000 (16-bit)
+
+  var crcTable = null;
+
+  /**
+   * Read a frame from a canvas context, or use an ImageData-like
+   * { data: Uint8ClampedArray } as-is (same as GIFEncoder)
+   */
+  this.getFrameData = function(source) {
+    return source.getImageData ? source.getImageData(0, 0, width, height) : source;
+  };
+
+  this.start = function() {
+    this.frames = [];
+    this.prevPixels = null;
+  };
+
+  /**
+   * Encode a frame
+   * @param {CanvasRenderingContext2D|ImageData} ctx - Frame source
+   * @param {number} delay - Frame delay in milliseconds
+   */
+  this.addFrame = function(ctx, delay) {
+    var pixels = this.getFrameData(ctx).data;
+    delay = Math.min(MAX_DELAY, Math.round(delay));
+
+    var last = this.frames[this.frames.length - 1];
+    if (this.collapse && last && last.delay + delay <= MAX_DELAY &&
+        this.sameFrame(this.prevPixels, pixels)) {
+      last.delay += delay;
+      return;
+    }
+
+    // The first frame must cover the whole image; an identical frame past
+    // the delay cap is re-sent as a single pixel
+    var rect = { x: 0, y: 0, width: width, height: height };
+    if (this.delta && this.prevPixels) {
+      rect = this.changedRect(this.prevPixels, pixels) || { x: 0, y: 0, width: 1, height: 1 };
+    }
+    this.prevPixels = new Uint8ClampedArray(pixels);
+
+    this.frames.push({
+      rect: rect,
+      delay: delay,
+      data: this.deflater.zlib(this.filterRows(pixels, rect))
+    });
+  };
+
+  /**
+   * Bounding box of the pixels that differ between two frames, or null
+   * when the frames are identical
+   */
+  this.changedRect = function(prev, pixels) {
+    var a = new Uint32Array(prev.buffer, prev.byteOffset, width * height);
+    var b = new Uint32Array(pixels.buffer, pixels.byteOffset, width * height);
+    var minX = width, minY = height, maxX = -1, maxY = -1;
+    for (var y = 0; y < height; y++) {
+      var row = y * width;
+      for (var x = 0; x < width; x++) {
+        if (a[row + x] !== b[row + x]) {
+          if (x < minX) minX = x;
+          if (x > maxX) maxX = x;
+          if (y < minY) minY = y;
+          maxY = y;
+        }
+      }
+    }
+    if (maxX < 0) return null;
+    return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+  };
+
+  this.sameFrame = function(prev, pixels) {
+    var a = new Uint32Array(prev.buffer, prev.byteOffset, width * height);
+    var b = new Uint32Array(pixels.buffer, pixels.byteOffset, width * height);
+    for (var i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return false;
+    }
+    return true;
+  };
+
+  /**
+   * PNG-filter a rectangle of RGBA pixels. Each row gets the filter
+   * (None, Sub, Up, Average, Paeth) with the smallest sum of absolute
+   * residuals, the usual heuristic for what deflates best.
+   */
+  this.filterRows = function(pixels, rect) {
+    var rowBytes = rect.width * 4;
+    var out = new Uint8Array((rowBytes + 1) * rect.height);
+    var candidates = [];
+    for (var f = 0; f < 5; f++) candidates.push(new Uint8Array(rowBytes));
+
+    for (var y = 0; y < rect.height; y++) {
+      var cur = ((rect.y + y) * width + rect.x) * 4;
+      var up = y > 0 ? cur - width * 4 : -1;
+      var best = 0;
+      var bestSum = Infinity;
+
+      for (f = 0; f < 5; f++) {
+        var row = candidates[f];
+        var sum = 0;
+        for (var i = 0; i < rowBytes; i++) {
+          var x = pixels[cur + i];
+          var a = i >= 4 ? pixels[cur + i - 4] : 0;
+          var b = up >= 0 ? pixels[up + i] : 0;
+          var c = i >= 4 && up >= 0 ? pixels[up + i - 4] : 0;
+          var predicted;
+          if (f === 0) predicted = 0;
+          else if (f === 1) predicted = a;
+          else if (f === 2) predicted = b;
+          else if (f === 3) predicted = (a + b) >> 1;
+          else {
+            var p = a + b - c;
+            var pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+            predicted = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+          }
+          var v = (x - predicted) & 0xFF;
+          row[i] = v;
+          sum += v < 128 ? v : 256 - v;
+        }
+        if (sum < bestSum) {
+          bestSum = sum;
+          best = f;
+        }
+      }
+
+      var offset = y * (rowBytes + 1);
+      out[offset] = best;
+      out.set(candidates[best], offset + 1);
+    }
+    return out;
+  };
+
+  this.crc32 = function(bytes, start, end) {
+    if (!crcTable) {
+      crcTable = new Int32Array(256);
+      for (var n = 0; n < 256; n++) {
+        var c = n;
+        for (var k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c;
+      }
+    }
+    var crc = -1;
+    for (var i = start; i < end; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ -1) >>> 0;
+  };
+
+  /**
+   * Build a PNG chunk: length, type, data, CRC over type and data
+   */
+  this.chunk = function(type, data) {
+    var out = new Uint8Array(12 + data.length);
+    var view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    for (var i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+    out.set(data, 8);
+    view.setUint32(8 + data.length, this.crc32(out, 4, 8 + data.length));
+    return out;
+  };
+
+  /**
+   * Big-endian fields packed into bytes: [[value, size], ...]
+   */
+  this.pack = function(fields) {
+    var size = 0;
+    for (var i = 0; i < fields.length; i++) size += fields[i][1];
+    var out = new Uint8Array(size);
+    var view = new DataView(out.buffer);
+    var offset = 0;
+    for (i = 0; i < fields.length; i++) {
+      var value = fields[i][0], bytes = fields[i][1];
+      if (bytes === 4) view.setUint32(offset, value);
+      else if (bytes === 2) view.setUint16(offset, value);
+      else out[offset] = value;
+      offset += bytes;
+    }
+    return out;
+  };
+
+  this.finish = function() {
+    var parts = [new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])];
+
+    // 8-bit RGBA, no interlacing
+    parts.push(this.chunk('IHDR', this.pack([[width, 4], [height, 4], [8, 1], [6, 1], [0, 1], [0, 1], [0, 1]])));
+
+    var plays = this.loop === -1 ? 1 : this.loop === 0 ? 0 : this.loop + 1;
+    parts.push(this.chunk('acTL', this.pack([[this.frames.length, 4], [plays, 4]])));
+
+    var sequence = 0;
+    for (var i = 0; i < this.frames.length; i++) {
+      var frame = this.frames[i];
+      var rect = frame.rect;
+      parts.push(this.chunk('fcTL', this.pack([
+        [sequence++, 4],
+        [rect.width, 4], [rect.height, 4], [rect.x, 4], [rect.y, 4],
+        [frame.delay, 2], [1000, 2],
+        [0, 1],  // APNG_DISPOSE_OP_NONE
+        [0, 1]   // APNG_BLEND_OP_SOURCE
+      ])));
+
+      if (i === 0) {
+        // The first frame doubles as the static image for plain PNG viewers
+        parts.push(this.chunk('IDAT', frame.data));
+      } else {
+        var fdat = new Uint8Array(4 + frame.data.length);
+        new DataView(fdat.buffer).setUint32(0, sequence++);
+        fdat.set(frame.data, 4);
+        parts.push(this.chunk('fdAT', fdat));
+      }
+    }
+
+    parts.push(this.chunk('IEND', new Uint8Array(0)));
+    return new Blob(parts, {type: 'image/png'});
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = APNGEncoder;
+}
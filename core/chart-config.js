@@ -19,7 +19,45 @@ var ChartConfig = {
     totalFrames: 50,          // frames for main animation
     holdFrames: 50,           // frames to hold at end (~3 seconds)
     staggerDelay: 0.10,       // delay between items (as fraction of total)
-    easing: 'easeOutCubic'
+    easing: 'easeOutCubic',
+    frameDelays: null,        // optional per-frame delays (ms) overriding frameDelay
+    loop: 0,                  // 0 = loop forever, -1 = play once, N = repeat N times
+    videoFps: 30              // MP4/WebM frame rate; the GIF timeline is resampled to it
+  },
+
+  // GIF encoder settings (passed to HTMLTemplate.generate as config.gif)
+  gif: {
+    palette: 'local',         // 'local' = table per frame, 'global' = one shared table
+    paletteSample: 'final',   // frames sampled for the global table: 'final' or 'all'
+    quantizer: 'median-cut',  // 'median-cut' (keeps accent colors) or 'frequency'
+    dither: 'none',           // 'none', 'floyd-steinberg', 'bayer4' or 'bayer8'
+    delta: true,              // encode only the changed region of each frame
+    collapse: true,           // merge identical consecutive frames (summed delay)
+    timestamp: false          // add the encode time to the GIF comment
+  },
+
+  // Animated WebP settings (config.webp; false skips WebP encoding). The
+  // WebP is encoded from the GIF's frames in the same worker pass
+  webp: {
+    delta: true,              // encode only the changed region of each frame
+    collapse: true            // merge identical consecutive frames (summed delay)
+  },
+
+  // Other exports (config.apng, config.svg, config.pdf, config.video). The
+  // page embeds only the encoders it offers: true (or options such as
+  // { maxFrames: 20 } for the SVG) adds APNG, SVG and PDF downloads, and
+  // video: false drops the MP4/WebM download
+  apng: false,
+  svg: false,
+  pdf: false,
+  video: true,
+
+  // Still exports (config.snapshot): final-frame PNG and contact sheet
+  snapshot: {
+    scale: 1,                 // default PNG scale in the 1x/2x selector
+    sheetFrames: 12,          // evenly spaced progress frames on the contact sheet
+    sheetColumns: 4,
+    sheetScale: 0.5           // thumbnail size relative to the chart
   },
 
   // Canvas size presets
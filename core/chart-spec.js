@@ -0,0 +1,603 @@
+/**
+ * Chart Spec
+ * One versioned JSON document describing a chart: type, data, style, size,
+ * animation, insights and footer. HTMLTemplate.generateFromSpec, the Node
+ * SpecRenderer and bin/infographic.js all take it.
+ *
+ *   {
+ *     "version": 1,
+ *     "type": "waterfall",
+ *     "title": "Q3 Profit Bridge",
+ *     "subtitle": "Revenue to net income (€m)",
+ *     "data": [{ "label": "Revenue", "value": 420, "type": "total" }, ...],
+ *     "options": {},
+ *     "insights": [{ "icon": "💡", "text": "Opex down 12%" }, "Plain text works too"],
+ *     "footer": "Figures unaudited",
+ *     "source": "Q3 management accounts",
+ *     "style": "dark",
+ *     "size": "twitter",                 // ChartConfig.sizes name or "1200x628"
+ *     "animation": { "totalFrames": 50 },
+ *     "gif": { "dither": "bayer4" }
+ *   }
+ *
+ * Template-specific fields (value/min/max for gauge, axes for radar,
+ * leftNodes/rightNodes for sankey, categories for stacked-area, segments
+ * for stacked-bar) sit next to data; axes, categories and segments default
+ * to the keys of the data values. ChartSpec.schema is the JSON Schema
+ * (`node bin/infographic.js schema` prints it); validate() checks a spec
+ * against it and reports paths such as `data[3].value: expected number`.
+ */
+
+if (typeof ChartConfig === 'undefined' && typeof require !== 'undefined') {
+  var ChartConfig = require('./chart-config.js').ChartConfig;
+}
+if (typeof DataParser === 'undefined' && typeof require !== 'undefined') {
+  var DataParser = require('./data-parser.js');
+}
+
+var ChartSpec = {
+
+  // Current spec version; specs without one are read as this version
+  version: 1,
+
+  // Chart types: every template has render(ctx, config, progress); the
+  // generator classes (bar, pie, counter, progress, timeline) get theirs
+  // from GeneratorAdapter
+  types: {
+    'area': { file: 'area-chart.js', name: 'AreaChartTemplate' },
+    'bar': { file: 'bar-chart.js', name: 'BarChartTemplate' },
+    'bubble': { file: 'bubble-chart.js', name: 'BubbleChartTemplate' },
+    'counter': { file: 'counter.js', name: 'CounterTemplate' },
+    'donut': { file: 'donut-chart.js', name: 'DonutChartTemplate' },
+    'dumbbell': { file: 'dumbbell-chart.js', name: 'DumbbellChartTemplate' },
+    'funnel': { file: 'funnel-chart.js', name: 'FunnelChartTemplate' },
+    'gauge': { file: 'gauge-chart.js', name: 'GaugeChartTemplate' },
+    'grouped-bar': { file: 'grouped-bar-chart.js', name: 'GroupedBarChartTemplate' },
+    'heatmap': { file: 'heatmap-chart.js', name: 'HeatmapChartTemplate' },
+    'line': { file: 'line-chart.js', name: 'LineChartTemplate' },
+    'lollipop': { file: 'lollipop-chart.js', name: 'LollipopChartTemplate' },
+    'multi-line': { file: 'multi-line-chart.js', name: 'MultiLineChartTemplate' },
+    'pie': { file: 'pie-chart.js', name: 'PieChartTemplate' },
+    'progress': { file: 'progress-bar.js', name: 'ProgressBarTemplate' },
+    'radar': { file: 'radar-chart.js', name: 'RadarChartTemplate' },
+    'sankey': { file: 'sankey-chart.js', name: 'SankeyChartTemplate' },
+    'scatter': { file: 'scatter-chart.js', name: 'ScatterChartTemplate' },
+    'stacked-area': { file: 'stacked-area-chart.js', name: 'StackedAreaChartTemplate' },
+    'stacked-bar': { file: 'stacked-bar-chart.js', name: 'StackedBarChartTemplate' },
+    'timeline': { file: 'timeline.js', name: 'TimelineTemplate' },
+    'treemap': { file: 'treemap-chart.js', name: 'TreemapChartTemplate' },
+    'waterfall': { file: 'waterfall-chart.js', name: 'WaterfallChartTemplate' }
+  },
+
+  // Spec fields that configure the output rather than the template
+  outputFields: ['$schema', 'version', 'type', 'style', 'size', 'width', 'height', 'animation', 'gif', 'webp',
+    'apng', 'svg', 'pdf', 'video', 'snapshot', 'insights', 'footer', 'filename', 'comment', 'source'],
+
+  // Animation timing used by the GIF timeline (see HTMLTemplate)
+  timingFields: ['totalFrames', 'holdFrames', 'frameDelay', 'holdDelay', 'frameDelays', 'loop', 'videoFps'],
+
+  // Height of the footer line below the chart and insights
+  footerHeight: 28,
+
+  // Errors for a property replaced by one message (by path), kept out of
+  // the schema itself since JSON Schema has no standard keyword for them
+  messages: {
+    size: 'expected a size name (square, squareLarge, landscape, landscapeWide, twitter, story), ' +
+      '"WIDTHxHEIGHT" or {width, height}'
+  },
+
+  /**
+   * JSON Schema (draft 2020-12) for version 1 specs
+   */
+  schema: {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Infographic chart spec',
+    type: 'object',
+    required: ['type'],
+    additionalProperties: false,
+    properties: {
+      $schema: { type: 'string' },
+      version: { const: 1 },
+      type: { enum: ['area', 'bar', 'bubble', 'counter', 'donut', 'dumbbell', 'funnel', 'gauge', 'grouped-bar',
+        'heatmap', 'line', 'lollipop', 'multi-line', 'pie', 'progress', 'radar', 'sankey', 'scatter',
+        'stacked-area', 'stacked-bar', 'timeline', 'treemap', 'waterfall'] },
+      title: { type: 'string' },
+      subtitle: { type: 'string' },
+      data: {},
+      options: { type: 'object' },
+      insights: {
+        type: 'array',
+        items: {
+          anyOf: [
+            { type: 'string' },
+            { type: 'object', required: ['text'], additionalProperties: false,
+              properties: { icon: { type: 'string' }, text: { type: 'string' } } }
+          ]
+        }
+      },
+      footer: { type: 'string' },
+      source: { type: 'string' },
+      style: { enum: ['dark', 'light', 'vibrant', 'corporate', 'minimal'] },
+      size: {
+        anyOf: [
+          { enum: ['square', 'squareLarge', 'landscape', 'landscapeWide', 'twitter', 'story'] },
+          { type: 'string', pattern: '^[1-9][0-9]*x[1-9][0-9]*$' },
+          { type: 'object', required: ['width', 'height'], additionalProperties: false,
+            properties: { width: { $ref: '#/$defs/dimension' }, height: { $ref: '#/$defs/dimension' } } }
+        ]
+      },
+      width: { $ref: '#/$defs/dimension' },
+      height: { $ref: '#/$defs/dimension' },
+      filename: { type: 'string' },
+      comment: { type: ['string', 'boolean'] },
+      animation: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          totalFrames: { type: 'integer', minimum: 1 },
+          holdFrames: { type: 'integer', minimum: 0 },
+          frameDelay: { type: 'number', exclusiveMinimum: 0 },
+          holdDelay: { type: 'number', exclusiveMinimum: 0 },
+          frameDelays: { type: ['array', 'null'], items: { type: ['number', 'null'], exclusiveMinimum: 0 } },
+          loop: { type: 'integer', minimum: -1 },
+          videoFps: { type: 'number', exclusiveMinimum: 0, maximum: 120 },
+          fps: { type: 'number', exclusiveMinimum: 0 },
+          staggerDelay: { type: 'number', minimum: 0 },
+          easing: { type: 'string' }
+        }
+      },
+      gif: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          palette: { enum: ['local', 'global'] },
+          paletteSample: { enum: ['final', 'all'] },
+          quantizer: { enum: ['median-cut', 'frequency'] },
+          dither: { enum: ['none', 'floyd-steinberg', 'bayer4', 'bayer8'] },
+          delta: { type: 'boolean' },
+          collapse: { type: 'boolean' },
+          timestamp: { type: 'boolean' }
+        }
+      },
+      webp: {
+        anyOf: [
+          { type: 'boolean' },
+          { type: 'object', additionalProperties: false,
+            properties: { delta: { type: 'boolean' }, collapse: { type: 'boolean' } } }
+        ]
+      },
+      apng: {
+        anyOf: [
+          { type: 'boolean' },
+          { type: 'object', additionalProperties: false,
+            properties: { delta: { type: 'boolean' }, collapse: { type: 'boolean' } } }
+        ]
+      },
+      svg: {
+        anyOf: [
+          { type: 'boolean' },
+          { type: 'object', additionalProperties: false,
+            properties: { maxFrames: { type: 'integer', minimum: 0 }, collapse: { type: 'boolean' } } }
+        ]
+      },
+      pdf: { type: 'boolean' },
+      video: { type: 'boolean' },
+      snapshot: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          scale: { enum: [1, 2] },
+          sheetFrames: { type: 'integer', minimum: 1 },
+          sheetColumns: { type: 'integer', minimum: 1 },
+          sheetScale: { type: 'number', exclusiveMinimum: 0 }
+        }
+      },
+
+      // Template-specific fields (see the per-type rules below)
+      value: { type: 'number' },
+      min: { type: 'number' },
+      max: { type: 'number' },
+      axes: { $ref: '#/$defs/labels' },
+      categories: { $ref: '#/$defs/labels' },
+      segments: { $ref: '#/$defs/labels' },
+      leftNodes: { $ref: '#/$defs/sankeyNodes' },
+      rightNodes: { $ref: '#/$defs/sankeyNodes' }
+    },
+
+    // Data shape per chart type
+    allOf: [
+      { if: { required: ['type'], properties: { type: { enum: ['area', 'line', 'lollipop', 'donut'] } } },
+        then: { required: ['data'], properties: { data: { type: 'array', minItems: 1, items: { $ref: '#/$defs/labelValue' } } } } },
+      { if: { required: ['type'], properties: { type: { const: 'treemap' } } },
+        then: { required: ['data'], properties: { data: { type: 'array', minItems: 1, items: { $ref: '#/$defs/treemapItem' } } } } },
+      { if: { required: ['type'], properties: { type: { const: 'waterfall' } } },
+        then: { required: ['data'], properties: { data: { type: 'array', minItems: 1, items: { $ref: '#/$defs/waterfallItem' } } } } },
+      { if: { required: ['type'], properties: { type: { const: 'funnel' } } },
+        then: { required: ['data'], properties: { data: { type: 'array', minItems: 1, items: {
+          type: 'object', required: ['stage', 'value'],
+          properties: { stage: { $ref: '#/$defs/label' }, value: { type: 'number' } } } } } } },
+      { if: { required: ['type'], properties: { type: { const: 'scatter' } } },
+        then: { required: ['data'], properties: { data: { type: 'array', minItems: 1, items: {
+          type: 'object', required: ['x', 'y'],
+          properties: { label: { $ref: '#/$defs/label' }, x: { type: 'number' }, y: { type: 'number' },
+            color: { $ref: '#/$defs/color' } } } } } } },
+      { if: { required: ['type'], properties: { type: { const: 'bubble' } } },
+        then: { required: ['data'], properties: { data: { type: 'array', minItems: 1, items: {
+          type: 'object', required: ['label', 'x', 'y', 'size'],
+          properties: { label: { $ref: '#/$defs/label' }, x: { type: 'number' }, y: { type: 'number' },
+            size: { type: 'number', minimum: 0 } } } } } } },
+      { if: { required: ['type'], properties: { type: { const: 'dumbbell' } } },
+        then: { required: ['data'], properties: { data: { type: 'array', minItems: 1, items: {
+          type: 'object', required: ['label', 'start', 'end'],
+          properties: { label: { $ref: '#/$defs/label' }, start: { type: 'number' }, end: { type: 'number' },
+            startLabel: { $ref: '#/$defs/label' }, endLabel: { $ref: '#/$defs/label' } } } } } } },
+      { if: { required: ['type'], properties: { type: { const: 'grouped-bar' } } },
+        then: { required: ['data'], properties: { data: {
+          type: 'object', required: ['categories', 'series'],
+          properties: { categories: { $ref: '#/$defs/labels' }, series: { $ref: '#/$defs/series' } } } } } },
+      { if: { required: ['type'], properties: { type: { const: 'multi-line' } } },
+        then: { required: ['data'], properties: { data: {
+          type: 'object', required: ['labels', 'series'],
+          properties: { labels: { $ref: '#/$defs/labels' }, series: { $ref: '#/$defs/series' } } } } } },
+      { if: { required: ['type'], properties: { type: { const: 'heatmap' } } },
+        then: { required: ['data'], properties: { data: {
+          type: 'object', required: ['rows', 'cols', 'values'],
+          properties: { rows: { $ref: '#/$defs/labels' }, cols: { $ref: '#/$defs/labels' },
+            values: { type: 'array', minItems: 1, items: { type: 'array', items: { type: 'number' } } } } } } } },
+      { if: { required: ['type'], properties: { type: { const: 'radar' } } },
+        then: { required: ['data'], properties: { data: { type: 'array', minItems: 1, items: {
+          type: 'object', required: ['name', 'values'],
+          properties: { name: { $ref: '#/$defs/label' }, values: { $ref: '#/$defs/valueMap' } } } } } } },
+      { if: { required: ['type'], properties: { type: { const: 'stacked-area' } } },
+        then: { required: ['data'], properties: { data: { type: 'array', minItems: 2, items: {
+          type: 'object', required: ['period', 'values'],
+          properties: { period: { $ref: '#/$defs/label' }, values: { $ref: '#/$defs/valueMap' } } } } } } },
+      { if: { required: ['type'], properties: { type: { const: 'stacked-bar' } } },
+        then: { required: ['data'], properties: { data: { type: 'array', minItems: 1, items: {
+          type: 'object', required: ['category', 'values'],
+          properties: { category: { $ref: '#/$defs/label' }, values: { $ref: '#/$defs/valueMap' } } } } } } },
+      { if: { required: ['type'], properties: { type: { const: 'sankey' } } },
+        then: { required: ['leftNodes', 'rightNodes'] } },
+      { if: { required: ['type'], properties: { type: { const: 'gauge' } } },
+        then: { required: ['value'] } },
+
+      // Generator templates: DataParser checks the details and accepts
+      // aliases (amount, name, percent, events, ...)
+      { if: { required: ['type'], properties: { type: { enum: ['bar', 'pie'] } } },
+        then: { required: ['data'], properties: { data: { type: ['array', 'object'] } } } },
+      { if: { required: ['type'], properties: { type: { const: 'counter' } } },
+        then: { required: ['data'], properties: { data: { type: ['number', 'object'] } } } },
+      { if: { required: ['type'], properties: { type: { enum: ['progress', 'timeline'] } } },
+        then: { required: ['data'], properties: { data: { type: ['array', 'object'] } } } }
+    ],
+
+    $defs: {
+      dimension: { type: 'integer', minimum: 1, maximum: 4096 },
+      label: { type: ['string', 'number'] },
+      labels: { type: 'array', minItems: 1, items: { $ref: '#/$defs/label' } },
+      color: { type: 'string' },
+      valueMap: { type: 'object', additionalProperties: { type: 'number' } },
+      labelValue: {
+        type: 'object', required: ['label', 'value'],
+        properties: { label: { $ref: '#/$defs/label' }, value: { type: 'number' }, color: { $ref: '#/$defs/color' } }
+      },
+      treemapItem: {
+        type: 'object', required: ['label', 'value'],
+        properties: { label: { $ref: '#/$defs/label' }, value: { type: 'number', minimum: 0 },
+          children: { type: 'array', items: { $ref: '#/$defs/treemapItem' } } }
+      },
+      waterfallItem: {
+        type: 'object', required: ['label', 'value'],
+        properties: { label: { $ref: '#/$defs/label' }, value: { type: 'number' },
+          type: { enum: ['total', 'increase', 'decrease'] }, color: { $ref: '#/$defs/color' } }
+      },
+      series: {
+        type: 'array', minItems: 1,
+        items: { type: 'object', required: ['name', 'values'],
+          properties: { name: { $ref: '#/$defs/label' }, values: { type: 'array', items: { type: 'number' } },
+            color: { $ref: '#/$defs/color' } } }
+      },
+      sankeyNodes: {
+        type: 'array', minItems: 1,
+        items: { type: 'object', required: ['label', 'value', 'color'],
+          properties: { label: { $ref: '#/$defs/label' }, value: { type: 'number', minimum: 0 },
+            color: { $ref: '#/$defs/color' } } }
+      }
+    }
+  },
+
+  /**
+   * Check a spec against the schema
+   * @param {Object} spec - Chart spec
+   * @returns {Object} { valid, errors } with errors like "data[3].value: expected number"
+   */
+  validate: function(spec) {
+    var errors = [];
+    this.check(spec, this.schema, '', errors);
+    return { valid: errors.length === 0, errors: errors };
+  },
+
+  /**
+   * JSON type name of a value as the schema spells it
+   */
+  typeOf: function(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  },
+
+  /**
+   * Whether a value has one of the schema types ("number" includes integers)
+   */
+  hasType: function(value, types) {
+    var actual = this.typeOf(value);
+    types = [].concat(types);
+    return types.indexOf(actual) >= 0 || (actual === 'integer' && types.indexOf('number') >= 0);
+  },
+
+  childPath: function(path, key) {
+    if (typeof key === 'number') return path + '[' + key + ']';
+    var name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+    return path ? (name === key ? path + '.' + key : path + '[' + name + ']') : name;
+  },
+
+  /**
+   * Validate a value against a (sub)schema, pushing "path: message" errors.
+   * Supports the keywords the spec schema uses: type, enum, const,
+   * minimum/maximum, exclusiveMinimum, pattern, minItems, items,
+   * properties, required, additionalProperties, anyOf, allOf, if/then
+   * and $ref (to #/$defs); see messages for the properties whose errors
+   * are replaced by one message
+   */
+  check: function(value, schema, path, errors) {
+    var self = this;
+    var fail = function(message) { errors.push((path || 'spec') + ': ' + message); };
+    var quote = function(v) { return JSON.stringify(v); };
+
+    if (schema.$ref) {
+      schema = this.schema.$defs[schema.$ref.replace('#/$defs/', '')];
+    }
+
+    if (schema.anyOf) {
+      var attempts = schema.anyOf.map(function(option) {
+        var attempt = [];
+        self.check(value, option, path, attempt);
+        return attempt;
+      });
+      if (attempts.some(function(attempt) { return attempt.length === 0; })) return;
+      // Report the branch that matches the value's type, else the types
+      var typed = schema.anyOf.filter(function(option) { return option.type && self.hasType(value, option.type); });
+      if (typed.length === 1) {
+        errors.push.apply(errors, attempts[schema.anyOf.indexOf(typed[0])]);
+      } else {
+        var names = schema.anyOf.map(function(option) {
+          return option.type ? [].concat(option.type).join(' or ') : quote(option.const !== undefined ? option.const : option.enum);
+        });
+        fail('expected ' + names.join(' or '));
+      }
+      return;
+    }
+
+    if (schema.type && !this.hasType(value, schema.type)) {
+      fail('expected ' + [].concat(schema.type).join(' or '));
+      return;
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+      fail('expected ' + quote(schema.const));
+      return;
+    }
+    if (schema.enum && schema.enum.indexOf(value) < 0) {
+      fail('expected one of ' + schema.enum.map(quote).join(', ') + (value === undefined ? '' : ', got ' + quote(value)));
+      return;
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) fail('expected >= ' + schema.minimum);
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail('expected > ' + schema.exclusiveMinimum);
+      if (schema.maximum !== undefined && value > schema.maximum) fail('expected <= ' + schema.maximum);
+    }
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('expected a string matching ' + schema.pattern);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail('expected at least ' + schema.minItems + ' item' + (schema.minItems === 1 ? '' : 's'));
+      }
+      if (schema.items) {
+        value.forEach(function(item, i) { self.check(item, schema.items, self.childPath(path, i), errors); });
+      }
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      (schema.required || []).forEach(function(key) {
+        if (value[key] === undefined) errors.push(self.childPath(path, key) + ': required');
+      });
+      Object.keys(value).forEach(function(key) {
+        var child = self.childPath(path, key);
+        if (schema.properties && schema.properties[key]) {
+          var message = self.messages[child];
+          var found = message ? [] : errors;
+          self.check(value[key], schema.properties[key], child, found);
+          if (message && found.length) errors.push(child + ': ' + message);
+        } else if (schema.additionalProperties === false) {
+          errors.push(child + ': unknown property');
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+          self.check(value[key], schema.additionalProperties, child, errors);
+        }
+      });
+    }
+
+    (schema.allOf || []).forEach(function(part) {
+      if (part.if) {
+        var probe = [];
+        self.check(value, part.if, path, probe);
+        if (probe.length === 0 && part.then) self.check(value, part.then, path, errors);
+      } else {
+        self.check(value, part, path, errors);
+      }
+    });
+  },
+
+  /**
+   * Canvas size from a ChartConfig.sizes name, "WIDTHxHEIGHT" or {width, height}
+   */
+  parseSize: function(size) {
+    if (typeof size === 'object') return { width: size.width, height: size.height };
+    var match = /^(\d+)x(\d+)$/.exec(size);
+    return match ? { width: parseInt(match[1], 10), height: parseInt(match[2], 10) } : ChartConfig.sizes[size];
+  },
+
+  /**
+   * Height of the insights panel below the chart (2 insights per row, as
+   * LayoutCalculator reserves it)
+   */
+  insightsHeight: function(count) {
+    return count ? 20 + 15 + Math.ceil(count / 2) * 35 + 10 + 20 : 0;
+  },
+
+  /**
+   * Template object (or generator class) for a types entry
+   */
+  loadTemplate: function(entry) {
+    var exported = typeof require !== 'undefined' ? require('../templates/' + entry.file) : window[entry.name];
+    return exported[entry.name] || exported;
+  },
+
+  /**
+   * Validate a spec and resolve everything needed to render it
+   * @param {Object} spec - Chart spec (see above)
+   * @param {Object} overrides - Spec fields taking precedence (e.g. { style, size } from the CLI)
+   * @returns {Object} Render job for SpecRenderer and HTMLTemplate.generateSpec;
+   *   job.warnings holds data notes that do not stop rendering
+   */
+  resolve: function(spec, overrides) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error('Chart spec must be a JSON object');
+    spec = Object.assign({}, spec);
+    for (var field in overrides || {}) {
+      if (overrides[field] !== undefined) spec[field] = overrides[field];
+    }
+
+    var result = this.validate(spec);
+    if (!result.valid) throw new Error('Invalid chart spec:\n  ' + result.errors.join('\n  '));
+
+    var entry = this.types[spec.type];
+    var size = spec.size ? this.parseSize(spec.size) : { width: spec.width || 900, height: spec.height || 700 };
+
+    // DataParser checks what the schema cannot (counts, table shapes,
+    // totals) and normalizes; some templates read fields besides data
+    var fields = DataParser.getConfigFields(spec.type);
+    var input = spec.data;
+    if (fields) {
+      input = {};
+      fields.forEach(function(name) {
+        if (spec[name] !== undefined) input[name] = spec[name];
+      });
+    }
+    var checked = DataParser.getValidator(spec.type)(input, spec.options);
+    if (!checked.valid) throw new Error('Invalid data: ' + checked.errors.join('; '));
+
+    var insights = (spec.insights || []).map(function(item) {
+      return typeof item === 'string' ? { icon: '', text: item } : { icon: item.icon || '', text: item.text };
+    });
+    var footer = [spec.footer, spec.source && 'Source: ' + spec.source].filter(Boolean).join('  ·  ');
+    var insightsHeight = this.insightsHeight(insights.length);
+    var footerHeight = footer ? this.footerHeight : 0;
+    var chartHeight = size.height - insightsHeight - footerHeight;
+    if (chartHeight < size.height * 0.5) {
+      throw new Error('Too many insights (' + insights.length + ') for a ' + size.width + 'x' + size.height + ' canvas');
+    }
+
+    var config = {};
+    for (var key in spec) {
+      if (this.outputFields.indexOf(key) < 0) config[key] = spec[key];
+    }
+    if (fields) Object.assign(config, checked.normalized);
+    else config.data = checked.normalized;
+    config.options = ChartConfig.getConfig(spec.type, spec.options);
+    config.style = Object.assign({}, ChartConfig.getStyle(spec.style || 'dark'));
+
+    var animation = {};
+    this.timingFields.forEach(function(name) {
+      if (ChartConfig.animation[name] !== undefined) animation[name] = ChartConfig.animation[name];
+      if (spec.animation && spec.animation[name] !== undefined) animation[name] = spec.animation[name];
+    });
+
+    return {
+      spec: spec,
+      type: spec.type,
+      entry: entry,
+      template: this.loadTemplate(entry),
+      config: config,
+      styleName: spec.style || 'dark',
+      width: size.width,
+      height: size.height,
+      chartHeight: chartHeight,
+      insights: insights,
+      footer: footer,
+      animation: animation,
+      gif: Object.assign({}, ChartConfig.gif, spec.gif),
+      warnings: checked.warnings || []
+    };
+  },
+
+  /**
+   * Draw one frame: the template, then the insights panel and footer below
+   * it. Has no outside references so the generated page can embed its
+   * source.
+   * @param {Object} extras - { insights, footer, height } from the job
+   */
+  renderFrame: function(ctx, progress, template, config, extras) {
+    template.render(ctx, config, progress);
+
+    var style = config.style;
+    var width = config.layout.width;
+    var top = config.layout.height;
+    var insights = extras.insights || [];
+    if (!insights.length && !extras.footer) return;
+
+    ctx.save();
+    ctx.fillStyle = style.background;
+    ctx.fillRect(0, top, width, extras.height - top);
+
+    // Insights and footer fade in over the last 40% of the animation
+    ctx.globalAlpha = Math.max(0, Math.min(1, (progress - 0.6) / 0.4));
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    if (insights.length) {
+      ctx.strokeStyle = style.gridLine;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(50, top + 10);
+      ctx.lineTo(width - 50, top + 10);
+      ctx.stroke();
+
+      ctx.font = 'bold 14px ' + style.fontFamily;
+      ctx.fillStyle = style.colors[0];
+      ctx.fillText('KEY INSIGHTS', width / 2, top + 30);
+
+      ctx.font = '15px ' + style.fontFamily;
+      ctx.fillStyle = style.text;
+      for (var i = 0; i < insights.length; i++) {
+        var x = width * (i % 2 === 0 ? 0.25 : 0.75);
+        var y = top + 55 + Math.floor(i / 2) * 35;
+        var text = insights[i].icon ? insights[i].icon + '  ' + insights[i].text : insights[i].text;
+        ctx.fillText(text, x, y, width * 0.45);
+      }
+    }
+
+    if (extras.footer) {
+      ctx.font = '11px ' + style.fontFamily;
+      ctx.fillStyle = style.textMuted;
+      ctx.fillText(extras.footer, width / 2, extras.height - 14, width * 0.9);
+    }
+    ctx.restore();
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChartSpec;
+}
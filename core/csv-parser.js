@@ -0,0 +1,255 @@
+/**
+ * Streaming CSV Parser (RFC 4180)
+ * A character state machine, so quoted fields may hold delimiters, line
+ * breaks and "" escapes. Accepts CRLF, LF or CR line endings and skips a
+ * leading byte order mark. Input can arrive in chunks of any size: write()
+ * returns the records completed so far and end() flushes the last one.
+ *
+ * Records are { fields, line }, where line is the 1-based line the record
+ * starts on. Problems (an unterminated quote, text after a closing quote,
+ * a quote inside an unquoted field) do not stop parsing; they are collected in parser.errors as
+ * "Line N: ..." messages.
+ *
+ * Without a delimiter option the first lines are buffered and the
+ * delimiter is sniffed from them (comma, semicolon, tab or pipe).
+ *
+ * Usage:
+ *   var parser = new CSVParser({ delimiter: ';' });
+ *   parser.write(chunk).forEach(function(record) { ... });
+ *   parser.end().forEach(function(record) { ... });
+ *
+ *   CSVParser.parse(text);   // { records, delimiter, errors }
+ */
+
+function CSVParser(options) {
+  options = options || {};
+
+  // Field delimiter; null = sniff from the first sniffLines lines
+  this.delimiter = options.delimiter || null;
+  this.sniffLines = options.sniffLines || 20;
+
+  // Trim whitespace around unquoted fields (quoted fields are kept as is)
+  this.trimValues = options.trimValues !== false;
+
+  // Lines with no content at all are skipped rather than returned as a
+  // record with one empty field
+  this.skipEmptyLines = options.skipEmptyLines !== false;
+
+  this.errors = [];
+
+  var START = 0;      // Start of a field
+  var UNQUOTED = 1;   // Inside an unquoted field
+  var QUOTED = 2;     // Inside a quoted field
+  var QUOTE = 3;      // Quote seen inside a quoted field: escape or end
+  var CLOSED = 4;     // After the closing quote, before the delimiter
+  var TRAILING = 5;   // Rest of a malformed field (reported once)
+
+  var state = START;
+  var fields = [];
+  var field = '';
+  var quoted = false;       // Current field was quoted
+  var line = 1;             // Line of the next character
+  var recordLine = 1;       // Line the current record started on
+  var inRecord = false;
+  var afterCR = false;      // Last character was \r (may be split from \n)
+  var started = false;      // Past the byte order mark check
+  var buffered = '';        // Input held back while sniffing
+
+  this.error = function(lineNumber, message) {
+    this.errors.push('Line ' + lineNumber + ': ' + message);
+  };
+
+  this.endField = function() {
+    fields.push(quoted || !this.trimValues ? field : field.trim());
+    field = '';
+    quoted = false;
+    state = START;
+  };
+
+  this.endRecord = function(records) {
+    var wasQuoted = quoted;
+    this.endField();
+    var empty = fields.length === 1 && fields[0] === '' && !wasQuoted;
+    if (!empty || !this.skipEmptyLines) records.push({ fields: fields, line: recordLine });
+    fields = [];
+    inRecord = false;
+  };
+
+  /**
+   * Run characters through the state machine
+   * @param {string} text
+   * @param {Object[]} records - Completed records are appended here
+   */
+  this.consume = function(text, records) {
+    var delimiter = this.delimiter;
+    var trim = this.trimValues;
+
+    for (var i = 0; i < text.length; i++) {
+      var c = text[i];
+
+      // \r\n is one line break: the \n only matters inside quotes
+      if (c === '\n' && afterCR) {
+        afterCR = false;
+        if (state === QUOTED) field += c;
+        continue;
+      }
+      afterCR = c === '\r';
+      var newline = c === '\n' || c === '\r';
+
+      if (!inRecord) {
+        inRecord = true;
+        recordLine = line;
+      }
+
+      if (state === START) {
+        if (c === '"') {
+          // Whitespace before an opening quote is not part of the field
+          field = '';
+          quoted = true;
+          state = QUOTED;
+        } else if (c === delimiter) {
+          this.endField();
+        } else if (newline) {
+          this.endRecord(records);
+        } else {
+          field += c;
+          if (!trim || (c !== ' ' && c !== '\t')) state = UNQUOTED;
+        }
+      } else if (state === UNQUOTED) {
+        if (c === delimiter) {
+          this.endField();
+        } else if (newline) {
+          this.endRecord(records);
+        } else if (c === '"') {
+          // Quotes only open a field: keep the text, but flag the field
+          this.error(line, 'quote in unquoted field');
+          field += c;
+          state = TRAILING;
+        } else {
+          field += c;
+        }
+      } else if (state === QUOTED) {
+        if (c === '"') state = QUOTE;
+        else field += c;
+      } else if (state === TRAILING) {
+        if (c === delimiter) this.endField();
+        else if (newline) this.endRecord(records);
+        else field += c;
+      } else {
+        if (c === '"' && state === QUOTE) {
+          field += c;
+          state = QUOTED;
+        } else if (c === delimiter) {
+          this.endField();
+        } else if (newline) {
+          this.endRecord(records);
+        } else if (trim && (c === ' ' || c === '\t')) {
+          state = CLOSED;
+        } else {
+          // Keep the text so nothing is lost, but flag the malformed field
+          this.error(line, 'unexpected "' + c + '" after closing quote');
+          field += c;
+          state = TRAILING;
+        }
+      }
+
+      if (newline) line++;
+    }
+  };
+
+  /**
+   * Parse a chunk of input
+   * @param {string} chunk
+   * @returns {Object[]} Records completed by this chunk
+   */
+  this.write = function(chunk) {
+    if (!started) {
+      if (!chunk) return [];
+      if (chunk.charCodeAt(0) === 0xFEFF) chunk = chunk.slice(1);
+      started = true;
+    }
+
+    if (!this.delimiter) {
+      buffered += chunk;
+      if (buffered.split(/\r\n|\r|\n/).length <= this.sniffLines) return [];
+      this.delimiter = CSVParser.sniff(buffered, { complete: false }) || ',';
+      chunk = buffered;
+      buffered = '';
+    }
+
+    var records = [];
+    this.consume(chunk, records);
+    return records;
+  };
+
+  /**
+   * Finish parsing
+   * @returns {Object[]} The remaining records
+   */
+  this.end = function() {
+    var records = [];
+    if (!this.delimiter) {
+      this.delimiter = CSVParser.sniff(buffered) || ',';
+      this.consume(buffered, records);
+      buffered = '';
+    }
+    if (state === QUOTED) this.error(recordLine, 'unterminated quoted field');
+    if (inRecord) this.endRecord(records);
+    return records;
+  };
+}
+
+/**
+ * Guess the delimiter of CSV text: the candidate that splits the most
+ * records into the same number of fields (at least two), then the one
+ * giving more fields, then the earlier candidate. A header row is what
+ * tells semicolon files with decimal commas apart
+ * @param {string} text - The whole input or its first lines
+ * @param {Object} options - { candidates, complete: false if text may end mid-record }
+ * @returns {string|null} null when no candidate gives more than one field
+ */
+CSVParser.sniff = function(text, options) {
+  options = options || {};
+  var candidates = options.candidates || [',', ';', '\t', '|'];
+  var best = null;
+  var bestScore = 0;
+  var bestFields = 0;
+
+  candidates.forEach(function(delimiter) {
+    var parser = new CSVParser({ delimiter: delimiter });
+    var records = parser.write(text);
+    if (options.complete !== false) records = records.concat(parser.end());
+
+    var counts = {};
+    records.forEach(function(record) {
+      counts[record.fields.length] = (counts[record.fields.length] || 0) + 1;
+    });
+    for (var n in counts) {
+      var score = counts[n] / records.length;
+      if (+n > 1 && (score > bestScore || (score === bestScore && +n > bestFields))) {
+        best = delimiter;
+        bestScore = score;
+        bestFields = +n;
+      }
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Parse a whole CSV string
+ * @param {string} text
+ * @param {Object} options - Constructor options
+ * @returns {Object} { records, delimiter, errors }
+ */
+CSVParser.parse = function(text, options) {
+  var parser = new CSVParser(options);
+  var records = parser.write(text).concat(parser.end());
+  return { records: records, delimiter: parser.delimiter, errors: parser.errors };
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CSVParser;
+}
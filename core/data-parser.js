@@ -3,57 +3,91 @@
  * Parse and validate various input formats for infographic generation
  */
 
+if (typeof CSVParser === 'undefined' && typeof require !== 'undefined') {
+  var CSVParser = require('./csv-parser.js');
+}
+
 class DataParser {
   /**
-   * Parse CSV string into structured data
+   * Parse CSV string into structured data. Fields follow RFC 4180 (see
+   * CSVParser); the delimiter is sniffed unless given, and with
+   * hasHeaders: 'auto' the first row is taken as column names unless it
+   * looks like data. Rows are padded or cut to the header's width (a
+   * trailing delimiter is ignored) and each mismatch is reported in
+   * errors with its line number.
    */
   static parseCSV(csvString, options = {}) {
     const {
-      delimiter = ',',
-      hasHeaders = true,
+      delimiter = null,
+      hasHeaders = 'auto',
       trimValues = true
     } = options;
 
-    const lines = csvString.trim().split(/\r?\n/);
-    if (lines.length === 0) {
+    const parsed = CSVParser.parse(csvString, { delimiter, trimValues });
+    const records = parsed.records;
+    if (records.length === 0) {
       throw new Error('CSV is empty');
     }
 
-    const parseRow = (row) => {
-      const values = [];
-      let current = '';
-      let inQuotes = false;
-
-      for (let i = 0; i < row.length; i++) {
-        const char = row[i];
-        if (char === '"') {
-          inQuotes = !inQuotes;
-        } else if (char === delimiter && !inQuotes) {
-          values.push(trimValues ? current.trim() : current);
-          current = '';
-        } else {
-          current += char;
-        }
+    const rows = records.map(record => record.fields);
+    const errors = parsed.errors.slice();
+    const headerRow = hasHeaders === 'auto' ? DataParser.detectCSVHeader(rows) : !!hasHeaders;
+    const body = headerRow ? records.slice(1) : records;
+
+    // Width from the first row, less trailing columns that are empty in
+    // every row (exports that end each line with a delimiter)
+    let width = rows[0].length;
+    while (width > 1 && rows.every(row => !row[width - 1])) width--;
+
+    const fit = (record) => {
+      let count = record.fields.length;
+      while (count > width && record.fields[count - 1] === '') count--;
+      if (count !== width) {
+        errors.push(`Line ${record.line}: expected ${width} fields, got ${count}`);
       }
-      values.push(trimValues ? current.trim() : current);
-      return values;
+      const fields = record.fields.slice(0, width);
+      while (fields.length < width) fields.push('');
+      return fields;
     };
 
-    const rows = lines.map(parseRow);
-
-    if (hasHeaders) {
-      const headers = rows[0];
-      const data = rows.slice(1).map(row => {
+    if (headerRow) {
+      const headers = rows[0].slice(0, width);
+      const data = body.map(record => {
+        const fields = fit(record);
         const obj = {};
         headers.forEach((header, i) => {
-          obj[header] = row[i];
+          obj[header] = fields[i];
         });
         return obj;
       });
-      return { headers, data, raw: rows };
+      return { headers, data, raw: rows, delimiter: parsed.delimiter, errors };
     }
 
-    return { headers: null, data: rows, raw: rows };
+    return { headers: null, data: body.map(fit), raw: rows, delimiter: parsed.delimiter, errors };
+  }
+
+  /**
+   * Whether the first CSV row holds column names: not when one of its cells
+   * is a number in a column of numbers. A year over a column of other
+   * numbers ("Region,2023,2024") still counts as a header.
+   */
+  static detectCSVHeader(rows) {
+    const isNumber = (cell) => {
+      try {
+        const unit = DataParser.parseQuantity(cell).unit;
+        return unit === null || unit === '%';
+      } catch (e) {
+        return false;
+      }
+    };
+    const isYear = (cell) => /^[12]\d{3}$/.test(cell);
+    const rest = rows.slice(1);
+
+    return !rows[0].some((cell, i) => {
+      const column = rest.map(row => row[i]).filter(value => value);
+      if (!isNumber(cell) || !column.every(isNumber)) return false;
+      return !isYear(cell) || column.every(isYear);
+    });
   }
 
   /**
@@ -76,43 +110,163 @@ class DataParser {
   }
 
   /**
-   * Convert key-value pairs to chart data
+   * Convert key-value pairs to chart data. Values written with a currency
+   * or unit ("$45K", "12 kg") keep it as the item's prefix/suffix.
    */
   static parseKeyValue(input) {
+    const toItem = (label, value) => {
+      const quantity = DataParser.parseQuantity(value);
+      const item = { label, value: quantity.value };
+      if (quantity.prefix) item.prefix = quantity.prefix;
+      if (quantity.suffix) item.suffix = quantity.suffix;
+      return item;
+    };
+
     if (Array.isArray(input)) {
       // Array of {label, value} objects
-      return input.map(item => ({
-        label: String(item.label || item.name || item.key || ''),
-        value: DataParser.parseNumber(item.value || item.amount || 0)
-      }));
+      return input.map(item => toItem(String(item.label || item.name || item.key || ''), item.value || item.amount || 0));
     }
 
     if (typeof input === 'object') {
       // Plain object { key: value }
-      return Object.entries(input).map(([label, value]) => ({
-        label,
-        value: DataParser.parseNumber(value)
-      }));
+      return Object.entries(input).map(([label, value]) => toItem(label, value));
     }
 
     throw new Error('Invalid key-value format');
   }
 
   /**
-   * Parse a number from various formats
+   * Parse a number from various formats: currencies ("$1,200", "12,50 €",
+   * "CHF 40"), magnitudes ("45K", "1.2 billion", "3 Mio."), accounting
+   * negatives ("(1,200)"), unicode minus signs and percentages ("65%" is
+   * 65). See parseQuantity for separators and locales.
+   * @param {*} value
+   * @param {Object} options - { locale, decimal } as for parseQuantity
+   * @returns {number}
    */
-  static parseNumber(value) {
-    if (typeof value === 'number') return value;
-    if (typeof value === 'string') {
-      // Remove currency symbols, commas, percentage signs
-      const cleaned = value.replace(/[$€£¥,]/g, '').replace(/%$/, '');
-      const num = parseFloat(cleaned);
-      if (isNaN(num)) {
-        throw new Error(`Cannot parse number: ${value}`);
+  static parseNumber(value, options = {}) {
+    return DataParser.parseQuantity(value, options).value;
+  }
+
+  /**
+   * Parse a number and keep what was written around it, so templates can
+   * label values the same way (prefix/suffix options and item fields).
+   *
+   * The decimal separator comes from options.decimal, else from
+   * options.locale (e.g. 'de-DE'), else from the text: with both "." and
+   * "," the last one is the decimal point, a separator that repeats
+   * groups digits, and a lone "," before exactly three digits groups
+   * thousands ("1,234") while a lone "." is a decimal point ("1.234").
+   * Spaces and apostrophes always group ("1 234", "1'234"). Groups after
+   * the first have three digits; "1.2.3" is an error.
+   *
+   * Single-letter magnitudes are K, M, B and T ("5m" is five million).
+   * An exponent after the digits is scientific notation ("1.5e-7").
+   *
+   * @param {*} value
+   * @param {Object} options - { locale, decimal }
+   * @returns {Object} { value, currency, unit, prefix, suffix } e.g. "$45K"
+   *   gives { value: 45000, currency: '$', unit: null, prefix: '$', suffix: '' }
+   */
+  static parseQuantity(value, options = {}) {
+    const result = { value: 0, currency: null, unit: null, prefix: '', suffix: '' };
+    if (typeof value === 'number') {
+      result.value = value;
+      return result;
+    }
+    if (typeof value !== 'string') return result;
+
+    const fail = () => {
+      throw new Error(`Cannot parse number: ${value}`);
+    };
+    const CURRENCY = /^(?:[A-Z]{0,2}\$|[€£¥₹₩₽₺₪₫฿₱₴₦¢₡₵]|(?:USD|EUR|GBP|JPY|CNY|INR|CHF|AUD|CAD|HKD|SGD|NZD|SEK|NOK|DKK|PLN|CZK|HUF|BRL|MXN|ZAR|KRW|RUB|TRY)(?![A-Za-z])|kr\.?|zł|Kč|Fr\.)/;
+    const SCALES = {
+      k: 1e3, thousand: 1e3, tsd: 1e3,
+      m: 1e6, mn: 1e6, mio: 1e6, million: 1e6,
+      b: 1e9, bn: 1e9, mrd: 1e9, billion: 1e9,
+      t: 1e12, tn: 1e12, trillion: 1e12
+    };
+
+    let rest = value.trim().replace(/[−‒–—﹣－]/g, '-');
+    let negative = false;
+
+    // Accounting negatives: (1,200) and a trailing minus (1,200-)
+    const parens = rest.match(/^\((.*)\)$/);
+    if (parens) {
+      negative = true;
+      rest = parens[1].trim();
+    } else if (/\d\s*-$/.test(rest)) {
+      negative = true;
+      rest = rest.slice(0, -1).trim();
+    }
+
+    const takeSign = () => {
+      const sign = rest.match(/^([-+])\s*/);
+      if (sign) {
+        if (sign[1] === '-') negative = !negative;
+        rest = rest.slice(sign[0].length);
       }
-      return num;
+    };
+    takeSign();
+    const leading = rest.match(CURRENCY);
+    if (leading) {
+      result.currency = leading[0];
+      rest = rest.slice(leading[0].length);
+      result.prefix = result.currency + (/^\s/.test(rest) ? ' ' : '');
+      rest = rest.trim();
+      takeSign();
     }
-    return 0;
+
+    const body = rest.match(/^(\d[\d.,'’\s]*\d|\d|[.,]\d+)([eE][-+]?\d+)?/);
+    if (!body) fail();
+    rest = rest.slice(body[0].length);
+
+    const raw = body[1];
+    const num = raw.replace(/['’\s]/g, '');
+    let decimal = options.decimal;
+    if (!decimal && options.locale && typeof Intl !== 'undefined') {
+      const part = new Intl.NumberFormat(options.locale).formatToParts(1.5).find(p => p.type === 'decimal');
+      decimal = part ? part.value : '.';
+    }
+    if (!decimal) {
+      const dots = num.split('.').length - 1;
+      const commas = num.split(',').length - 1;
+      if (dots && commas) decimal = num.lastIndexOf(',') > num.lastIndexOf('.') ? ',' : '.';
+      else if (commas === 1) decimal = /^[1-9]\d{0,2},\d{3}$/.test(num) ? '.' : ',';
+      else decimal = dots === 1 ? '.' : commas ? '.' : ',';
+    }
+    const group = decimal === ',' ? '.' : ',';
+
+    // Groups after the first one have exactly three digits ("1.234.567",
+    // "1 234"), so "1.2.3" is not read as 123
+    const point = raw.indexOf(decimal);
+    const whole = point < 0 ? raw : raw.slice(0, point);
+    const fraction = point < 0 ? '' : raw.slice(point + 1);
+    if (/\D/.test(fraction)) fail();
+    if (/\D/.test(whole) && !new RegExp(`^\\d{1,3}(?:[${group}'’\\s]\\d{3})+$`).test(whole)) fail();
+    let amount = parseFloat(whole.replace(/\D/g, '') + '.' + fraction + (body[2] || ''));
+
+    const scale = rest.match(/^\s*(thousand|million|billion|trillion|tsd|mio|mrd|mn|bn|tn|k|m|b|t)(?![A-Za-z])\.?/i);
+    if (scale) {
+      amount = Number((amount * SCALES[scale[1].toLowerCase()]).toPrecision(15));
+      rest = rest.slice(scale[0].length);
+    }
+
+    // What follows is a currency and/or a unit ("12,50 €", "45 kg", "65%")
+    const spaced = /^\s/.test(rest);
+    rest = rest.trim();
+    const trailing = !result.currency && rest.match(CURRENCY);
+    if (trailing) {
+      result.currency = trailing[0];
+      rest = rest.slice(trailing[0].length).trim();
+    }
+    if (/\d/.test(rest)) fail();
+    result.unit = rest || null;
+    const after = [trailing ? trailing[0] : '', rest].filter(Boolean).join(' ');
+    result.suffix = after ? (spaced && after !== '%' ? ' ' : '') + after : '';
+
+    result.value = negative && amount !== 0 ? -amount : amount;
+    return result;
   }
 
   /**
@@ -127,9 +281,9 @@ class DataParser {
         return { type: 'json', data: DataParser.parseJSON(trimmed) };
       }
 
-      // Check for CSV (has newlines and consistent delimiters)
-      if (trimmed.includes('\n') && (trimmed.includes(',') || trimmed.includes('\t'))) {
-        const delimiter = trimmed.includes('\t') ? '\t' : ',';
+      // Check for CSV (several lines split by a common delimiter)
+      const delimiter = /[\r\n]/.test(trimmed) && CSVParser.sniff(trimmed);
+      if (delimiter) {
         return { type: 'csv', data: DataParser.parseCSV(trimmed, { delimiter }) };
       }
 
@@ -137,8 +291,14 @@ class DataParser {
       try {
         return { type: 'json', data: DataParser.parseJSON(trimmed) };
       } catch {
-        throw new Error('Could not auto-detect input format');
+        // Fall through to natural language
+      }
+
+      const extracted = DataParser.parseNaturalLanguage(trimmed);
+      if (extracted.data.length > 0) {
+        return { type: 'text', data: extracted };
       }
+      throw new Error('Could not auto-detect input format');
     }
 
     if (typeof input === 'object') {
@@ -149,23 +309,324 @@ class DataParser {
   }
 
   /**
-   * Validate data for specific chart types
+   * Extract label/value pairs from prose or loose lists with fixed rules
+   * (no guessing between readings):
+   *   "Chrome 65%", "Chrome: 65%"          label, value
+   *   "45K in Jan", "Sales were 45K in Jan" value, label (and a subject)
+   *   "Q1 ($10M/$12M)", "A 3 vs 5"         label, two values (dumbbell)
+   *   "Revenue +$100M, COGS -$40M = Net $25M"
+   *                                        signed steps and totals (waterfall)
+   * Pieces are split on commas (not between digits), semicolons, line
+   * breaks, "and", sentence ends and "=". The chart type follows from what was found: waterfall
+   * when values carry signs or an "=" total, dumbbell for pairs, pie for
+   * percentages adding up to 100, line for time labels (months, quarters,
+   * years), otherwise bar. Data comes back normalized for that template.
+   * @param {string} text
+   * @returns {Object} { chartType, data, subject, prefix, suffix, errors,
+   *   unparsed: [{ start, end, text }] }
+   */
+  static parseNaturalLanguage(text) {
+    // Amount tokens: sign, currency, digits, magnitude, percent; read
+    // with parseQuantity, which sorts out the separators ("1,234.5" or
+    // "1.234,5"). Spaces do not group digits here, so "Q3 2024 45K" keeps
+    // its year in the label.
+    const NUMBER = '(?<![\\w.])[-+−]?(?:[A-Z]{0,2}\\$|[€£¥₹₩₽₺₪₫฿₱₴₦])?\\d(?:[\\d.,\'’]*\\d)?(?:[eE][-+]?\\d+)?' +
+      '(?:\\s?(?:thousand|million|billion|trillion|mio|mrd|mn|bn|tn|[kmbt])\\b\\.?)?(?:%|\\s?[€£¥₹₩₽₺₪₫฿₱₴₦])?';
+    const PAIR = new RegExp(`^(.*?\\S)\\s*(?::\\s*)?\\(?\\s*(?:from\\s+)?(${NUMBER})\\s*(?:/|vs\\.?|to|->|→)\\s*(${NUMBER})\\s*\\)?$`, 'i');
+    const VALUE_FIRST = new RegExp(`^(.*?)(${NUMBER})\\s+(?:in|for|during|on|by)\\s+(.*\\S)$`, 'i');
+    const LABEL_FIRST = new RegExp(`^(.*?\\S)\\s*(?::|\\s[-–—]\\s|\\bis\\b|\\bwas\\b|\\bwere\\b|\\bat\\b|\\bof\\b)?\\s*\\(?(${NUMBER})\\)?$`, 'i');
+    const SEPARATOR = /\s*(?:[;\n\r]|(?<!\d),|,(?!\d)|(?<!\b(?:vs|mio|mrd|tsd))\.(?=\s|$)|\band\b|=)\s*/gi;
+
+    const unparsed = [];
+    const items = [];
+    let subject = null;
+    let total = false;
+
+    const amount = (token) => {
+      const quantity = DataParser.parseQuantity(token);
+      return Object.assign(quantity, { percent: quantity.unit === '%', signed: /^[-+−]/.test(token) });
+    };
+    const cleanLabel = (label) => label.trim().replace(/^["'“]+|["'”.…!?:]+$/g, '').trim();
+
+    const parseSegment = (segment, start, isTotal) => {
+      let match;
+      if ((match = segment.match(PAIR)) && /[a-z]/i.test(match[1])) {
+        items.push({ label: cleanLabel(match[1]), pair: [amount(match[2]), amount(match[3])],
+          start, end: start + segment.length });
+        return;
+      }
+      if ((match = segment.match(VALUE_FIRST))) {
+        const prefix = match[1].trim();
+        const subjectMatch = prefix.match(/^(.*\S)\s+(?:were|was|is|are|reached|hit|of)$/i);
+        if (prefix && !subjectMatch) {
+          unparsed.push({ start, end: start + prefix.length, text: prefix });
+        } else if (subjectMatch && !subject) {
+          subject = cleanLabel(subjectMatch[1]);
+        }
+        items.push({ label: cleanLabel(match[3]), amount: amount(match[2]), total: isTotal,
+          start, end: start + segment.length });
+        return;
+      }
+      if ((match = segment.match(LABEL_FIRST)) && cleanLabel(match[1])) {
+        items.push({ label: cleanLabel(match[1]), amount: amount(match[2]), total: isTotal,
+          start, end: start + segment.length });
+        return;
+      }
+      unparsed.push({ start, end: start + segment.length, text: segment });
+    };
+
+    let position = 0;
+    let afterEquals = false;
+    const next = (end, separator) => {
+      const raw = text.slice(position, end);
+      const segment = raw.trim();
+      if (segment) {
+        parseSegment(segment, position + raw.indexOf(segment), afterEquals);
+        afterEquals = false;
+      }
+      if (separator === '=') {
+        afterEquals = true;
+        total = true;
+      }
+    };
+    let match;
+    SEPARATOR.lastIndex = 0;
+    while ((match = SEPARATOR.exec(text))) {
+      next(match.index, match[0].trim());
+      position = match.index + match[0].length;
+      if (match[0].length === 0) SEPARATOR.lastIndex++;
+    }
+    next(text.length, null);
+
+    // Items that do not fit the chosen chart are reported as unparsed
+    const pairs = items.filter(item => item.pair);
+    const singles = items.filter(item => !item.pair);
+    const signed = singles.some(item => item.amount.signed);
+    const reject = (list) => list.forEach(item => {
+      unparsed.push({ start: item.start, end: item.end, text: text.slice(item.start, item.end) });
+    });
+
+    let chartType;
+    let data;
+    if (singles.length > 0 && (signed || total)) {
+      chartType = 'waterfall';
+      data = singles.map((item, i) => {
+        const point = { label: item.label, value: item.amount.value };
+        // An unsigned first value is the starting total
+        if (item.total || (i === 0 && !item.amount.signed)) point.type = 'total';
+        return point;
+      });
+      reject(pairs);
+    } else if (pairs.length > singles.length) {
+      chartType = 'dumbbell';
+      data = pairs.map(item => ({ label: item.label, start: item.pair[0].value, end: item.pair[1].value }));
+      reject(singles);
+    } else {
+      const sum = singles.reduce((acc, item) => acc + item.amount.value, 0);
+      const percentages = singles.length > 1 && singles.every(item => item.amount.percent);
+      const timeLabels = singles.length > 1 && singles.every(item => DataParser.isTimeLabel(item.label));
+      chartType = percentages && Math.abs(sum - 100) <= 1.5 ? 'pie' : timeLabels ? 'line' : 'bar';
+      data = singles.map(item => ({ label: item.label, value: item.amount.value }));
+      reject(pairs);
+    }
+
+    unparsed.sort((a, b) => a.start - b.start);
+    if (data.length === 0) {
+      return { chartType: null, data: [], subject, prefix: '', suffix: '', errors: [], unparsed };
+    }
+
+    // Currency or unit written the same way on every value, for the
+    // template's prefix/suffix options
+    const amounts = chartType === 'dumbbell' ? [].concat(...pairs.map(item => item.pair)) : singles.map(item => item.amount);
+    const shared = (key) => amounts.every(quantity => quantity[key] === amounts[0][key]) ? amounts[0][key] : '';
+
+    const validation = DataParser.validateForChart(data, chartType);
+    return {
+      chartType,
+      data: validation.valid ? validation.normalized : data,
+      subject,
+      prefix: shared('prefix'),
+      suffix: shared('suffix'),
+      errors: validation.errors,
+      unparsed
+    };
+  }
+
+  /**
+   * Whether a label names a point in time: a month, quarter, half, weekday,
+   * year or "Week 3"
+   */
+  static isTimeLabel(label) {
+    return /^(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?(?:\s+'?\d{2,4})?$/i.test(label) ||
+      /^(?:fy\s?)?(?:[qh][1-4]\s*)?'?(?:\d{2}|\d{4})?$/i.test(label) && /\d/.test(label) ||
+      /^(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*$/i.test(label) ||
+      /^(?:day|week|month|quarter|year)\s+\d+$/i.test(label) ||
+      DataParser.parseDate(label) !== null;
+  }
+
+  /**
+   * Read a date label: years ("2024"), ISO dates and times ("2024-03",
+   * "2024-03-05", "2024-03-05T14:30", "2024/03/05"), quarters ("Q3 2024",
+   * "Q3'24", "2024-Q3") and month names with a year ("Mar 2024",
+   * "March 5, 2024", "5 Mar 2024", "Sept '24"). A bare month name has no
+   * year, so it cannot be placed in time and gives null. Any four-digit
+   * number counts as a year, so numeric categories such as "1000" and
+   * "5000" look like dates too; charts take options.timeScale: false for
+   * those.
+   * @param {string|number} label
+   * @returns {Object|null} { time, unit }: UTC milliseconds at the start of
+   *   the period, unit 'year', 'quarter', 'month', 'day' or 'time'
+   */
+  static parseDate(label) {
+    if (typeof label === 'number' && Number.isInteger(label)) label = String(label);
+    if (typeof label !== 'string') return null;
+    const text = label.trim();
+    const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+      'september', 'october', 'november', 'december'];
+
+    const fullYear = (year) => year.length === 2 ? 2000 + Number(year) : Number(year);
+    const monthIndex = (name) => {
+      name = name.toLowerCase();
+      return name.length < 3 ? -1 : MONTHS.findIndex(month => month.startsWith(name));
+    };
+    // Rejects overflow such as 2024-02-30
+    const date = (year, month, day, unit) => {
+      const time = Date.UTC(year, month, day);
+      const d = new Date(time);
+      return month >= 0 && d.getUTCMonth() === month && d.getUTCDate() === day ? { time, unit } : null;
+    };
+
+    let m;
+    if ((m = text.match(/^\d{4}$/))) {
+      return { time: Date.UTC(Number(text), 0, 1), unit: 'year' };
+    }
+    if ((m = text.match(/^(\d{4})[-/](\d{1,2})(?:[-/](\d{1,2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?(Z|[+-]\d{2}:?\d{2})?)?)?$/))) {
+      const day = m[3] ? date(+m[1], m[2] - 1, +m[3], m[4] ? 'time' : 'day') : date(+m[1], m[2] - 1, 1, 'month');
+      if (!day || !m[4]) return day;
+      if (+m[4] > 23 || +m[5] > 59 || (m[6] && +m[6] >= 60)) return null;
+      let offset = 0;
+      if (m[7] && m[7] !== 'Z') {
+        const zone = m[7].replace(':', '');
+        offset = (zone[0] === '-' ? -1 : 1) * (Number(zone.slice(1, 3)) * 60 + Number(zone.slice(3))) * 60000;
+      }
+      day.time += ((+m[4] * 60 + +m[5]) * 60 + +(m[6] || 0)) * 1000 - offset;
+      return day;
+    }
+    if ((m = text.match(/^Q([1-4])\s*[-'’]?\s*(\d{4}|\d{2})$/i) || text.match(/^(\d{4})\s*-?\s*Q([1-4])$/i))) {
+      const quarterFirst = /^Q/i.test(text);
+      const year = fullYear(quarterFirst ? m[2] : m[1]);
+      const quarter = Number(quarterFirst ? m[1] : m[2]);
+      return { time: Date.UTC(year, (quarter - 1) * 3, 1), unit: 'quarter' };
+    }
+    if ((m = text.match(/^([a-z]+)\.?\s+(?:(\d{1,2})(?:st|nd|rd|th)?,?\s+)?['’]?(\d{4}|\d{2})$/i))) {
+      return date(fullYear(m[3]), monthIndex(m[1]), m[2] ? +m[2] : 1, m[2] ? 'day' : 'month');
+    }
+    if ((m = text.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]+)\.?,?\s+(\d{4})$/i))) {
+      return date(+m[3], monthIndex(m[2]), +m[1], 'day');
+    }
+    return null;
+  }
+
+  /**
+   * Times for a run of labels, or null unless every label is a date
+   */
+  static parseDates(labels) {
+    const times = [];
+    for (const label of labels) {
+      const date = DataParser.parseDate(label);
+      if (!date) return null;
+      times.push(date.time);
+    }
+    return times;
+  }
+
+  /**
+   * Give items a time (for TimeScale) when all their labels are dates in
+   * ascending order. Items keep their order: when a date does not come
+   * after the one before it, the labels are left as categories (evenly
+   * spaced, no time axis) and a warning says why.
+   * @param {Object[]} items
+   * @param {string} labelKey - Field holding the label
+   * @param {string[]} warnings - Notes are appended here
+   * @param {string} noun - Item name for messages ('Point', 'Period')
+   */
+  static addTimes(items, labelKey, warnings, noun) {
+    const times = DataParser.parseDates(items.map(item => item[labelKey]));
+    if (!times) return items;
+    for (let i = 1; i < times.length; i++) {
+      if (times[i] <= times[i - 1]) {
+        warnings.push(`${noun} ${i + 1} date "${items[i][labelKey]}" is not after "${items[i - 1][labelKey]}", ` +
+          'so the labels are evenly spaced in the given order instead of on a time axis');
+        return items;
+      }
+    }
+    return items.map((item, i) => Object.assign({}, item, { time: times[i] }));
+  }
+
+  /**
+   * Validator for a chart type, or null if there is none
    */
-  static validateForChart(data, chartType) {
+  static getValidator(chartType) {
     const validators = {
       'bar': DataParser.validateBarChartData,
       'pie': DataParser.validatePieChartData,
       'counter': DataParser.validateCounterData,
       'progress': DataParser.validateProgressData,
-      'timeline': DataParser.validateTimelineData
+      'timeline': DataParser.validateTimelineData,
+      'line': DataParser.validateLineChartData,
+      'area': DataParser.validateLineChartData,
+      'lollipop': DataParser.validateLollipopChartData,
+      'donut': DataParser.validateDonutChartData,
+      'treemap': DataParser.validateTreemapChartData,
+      'waterfall': DataParser.validateWaterfallChartData,
+      'funnel': DataParser.validateFunnelChartData,
+      'scatter': DataParser.validateScatterChartData,
+      'bubble': DataParser.validateBubbleChartData,
+      'dumbbell': DataParser.validateDumbbellChartData,
+      'grouped-bar': DataParser.validateGroupedBarChartData,
+      'multi-line': DataParser.validateMultiLineChartData,
+      'heatmap': DataParser.validateHeatmapChartData,
+      'radar': DataParser.validateRadarChartData,
+      'stacked-area': DataParser.validateStackedAreaChartData,
+      'stacked-bar': DataParser.validateStackedBarChartData,
+      'sankey': DataParser.validateSankeyChartData,
+      'gauge': DataParser.validateGaugeChartData
     };
 
-    const validator = validators[chartType];
+    return validators[chartType] || null;
+  }
+
+  /**
+   * Config fields read by templates that need more than config.data, or
+   * null. Their validators take and return an object with these fields;
+   * all others take and return config.data.
+   */
+  static getConfigFields(chartType) {
+    const fields = {
+      'gauge': ['value', 'min', 'max'],
+      'radar': ['data', 'axes'],
+      'sankey': ['leftNodes', 'rightNodes'],
+      'stacked-area': ['data', 'categories'],
+      'stacked-bar': ['data', 'segments']
+    };
+
+    return fields[chartType] || null;
+  }
+
+  /**
+   * Validate data for specific chart types
+   * @param {Object} options - The chart's options (line, area, multi-line
+   *   and stacked-area read timeScale)
+   * @returns {Object} { valid, errors, normalized }, plus warnings from
+   *   line, area, multi-line and stacked-area (dates left off the time axis)
+   */
+  static validateForChart(data, chartType, options) {
+    const validator = DataParser.getValidator(chartType);
     if (!validator) {
       throw new Error(`Unknown chart type: ${chartType}`);
     }
 
-    return validator(data);
+    return validator(data, options);
   }
 
   /**
@@ -327,6 +788,638 @@ class DataParser {
     return { valid: errors.length === 0, errors, normalized };
   }
 
+  /**
+   * Read a number for a validator; records an error (and returns 0) when
+   * it is missing or not numeric
+   */
+  static readNumber(value, name, errors) {
+    if (value === undefined || value === null || value === '') {
+      errors.push(`${name} is missing a value`);
+      return 0;
+    }
+    if (typeof value === 'number' || typeof value === 'string') {
+      try {
+        const num = DataParser.parseNumber(value);
+        if (isFinite(num)) return num;
+      } catch (e) {
+        // reported below
+      }
+    }
+    errors.push(`${name} value must be a number (got ${JSON.stringify(value)})`);
+    return 0;
+  }
+
+  /**
+   * First non-empty field of an item as a string label, or ''
+   */
+  static readLabel(item, keys) {
+    for (const key of keys) {
+      const value = item[key];
+      if (value !== undefined && value !== null && value !== '') return String(value);
+    }
+    return '';
+  }
+
+  /**
+   * Items of list-shaped data: an array, an object wrapping one
+   * ({data}, {items}, {points}) or a plain {label: value} map
+   */
+  static toItems(data) {
+    if (Array.isArray(data)) return data;
+    if (!data || typeof data !== 'object') return null;
+
+    const wrapped = data.data ?? data.items ?? data.points;
+    if (Array.isArray(wrapped)) return wrapped;
+
+    return Object.entries(data).map(([label, value]) => ({ label, value }));
+  }
+
+  /**
+   * Shared check for lists of {label, value} items
+   */
+  static validateLabelValueItems(data, options = {}) {
+    const {
+      minItems = 1,
+      noun = 'Item',
+      shape = '{label, value}',
+      keepColor = false
+    } = options;
+    const errors = [];
+    const items = DataParser.toItems(data);
+
+    if (!items) {
+      errors.push(`Data must be an array of ${shape} items`);
+      return { valid: false, errors };
+    }
+
+    if (items.length < minItems) {
+      errors.push(minItems === 1 ? 'Data must have at least one item' : `At least ${minItems} items are required`);
+    }
+
+    const normalized = items.map((item, i) => {
+      if (!item || typeof item !== 'object') {
+        errors.push(`${noun} ${i + 1} must be an object like ${shape}`);
+        return { label: '', value: 0 };
+      }
+      const label = DataParser.readLabel(item, ['label', 'name', 'category', 'date', 'period', 'x']);
+      if (!label) {
+        errors.push(`${noun} ${i + 1} is missing a label`);
+      }
+      const result = {
+        label,
+        value: DataParser.readNumber(item.value ?? item.amount ?? item.count ?? item.y, `${noun} ${i + 1}`, errors)
+      };
+      if (keepColor && item.color) result.color = item.color;
+      return result;
+    });
+
+    return { valid: errors.length === 0, errors, normalized };
+  }
+
+  /**
+   * Validate line and area chart data: [{label, value}], plus time when
+   * every label is a date (unless options.timeScale is false)
+   */
+  static validateLineChartData(data, options = {}) {
+    const result = DataParser.validateLabelValueItems(data, { minItems: 2, noun: 'Point' });
+    result.warnings = [];
+    if (result.valid && options.timeScale !== false) {
+      result.normalized = DataParser.addTimes(result.normalized, 'label', result.warnings, 'Point');
+    }
+    return result;
+  }
+
+  /**
+   * Validate lollipop chart data: [{label, value, color?}]
+   */
+  static validateLollipopChartData(data) {
+    return DataParser.validateLabelValueItems(data, { keepColor: true });
+  }
+
+  /**
+   * Validate donut chart data: [{label, value, color?}] with a positive total
+   */
+  static validateDonutChartData(data) {
+    const result = DataParser.validateLabelValueItems(data, { keepColor: true });
+
+    if (result.normalized) {
+      result.normalized.forEach((item, i) => {
+        if (item.value < 0) result.errors.push(`Item ${i + 1} value must not be negative`);
+      });
+      if (result.errors.length === 0 && result.normalized.reduce((sum, item) => sum + item.value, 0) <= 0) {
+        result.errors.push('Total of all values must be greater than 0');
+      }
+      result.valid = result.errors.length === 0;
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate treemap data: [{label, value, children?}]; a parent without a
+   * value gets the sum of its children
+   */
+  static validateTreemapChartData(data) {
+    const errors = [];
+    const items = DataParser.toItems(data);
+
+    if (!items || items.length === 0) {
+      errors.push('Data must be a non-empty array of {label, value} items');
+      return { valid: false, errors };
+    }
+
+    const normalizeItems = (list, prefix) => list.map((item, i) => {
+      const name = `${prefix}${i + 1}`;
+      if (!item || typeof item !== 'object') {
+        errors.push(`Item ${name} must be an object like {label, value}`);
+        return { label: '', value: 0 };
+      }
+      const label = DataParser.readLabel(item, ['label', 'name', 'category']);
+      if (!label) errors.push(`Item ${name} is missing a label`);
+
+      const result = { label };
+      if (Array.isArray(item.children) && item.children.length > 0) {
+        result.children = normalizeItems(item.children, `${name}.`);
+      }
+      const raw = item.value ?? item.amount ?? item.size;
+      result.value = raw === undefined && result.children
+        ? result.children.reduce((sum, child) => sum + child.value, 0)
+        : DataParser.readNumber(raw, `Item ${name}`, errors);
+      if (result.value < 0) errors.push(`Item ${name} value must not be negative`);
+      return result;
+    });
+
+    const normalized = normalizeItems(items, '');
+    return { valid: errors.length === 0, errors, normalized };
+  }
+
+  /**
+   * Validate waterfall data: [{label, value, type}]. Types are 'total',
+   * 'increase' or 'decrease' (inferred from the sign when missing);
+   * decreases given as positive amounts are made negative.
+   */
+  static validateWaterfallChartData(data) {
+    const result = DataParser.validateLabelValueItems(data, { shape: '{label, value, type}', keepColor: true });
+    if (!result.normalized) return result;
+
+    const items = DataParser.toItems(data);
+    result.normalized.forEach((item, i) => {
+      const type = items[i] && items[i].type;
+      if (type === undefined || type === null || type === '') {
+        item.type = item.value < 0 ? 'decrease' : 'increase';
+      } else if (type === 'total' || type === 'subtotal') {
+        item.type = 'total';
+      } else if (type === 'decrease') {
+        item.type = 'decrease';
+        item.value = -Math.abs(item.value);
+      } else if (type === 'increase') {
+        item.type = 'increase';
+        if (item.value < 0) result.errors.push(`Item ${i + 1} is an increase with a negative value`);
+      } else {
+        result.errors.push(`Item ${i + 1} type must be 'total', 'increase' or 'decrease' (got ${JSON.stringify(type)})`);
+      }
+    });
+
+    result.valid = result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Validate funnel data: [{stage, value}] starting from a positive value
+   */
+  static validateFunnelChartData(data) {
+    const errors = [];
+    const items = DataParser.toItems(data);
+
+    if (!items || items.length === 0) {
+      errors.push('Data must be a non-empty array of {stage, value} items');
+      return { valid: false, errors };
+    }
+
+    const normalized = items.map((item, i) => {
+      item = item || {};
+      const stage = DataParser.readLabel(item, ['stage', 'label', 'name']);
+      if (!stage) errors.push(`Stage ${i + 1} is missing a name`);
+      const value = DataParser.readNumber(item.value ?? item.count ?? item.amount, `Stage ${i + 1}`, errors);
+      if (value < 0) errors.push(`Stage ${i + 1} value must not be negative`);
+      return { stage, value };
+    });
+
+    if (errors.length === 0 && normalized[0].value <= 0) {
+      errors.push('The first stage must have a value greater than 0');
+    }
+
+    return { valid: errors.length === 0, errors, normalized };
+  }
+
+  /**
+   * Validate scatter data: [{label?, x, y, color?}]
+   */
+  static validateScatterChartData(data) {
+    const errors = [];
+    const items = DataParser.toItems(data);
+
+    if (!items || items.length === 0) {
+      errors.push('Data must be a non-empty array of {label, x, y} points');
+      return { valid: false, errors };
+    }
+
+    const normalized = items.map((item, i) => {
+      item = item || {};
+      const point = {
+        label: DataParser.readLabel(item, ['label', 'name']),
+        x: DataParser.readNumber(item.x, `Point ${i + 1} x`, errors),
+        y: DataParser.readNumber(item.y, `Point ${i + 1} y`, errors)
+      };
+      if (item.color) point.color = item.color;
+      return point;
+    });
+
+    return { valid: errors.length === 0, errors, normalized };
+  }
+
+  /**
+   * Validate bubble data: [{label, x, y, size}]
+   */
+  static validateBubbleChartData(data) {
+    const errors = [];
+    const items = DataParser.toItems(data);
+
+    if (!items || items.length === 0) {
+      errors.push('Data must be a non-empty array of {label, x, y, size} bubbles');
+      return { valid: false, errors };
+    }
+
+    const normalized = items.map((item, i) => {
+      item = item || {};
+      const label = DataParser.readLabel(item, ['label', 'name']);
+      if (!label) errors.push(`Bubble ${i + 1} is missing a label`);
+      const size = DataParser.readNumber(item.size ?? item.r ?? item.radius ?? item.z, `Bubble ${i + 1} size`, errors);
+      if (size < 0) errors.push(`Bubble ${i + 1} size must not be negative`);
+      return {
+        label,
+        x: DataParser.readNumber(item.x, `Bubble ${i + 1} x`, errors),
+        y: DataParser.readNumber(item.y, `Bubble ${i + 1} y`, errors),
+        size
+      };
+    });
+
+    if (errors.length === 0 && normalized.every(item => item.size === 0)) {
+      errors.push('At least one bubble must have a size greater than 0');
+    }
+
+    return { valid: errors.length === 0, errors, normalized };
+  }
+
+  /**
+   * Validate dumbbell data: [{label, start, end, startLabel?, endLabel?}]
+   */
+  static validateDumbbellChartData(data) {
+    const errors = [];
+    const items = DataParser.toItems(data);
+
+    if (!items || items.length === 0) {
+      errors.push('Data must be a non-empty array of {label, start, end} items');
+      return { valid: false, errors };
+    }
+
+    const normalized = items.map((item, i) => {
+      item = item || {};
+      const label = DataParser.readLabel(item, ['label', 'name', 'category']);
+      if (!label) errors.push(`Item ${i + 1} is missing a label`);
+      const result = {
+        label,
+        start: DataParser.readNumber(item.start ?? item.before ?? item.from, `Item ${i + 1} start`, errors),
+        end: DataParser.readNumber(item.end ?? item.after ?? item.to, `Item ${i + 1} end`, errors)
+      };
+      if (item.startLabel) result.startLabel = String(item.startLabel);
+      if (item.endLabel) result.endLabel = String(item.endLabel);
+      return result;
+    });
+
+    return { valid: errors.length === 0, errors, normalized };
+  }
+
+  /**
+   * Shared check for {labels, series: [{name, values, color?}]} tables.
+   * Also accepts rows such as [{label: 'Q1', '2023': 10, '2024': 12}],
+   * turning every other column into a series.
+   */
+  static validateSeriesTable(data, labelsKey, minLabels) {
+    const errors = [];
+    let labels;
+    let series;
+
+    if (Array.isArray(data)) {
+      const labelKeys = ['label', 'category', 'name', 'period', 'date', 'x'];
+      const labelKey = data.length && data[0] && labelKeys.find(key => key in data[0]);
+      if (!labelKey) {
+        errors.push(`Rows must have a label column (${labelKeys.join(', ')})`);
+        return { valid: false, errors };
+      }
+      labels = data.map(row => String(row[labelKey]));
+      series = Object.keys(data[0]).filter(key => key !== labelKey).map(name => ({
+        name,
+        values: data.map(row => row[name])
+      }));
+    } else if (data && typeof data === 'object') {
+      labels = data[labelsKey] ?? data.labels ?? data.categories;
+      series = data.series;
+    } else {
+      errors.push(`Data must be {${labelsKey}, series} or an array of rows`);
+      return { valid: false, errors };
+    }
+
+    if (!Array.isArray(labels) || labels.length === 0) {
+      errors.push(`Data is missing ${labelsKey}`);
+      labels = [];
+    } else if (labels.length < minLabels) {
+      errors.push(`At least ${minLabels} ${labelsKey} are required`);
+    }
+    if (!Array.isArray(series) || series.length === 0) {
+      errors.push('Data must have at least one series');
+      series = [];
+    }
+
+    const normalizedSeries = series.map((s, i) => {
+      s = s || {};
+      const name = DataParser.readLabel(s, ['name', 'label']);
+      if (!name) errors.push(`Series ${i + 1} is missing a name`);
+      let values = Array.isArray(s.values) ? s.values : (Array.isArray(s.data) ? s.data : null);
+      if (!values) {
+        errors.push(`Series ${i + 1} is missing its values`);
+        values = [];
+      } else if (values.length !== labels.length) {
+        errors.push(`Series ${i + 1} has ${values.length} values for ${labels.length} ${labelsKey}`);
+      }
+      const result = {
+        name,
+        values: values.map((value, j) => DataParser.readNumber(value, `Series ${i + 1} point ${j + 1}`, errors))
+      };
+      if (s.color) result.color = s.color;
+      return result;
+    });
+
+    const normalized = { series: normalizedSeries };
+    normalized[labelsKey] = labels.map(String);
+    return { valid: errors.length === 0, errors, normalized };
+  }
+
+  /**
+   * Validate grouped bar data: {categories, series: [{name, values, color?}]}
+   */
+  static validateGroupedBarChartData(data) {
+    return DataParser.validateSeriesTable(data, 'categories', 1);
+  }
+
+  /**
+   * Validate multi-line data: {labels, series: [{name, values, color?}]},
+   * plus times (one per label) when every label is a date (unless
+   * options.timeScale is false)
+   */
+  static validateMultiLineChartData(data, options = {}) {
+    const result = DataParser.validateSeriesTable(data, 'labels', 2);
+    result.warnings = [];
+    if (!result.valid || options.timeScale === false) return result;
+
+    const table = result.normalized;
+    const rows = DataParser.addTimes(table.labels.map(label => ({ label })), 'label', result.warnings, 'Label');
+    if (rows[0].time !== undefined) table.times = rows.map(row => row.time);
+    return result;
+  }
+
+  /**
+   * Validate heatmap data: {rows, cols, values} with one value per cell
+   */
+  static validateHeatmapChartData(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      errors.push('Data must be {rows, cols, values}');
+      return { valid: false, errors };
+    }
+
+    const rows = Array.isArray(data.rows) ? data.rows.map(String) : [];
+    const cols = Array.isArray(data.cols ?? data.columns) ? (data.cols ?? data.columns).map(String) : [];
+    if (rows.length === 0) errors.push('Data is missing rows');
+    if (cols.length === 0) errors.push('Data is missing cols');
+
+    let values = Array.isArray(data.values) ? data.values : [];
+    if (values.length !== rows.length) {
+      errors.push(`Values have ${values.length} rows for ${rows.length} row labels`);
+    }
+
+    values = values.map((row, i) => {
+      if (!Array.isArray(row)) {
+        errors.push(`Values row ${i + 1} must be an array`);
+        return [];
+      }
+      if (row.length !== cols.length) {
+        errors.push(`Values row ${i + 1} has ${row.length} cells for ${cols.length} columns`);
+      }
+      return row.map((value, j) => DataParser.readNumber(value, `Cell ${i + 1},${j + 1}`, errors));
+    });
+
+    return { valid: errors.length === 0, errors, normalized: { rows, cols, values } };
+  }
+
+  /**
+   * Values of one stacked/radar entry keyed by name, accepting an array in
+   * keys order; missing keys are 0 unless required
+   */
+  static readValueMap(values, keys, name, errors, required) {
+    const result = {};
+    if (Array.isArray(values)) {
+      if (values.length !== keys.length) {
+        errors.push(`${name} has ${values.length} values for ${keys.length} keys`);
+      }
+      keys.forEach((key, i) => {
+        result[key] = DataParser.readNumber(values[i], `${name} ${key}`, errors);
+      });
+      return result;
+    }
+
+    values = values && typeof values === 'object' ? values : {};
+    keys.forEach(key => {
+      if (values[key] === undefined && !required) {
+        result[key] = 0;
+      } else {
+        result[key] = DataParser.readNumber(values[key], `${name} ${key}`, errors);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Keys used across entries' values maps, in first-seen order
+   */
+  static collectKeys(items) {
+    const keys = [];
+    items.forEach(item => {
+      const values = item && item.values;
+      if (values && typeof values === 'object' && !Array.isArray(values)) {
+        Object.keys(values).forEach(key => {
+          if (!keys.includes(key)) keys.push(key);
+        });
+      }
+    });
+    return keys;
+  }
+
+  /**
+   * Validate radar data: {data: [{name, values: {axis: value}}], axes}.
+   * Axes default to the keys of the series values; an array of series
+   * alone is accepted too.
+   */
+  static validateRadarChartData(input) {
+    const errors = [];
+    const source = Array.isArray(input) ? { data: input } : (input || {});
+    const items = source.data ?? source.series;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      errors.push('Data must be a non-empty array of {name, values} series');
+      return { valid: false, errors };
+    }
+
+    const axes = Array.isArray(source.axes) ? source.axes.map(String) : DataParser.collectKeys(items);
+    if (axes.length < 3) {
+      errors.push('At least 3 axes are required');
+    }
+
+    const data = items.map((s, i) => {
+      s = s || {};
+      const name = DataParser.readLabel(s, ['name', 'label']);
+      if (!name) errors.push(`Series ${i + 1} is missing a name`);
+      const values = DataParser.readValueMap(s.values, axes, `Series ${i + 1}`, errors, true);
+      axes.forEach(axis => {
+        if (values[axis] < 0) errors.push(`Series ${i + 1} ${axis} must not be negative`);
+      });
+      return { name, values };
+    });
+
+    return { valid: errors.length === 0, errors, normalized: { data, axes } };
+  }
+
+  /**
+   * Shared check for stacked data: [{<labelKey>, values: {key: value}}]
+   * with the list of keys under keysField (derived when missing)
+   */
+  static validateStackedData(input, labelKey, keysField, minItems) {
+    const errors = [];
+    const source = Array.isArray(input) ? { data: input } : (input || {});
+    const items = source.data;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      errors.push(`Data must be a non-empty array of {${labelKey}, values} items`);
+      return { valid: false, errors };
+    }
+    if (items.length < minItems) {
+      errors.push(`At least ${minItems} items are required`);
+    }
+
+    const keys = Array.isArray(source[keysField]) ? source[keysField].map(String) : DataParser.collectKeys(items);
+    if (keys.length === 0) {
+      errors.push(`Data is missing ${keysField}`);
+    }
+
+    const data = items.map((item, i) => {
+      item = item || {};
+      const label = DataParser.readLabel(item, [labelKey, 'label', 'name']);
+      if (!label) errors.push(`Item ${i + 1} is missing a ${labelKey}`);
+      const values = DataParser.readValueMap(item.values, keys, `Item ${i + 1}`, errors, false);
+      keys.forEach(key => {
+        if (values[key] < 0) errors.push(`Item ${i + 1} ${key} must not be negative`);
+      });
+      return { [labelKey]: label, values };
+    });
+
+    if (errors.length === 0 && data.some(item => keys.every(key => item.values[key] === 0))) {
+      errors.push('Every item needs at least one value greater than 0');
+    }
+
+    const normalized = { data };
+    normalized[keysField] = keys;
+    return { valid: errors.length === 0, errors, normalized };
+  }
+
+  /**
+   * Validate stacked area data: {data: [{period, values}], categories},
+   * plus time on each item when every period is a date (unless
+   * options.timeScale is false)
+   */
+  static validateStackedAreaChartData(input, options = {}) {
+    const result = DataParser.validateStackedData(input, 'period', 'categories', 2);
+    result.warnings = [];
+    if (result.valid && options.timeScale !== false) {
+      result.normalized.data = DataParser.addTimes(result.normalized.data, 'period', result.warnings, 'Period');
+    }
+    return result;
+  }
+
+  /**
+   * Validate stacked bar data: {data: [{category, values}], segments}
+   */
+  static validateStackedBarChartData(input) {
+    return DataParser.validateStackedData(input, 'category', 'segments', 1);
+  }
+
+  /**
+   * Validate sankey data: {leftNodes, rightNodes}, each [{label, value, color}]
+   */
+  static validateSankeyChartData(input) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object') {
+      errors.push('Data must be {leftNodes, rightNodes}');
+      return { valid: false, errors };
+    }
+
+    const readNodes = (nodes, side) => {
+      if (!Array.isArray(nodes) || nodes.length === 0) {
+        errors.push(`${side} nodes are required`);
+        return [];
+      }
+      return nodes.map((node, i) => {
+        node = node || {};
+        const label = DataParser.readLabel(node, ['label', 'name']);
+        if (!label) errors.push(`${side} node ${i + 1} is missing a label`);
+        if (!node.color) errors.push(`${side} node ${i + 1} is missing a color`);
+        const value = DataParser.readNumber(node.value ?? node.amount, `${side} node ${i + 1}`, errors);
+        if (value <= 0) errors.push(`${side} node ${i + 1} value must be greater than 0`);
+        return { label, value, color: node.color };
+      });
+    };
+
+    const normalized = {
+      leftNodes: readNodes(input.leftNodes ?? input.sources, 'Left'),
+      rightNodes: readNodes(input.rightNodes ?? input.targets, 'Right')
+    };
+
+    return { valid: errors.length === 0, errors, normalized };
+  }
+
+  /**
+   * Validate gauge data: a number or {value, min?, max?} (0-100 by default)
+   */
+  static validateGaugeChartData(input) {
+    const errors = [];
+    const source = typeof input === 'object' && input !== null ? input : { value: input };
+
+    const value = DataParser.readNumber(source.value, 'Gauge', errors);
+    const min = source.min === undefined ? 0 : DataParser.readNumber(source.min, 'Gauge min', errors);
+    const max = source.max === undefined ? 100 : DataParser.readNumber(source.max, 'Gauge max', errors);
+
+    if (errors.length === 0) {
+      if (min >= max) {
+        errors.push(`Gauge min (${min}) must be less than max (${max})`);
+      } else if (value < min || value > max) {
+        errors.push(`Gauge value ${value} is outside ${min}-${max}`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors, normalized: { value, min, max } };
+  }
+
   /**
    * Normalize data for chart rendering
    */
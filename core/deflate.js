@@ -0,0 +1,455 @@
+/**
+ * Self-contained DEFLATE / zlib Compressor (RFC 1950, RFC 1951)
+ * No external dependencies - used by APNGEncoder so PNG export works
+ * offline. LZ77 with hash chains, then each block is written with whichever
+ * of fixed Huffman, dynamic Huffman or stored costs the fewest bits.
+ *
+ * Like GIFEncoder, everything lives inside the constructor so the source
+ * can be embedded in generated pages with DeflateEncoder.toString().
+ */
+
+function DeflateEncoder(options) {
+  options = options || {};
+
+  // Hash chain depth: how many earlier positions are tried per match.
+  // Higher finds longer matches on noisy (anti-aliased) rows but is slower.
+  this.maxChain = options.maxChain || 32;
+
+  var WSIZE = 32768;          // LZ77 window
+  var WMASK = WSIZE - 1;
+  var HSIZE = 1 << 15;        // Hash table size (3-byte prefixes)
+  var MIN_MATCH = 3;
+  var MAX_MATCH = 258;
+  var BLOCK_SYMBOLS = 32768;  // Symbols per block before Huffman codes are rebuilt
+
+  var LEN_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+  var LEN_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+  var DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+  var DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+  var CL_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+  // Match length (3..258) -> length code index, distance (1..32768) -> distance code
+  var lengthCode = new Uint8Array(MAX_MATCH + 1);
+  for (var c = 0; c < LEN_BASE.length; c++) {
+    for (var l = LEN_BASE[c]; l < LEN_BASE[c] + (1 << LEN_EXTRA[c]) && l <= MAX_MATCH; l++) lengthCode[l] = c;
+  }
+  lengthCode[MAX_MATCH] = 28;
+  var distCode = new Uint8Array(WSIZE + 1);
+  for (c = 0; c < DIST_BASE.length; c++) {
+    for (var d = DIST_BASE[c]; d < DIST_BASE[c] + (1 << DIST_EXTRA[c]) && d <= WSIZE; d++) distCode[d] = c;
+  }
+
+  // Output: a Uint8Array that doubles in size when full, written LSB-first
+  this.data = null;
+  this.length = 0;
+  this.bitBuffer = 0;
+  this.bitCount = 0;
+
+  this.writeBits = function(value, count) {
+    this.bitBuffer |= value << this.bitCount;
+    this.bitCount += count;
+    while (this.bitCount >= 8) {
+      if (this.length === this.data.length) this.grow(1);
+      this.data[this.length++] = this.bitBuffer & 0xFF;
+      this.bitBuffer >>>= 8;
+      this.bitCount -= 8;
+    }
+  };
+  this.alignByte = function() {
+    if (this.bitCount > 0) this.writeBits(0, 8 - this.bitCount);
+  };
+  this.grow = function(needed) {
+    var size = this.data.length;
+    while (size < this.length + needed) size *= 2;
+    var next = new Uint8Array(size);
+    next.set(this.data.subarray(0, this.length));
+    this.data = next;
+  };
+
+  /**
+   * Compress bytes into a zlib stream (2-byte header, deflate data,
+   * Adler-32 checksum)
+   * @param {Uint8Array} bytes
+   * @returns {Uint8Array}
+   */
+  this.zlib = function(bytes) {
+    this.data = new Uint8Array(Math.max(1024, bytes.length >> 2));
+    this.length = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+
+    this.writeBits(0x78, 8); // 32K window, deflate
+    this.writeBits(0x9C, 8); // Default compression level, header checksum
+    this.compress(bytes);
+    this.alignByte();
+
+    var adler = this.adler32(bytes);
+    this.writeBits((adler >>> 24) & 0xFF, 8);
+    this.writeBits((adler >>> 16) & 0xFF, 8);
+    this.writeBits((adler >>> 8) & 0xFF, 8);
+    this.writeBits(adler & 0xFF, 8);
+    return this.data.slice(0, this.length);
+  };
+
+  /**
+   * Compress bytes into raw deflate blocks (no zlib wrapper)
+   */
+  this.deflate = function(bytes) {
+    this.data = new Uint8Array(Math.max(1024, bytes.length >> 2));
+    this.length = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+    this.compress(bytes);
+    this.alignByte();
+    return this.data.slice(0, this.length);
+  };
+
+  this.adler32 = function(bytes) {
+    var a = 1, b = 0;
+    for (var i = 0; i < bytes.length; ) {
+      // 5552 is the largest run that cannot overflow before the modulo
+      var end = Math.min(i + 5552, bytes.length);
+      for (; i < end; i++) {
+        a += bytes[i];
+        b += a;
+      }
+      a %= 65521;
+      b %= 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+  };
+
+  /**
+   * LZ77 pass: find matches through hash chains and hand symbols to
+   * writeBlock() in batches of BLOCK_SYMBOLS. A symbol is a literal byte
+   * (length 0) or a (length, distance) pair.
+   */
+  this.compress = function(bytes) {
+    var n = bytes.length;
+    var head = new Int32Array(HSIZE).fill(-1);
+    var prev = new Int32Array(WSIZE);
+    var lengths = new Uint16Array(BLOCK_SYMBOLS);
+    var values = new Uint16Array(BLOCK_SYMBOLS);
+    var count = 0;
+    var blockStart = 0;
+    var i = 0;
+
+    function hash(p) {
+      return ((bytes[p] << 10) ^ (bytes[p + 1] << 5) ^ bytes[p + 2]) & (HSIZE - 1);
+    }
+
+    while (i < n) {
+      var bestLen = 0;
+      var bestDist = 0;
+
+      if (i + MIN_MATCH <= n) {
+        var h = hash(i);
+        var candidate = head[h];
+        var chain = this.maxChain;
+        var maxLen = Math.min(MAX_MATCH, n - i);
+        while (candidate >= 0 && i - candidate <= WSIZE && chain-- > 0) {
+          if (bytes[candidate + bestLen] === bytes[i + bestLen]) {
+            var len = 0;
+            while (len < maxLen && bytes[candidate + len] === bytes[i + len]) len++;
+            if (len > bestLen) {
+              bestLen = len;
+              bestDist = i - candidate;
+              if (len === maxLen) break;
+            }
+          }
+          candidate = prev[candidate & WMASK];
+        }
+        prev[i & WMASK] = head[h];
+        head[h] = i;
+      }
+
+      if (bestLen >= MIN_MATCH) {
+        lengths[count] = bestLen;
+        values[count] = bestDist;
+        // Index the positions inside the match so later data can refer to them
+        for (var j = i + 1; j < i + bestLen && j + MIN_MATCH <= n; j++) {
+          var hj = hash(j);
+          prev[j & WMASK] = head[hj];
+          head[hj] = j;
+        }
+        i += bestLen;
+      } else {
+        lengths[count] = 0;
+        values[count] = bytes[i];
+        i++;
+      }
+
+      if (++count === BLOCK_SYMBOLS) {
+        this.writeBlock(bytes, blockStart, i, lengths, values, count, i === n);
+        blockStart = i;
+        count = 0;
+      }
+    }
+
+    if (count > 0 || n === 0) this.writeBlock(bytes, blockStart, n, lengths, values, count, true);
+  };
+
+  /**
+   * Write one block, choosing the cheapest of stored, fixed and dynamic
+   * Huffman coding for its symbols
+   */
+  this.writeBlock = function(bytes, start, end, lengths, values, count, last) {
+    var litFreq = new Uint32Array(286);
+    var distFreq = new Uint32Array(30);
+    var extraBits = 0;
+    for (var i = 0; i < count; i++) {
+      if (lengths[i] === 0) {
+        litFreq[values[i]]++;
+      } else {
+        var lc = lengthCode[lengths[i]];
+        var dc = distCode[values[i]];
+        litFreq[257 + lc]++;
+        distFreq[dc]++;
+        extraBits += LEN_EXTRA[lc] + DIST_EXTRA[dc];
+      }
+    }
+    litFreq[256] = 1; // End of block
+
+    var fixedLit = this.fixedLengths();
+    var fixedDist = new Uint8Array(30).fill(5);
+    var fixedBits = 3 + extraBits + this.codedBits(litFreq, fixedLit) + this.codedBits(distFreq, fixedDist);
+
+    var litLens = this.huffmanLengths(litFreq, 15);
+    var distLens = this.huffmanLengths(distFreq, 15);
+    // A block with no matches still needs one distance code
+    if (distLens.every(function(v) { return v === 0; })) distLens[0] = 1;
+    var header = this.dynamicHeader(litLens, distLens);
+    var dynamicBits = 3 + header.bits + extraBits + this.codedBits(litFreq, litLens) + this.codedBits(distFreq, distLens);
+
+    var storedBits = (end - start) * 8 + Math.ceil((end - start) / 65535 || 1) * 40;
+
+    if (storedBits < fixedBits && storedBits < dynamicBits) {
+      this.writeStored(bytes, start, end, last);
+    } else if (fixedBits <= dynamicBits) {
+      this.writeBits(last ? 1 : 0, 1);
+      this.writeBits(1, 2);
+      this.writeSymbols(lengths, values, count, this.canonicalCodes(fixedLit), fixedLit,
+        this.canonicalCodes(fixedDist), fixedDist);
+    } else {
+      this.writeBits(last ? 1 : 0, 1);
+      this.writeBits(2, 2);
+      this.writeDynamicHeader(header);
+      this.writeSymbols(lengths, values, count, this.canonicalCodes(litLens), litLens,
+        this.canonicalCodes(distLens), distLens);
+    }
+  };
+
+  this.writeStored = function(bytes, start, end, last) {
+    do {
+      var size = Math.min(65535, end - start);
+      var final = last && start + size === end;
+      this.writeBits(final ? 1 : 0, 1);
+      this.writeBits(0, 2);
+      this.alignByte();
+      this.writeBits(size & 0xFF, 8);
+      this.writeBits(size >> 8, 8);
+      this.writeBits(~size & 0xFF, 8);
+      this.writeBits((~size >> 8) & 0xFF, 8);
+      if (this.length + size > this.data.length) this.grow(size);
+      this.data.set(bytes.subarray(start, start + size), this.length);
+      this.length += size;
+      start += size;
+    } while (start < end);
+  };
+
+  this.writeSymbols = function(lengths, values, count, litCodes, litLens, distCodes, distLens) {
+    for (var i = 0; i < count; i++) {
+      var len = lengths[i];
+      if (len === 0) {
+        this.writeBits(litCodes[values[i]], litLens[values[i]]);
+        continue;
+      }
+      var lc = lengthCode[len];
+      this.writeBits(litCodes[257 + lc], litLens[257 + lc]);
+      if (LEN_EXTRA[lc]) this.writeBits(len - LEN_BASE[lc], LEN_EXTRA[lc]);
+      var dist = values[i];
+      var dc = distCode[dist];
+      this.writeBits(distCodes[dc], distLens[dc]);
+      if (DIST_EXTRA[dc]) this.writeBits(dist - DIST_BASE[dc], DIST_EXTRA[dc]);
+    }
+    this.writeBits(litCodes[256], litLens[256]);
+  };
+
+  this.codedBits = function(freq, lens) {
+    var bits = 0;
+    for (var i = 0; i < freq.length; i++) bits += freq[i] * lens[i];
+    return bits;
+  };
+
+  this.fixedLengths = function() {
+    var lens = new Uint8Array(288);
+    for (var i = 0; i < 288; i++) lens[i] = i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8;
+    return lens;
+  };
+
+  /**
+   * Huffman code lengths for the given frequencies, limited to maxBits.
+   * When the tree is too deep the frequencies are halved (keeping used
+   * symbols non-zero) and the tree rebuilt, which flattens it.
+   */
+  this.huffmanLengths = function(freq, maxBits) {
+    var n = freq.length;
+    var lens = new Uint8Array(n);
+    var weights = Array.prototype.slice.call(freq);
+
+    for (;;) {
+      var symbols = [];
+      for (var i = 0; i < n; i++) if (weights[i] > 0) symbols.push(i);
+      if (symbols.length === 0) return lens;
+      if (symbols.length === 1) {
+        lens[symbols[0]] = 1;
+        return lens;
+      }
+      symbols.sort(function(a, b) { return weights[a] - weights[b] || a - b; });
+
+      // Two-queue construction: sorted leaves, then internal nodes in the
+      // order they are created (which is also sorted)
+      var count = symbols.length;
+      var weight = new Float64Array(2 * count);
+      var parent = new Int32Array(2 * count);
+      for (i = 0; i < count; i++) weight[i] = weights[symbols[i]];
+      var leaf = 0, node = count, next = count;
+      var pick = function() {
+        if (leaf < count && (node >= next || weight[leaf] <= weight[node])) return leaf++;
+        return node++;
+      };
+      while (next < 2 * count - 1) {
+        var a = pick(), b = pick();
+        weight[next] = weight[a] + weight[b];
+        parent[a] = next;
+        parent[b] = next;
+        next++;
+      }
+
+      // Depth of each leaf; the root (last node) has depth 0
+      var depth = new Uint8Array(2 * count);
+      var tooDeep = false;
+      for (i = 2 * count - 3; i >= 0; i--) {
+        depth[i] = depth[parent[i]] + 1;
+        if (i < count && depth[i] > maxBits) tooDeep = true;
+      }
+      if (!tooDeep) {
+        for (i = 0; i < count; i++) lens[symbols[i]] = depth[i];
+        return lens;
+      }
+      for (i = 0; i < n; i++) if (weights[i] > 0) weights[i] = (weights[i] + 1) >> 1;
+    }
+  };
+
+  /**
+   * Canonical Huffman codes from code lengths, bit-reversed because
+   * deflate writes codes starting from the most significant bit
+   */
+  this.canonicalCodes = function(lens) {
+    var blCount = new Uint16Array(16);
+    for (var i = 0; i < lens.length; i++) blCount[lens[i]]++;
+    blCount[0] = 0;
+    var nextCode = new Uint16Array(16);
+    var code = 0;
+    for (var bits = 1; bits < 16; bits++) {
+      code = (code + blCount[bits - 1]) << 1;
+      nextCode[bits] = code;
+    }
+    var codes = new Uint16Array(lens.length);
+    for (i = 0; i < lens.length; i++) {
+      var len = lens[i];
+      if (len === 0) continue;
+      var c = nextCode[len]++;
+      var reversed = 0;
+      for (var b = 0; b < len; b++) {
+        reversed = (reversed << 1) | (c & 1);
+        c >>= 1;
+      }
+      codes[i] = reversed;
+    }
+    return codes;
+  };
+
+  /**
+   * Run-length encode the literal/length and distance code lengths with
+   * the code-length alphabet (16 = repeat previous, 17/18 = runs of zeros)
+   * and size the resulting dynamic block header
+   */
+  this.dynamicHeader = function(litLens, distLens) {
+    var hlit = 286;
+    while (hlit > 257 && litLens[hlit - 1] === 0) hlit--;
+    var hdist = 30;
+    while (hdist > 1 && distLens[hdist - 1] === 0) hdist--;
+
+    var all = new Uint8Array(hlit + hdist);
+    all.set(litLens.subarray(0, hlit));
+    all.set(distLens.subarray(0, hdist), hlit);
+
+    var symbols = [];  // [code, extra value]
+    var clFreq = new Uint32Array(19);
+    for (var i = 0; i < all.length; ) {
+      var len = all[i];
+      var run = 1;
+      while (i + run < all.length && all[i + run] === len) run++;
+      i += run;
+      if (len === 0) {
+        while (run >= 11) {
+          var r = Math.min(run, 138);
+          symbols.push([18, r - 11]);
+          run -= r;
+        }
+        if (run >= 3) {
+          symbols.push([17, run - 3]);
+          run = 0;
+        }
+      } else {
+        symbols.push([len, 0]);
+        run--;
+        while (run >= 3) {
+          var rr = Math.min(run, 6);
+          symbols.push([16, rr - 3]);
+          run -= rr;
+        }
+      }
+      while (run-- > 0) symbols.push([len, 0]);
+    }
+    for (i = 0; i < symbols.length; i++) clFreq[symbols[i][0]]++;
+
+    var clLens = this.huffmanLengths(clFreq, 7);
+    var hclen = 19;
+    while (hclen > 4 && clLens[CL_ORDER[hclen - 1]] === 0) hclen--;
+
+    var bits = 5 + 5 + 4 + hclen * 3;
+    for (i = 0; i < symbols.length; i++) {
+      var sym = symbols[i][0];
+      bits += clLens[sym] + (sym === 16 ? 2 : sym === 17 ? 3 : sym === 18 ? 7 : 0);
+    }
+
+    return { hlit: hlit, hdist: hdist, hclen: hclen, symbols: symbols, clLens: clLens, bits: bits };
+  };
+
+  this.writeDynamicHeader = function(header) {
+    this.writeBits(header.hlit - 257, 5);
+    this.writeBits(header.hdist - 1, 5);
+    this.writeBits(header.hclen - 4, 4);
+    for (var i = 0; i < header.hclen; i++) this.writeBits(header.clLens[CL_ORDER[i]], 3);
+
+    var clCodes = this.canonicalCodes(header.clLens);
+    for (i = 0; i < header.symbols.length; i++) {
+      var sym = header.symbols[i][0];
+      this.writeBits(clCodes[sym], header.clLens[sym]);
+      if (sym === 16) this.writeBits(header.symbols[i][1], 2);
+      else if (sym === 17) this.writeBits(header.symbols[i][1], 3);
+      else if (sym === 18) this.writeBits(header.symbols[i][1], 7);
+    }
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DeflateEncoder;
+}
@@ -0,0 +1,84 @@
+/**
+ * Generator Adapter
+ * Draws one frame of a generator template (bar, pie, counter, progress,
+ * timeline), whose generate methods loop over an AnimationEngine sequence
+ * and add each frame to a GIFGenerator, at a given progress. The template
+ * gets a one-frame generator over the target context and a sequence holding
+ * only the frame at that progress, so the classes render through
+ * render(ctx, config, progress) like the object templates: the spec GIF
+ * timeline, the HTML page, video and PDF.
+ *
+ * Usage (a static method on the template class):
+ *   static render(ctx, config, progress) {
+ *     GeneratorAdapter.render(BarChartTemplate, 'generateVertical', ctx, config, progress);
+ *   }
+ */
+
+var GeneratorAdapter = {
+
+  // Sequence resolution: one frame per millisecond, so the frame picked
+  // for a progress is as smooth as the render() templates
+  fps: 1000,
+
+  /**
+   * Template style keys from a ChartConfig style
+   */
+  style: function(style) {
+    return {
+      backgroundColor: style.background,
+      textColor: style.text,
+      accentColor: style.colors[0],
+      secondaryColor: style.gridLine,
+      gridColor: style.gridLine,
+      colors: style.colors
+    };
+  },
+
+  /**
+   * Draw a generator template at one progress
+   * @param {Function} Template - Generator template class
+   * @param {string} method - Generate method to run (e.g. 'generateVertical')
+   * @param {CanvasRenderingContext2D} ctx - Context to draw into
+   * @param {Object} config - { data, title, options, style, layout }
+   * @param {number} progress - Animation progress (0-1)
+   */
+  render: function(Template, method, ctx, config, progress) {
+    var layout = config.layout;
+    var generator = {
+      width: layout.width,
+      height: layout.height,
+      getContext: function() { return ctx; },
+      getFrameDelay: function() { return 50; },
+      clear: function(color) {
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, layout.width, layout.height);
+      },
+      addFrame: function() {}
+    };
+
+    // Looked up here: AnimationEngine is a class, which a top-level var
+    // cannot redeclare in the page
+    var Engine = typeof AnimationEngine !== 'undefined' ? AnimationEngine : require('./animation-engine.js');
+    var engine = new Engine({ fps: this.fps });
+    var pick = function(frames) {
+      return [frames[Math.round(Math.max(0, Math.min(1, progress)) * (frames.length - 1))]];
+    };
+    var sequence = {
+      generateStaggeredSequence: function(count, options) { return pick(engine.generateStaggeredSequence(count, options)); },
+      generateFrameTimestamps: function(duration, options) { return pick(engine.generateFrameTimestamps(duration, options)); },
+      generateCounterFrames: function(value, options) { return pick(engine.generateCounterFrames(value, options)); }
+    };
+
+    // The spec timeline has its own hold, so the sequence runs from the
+    // first item starting to the last one finishing
+    var options = Object.assign({ title: config.title }, config.options, { startDelay: 0, endPause: 0 });
+    // The generate methods are async but never await, so the frame is
+    // drawn by the time this returns
+    new Template(generator, this.style(config.style), sequence)[method](config.data, options);
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GeneratorAdapter;
+}
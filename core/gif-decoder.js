@@ -0,0 +1,351 @@
+/**
+ * Self-contained GIF Decoder
+ * Parses GIF87a/GIF89a files back into frames - the counterpart of
+ * GIFEncoder, used to verify encoder output (frame count, delays, colors)
+ * and to load an exported infographic as the background of a new one.
+ *
+ * Handles global and local color tables, graphics control extensions
+ * (delay, disposal, transparency), interlacing, NETSCAPE loop counts and
+ * comment extensions.
+ */
+
+function GIFDecoder(bytes) {
+  if (bytes instanceof ArrayBuffer) bytes = new Uint8Array(bytes);
+  this.bytes = bytes;
+  this.pos = 0;
+
+  this.width = 0;
+  this.height = 0;
+  this.globalPalette = null;
+  this.backgroundIndex = 0;
+  this.loop = null;       // null = no NETSCAPE extension (plays once)
+  this.comments = [];
+  this.frames = [];       // Raw frames: palette indices plus frame metadata
+
+  this.readByte = function() {
+    if (this.pos >= this.bytes.length) throw new Error('Unexpected end of GIF data');
+    return this.bytes[this.pos++];
+  };
+  this.readShort = function() {
+    var lo = this.readByte();
+    return lo | (this.readByte() << 8);
+  };
+  this.readString = function(length) {
+    var s = '';
+    for (var i = 0; i < length; i++) s += String.fromCharCode(this.readByte());
+    return s;
+  };
+  this.readPalette = function(size) {
+    var palette = new Uint8Array(size * 3);
+    for (var i = 0; i < palette.length; i++) palette[i] = this.readByte();
+    return palette;
+  };
+
+  /**
+   * Concatenate a run of data sub-blocks (terminated by a zero-length block)
+   */
+  this.readSubBlocks = function() {
+    var chunks = [];
+    var total = 0;
+    var size;
+    while ((size = this.readByte()) !== 0) {
+      if (this.pos + size > this.bytes.length) throw new Error('Unexpected end of GIF data');
+      chunks.push(this.bytes.subarray(this.pos, this.pos + size));
+      this.pos += size;
+      total += size;
+    }
+    var out = new Uint8Array(total);
+    var offset = 0;
+    for (var i = 0; i < chunks.length; i++) {
+      out.set(chunks[i], offset);
+      offset += chunks[i].length;
+    }
+    return out;
+  };
+
+  this.parse = function() {
+    var signature = this.readString(6);
+    if (signature !== 'GIF89a' && signature !== 'GIF87a') {
+      throw new Error('Not a GIF file');
+    }
+
+    // Logical screen descriptor
+    this.width = this.readShort();
+    this.height = this.readShort();
+    var packed = this.readByte();
+    this.backgroundIndex = this.readByte();
+    this.readByte(); // Pixel aspect ratio
+    if (packed & 0x80) this.globalPalette = this.readPalette(1 << ((packed & 0x07) + 1));
+
+    var control = null;
+    while (this.pos < this.bytes.length) {
+      var block = this.readByte();
+
+      if (block === 0x3B) break; // Trailer
+
+      if (block === 0x21) {
+        var label = this.readByte();
+        if (label === 0xF9) {
+          // Graphics control extension
+          this.readByte(); // Block size (4)
+          var flags = this.readByte();
+          control = {
+            disposal: (flags >> 2) & 0x07,
+            delay: this.readShort() * 10,
+            transparentIndex: this.readByte()
+          };
+          if (!(flags & 0x01)) control.transparentIndex = -1;
+          this.readSubBlocks();
+        } else if (label === 0xFF) {
+          var appSize = this.readByte();
+          var app = this.readString(appSize);
+          var appData = this.readSubBlocks();
+          if ((app === 'NETSCAPE2.0' || app === 'ANIMEXTS1.0') && appData.length >= 3 && appData[0] === 1) {
+            this.loop = appData[1] | (appData[2] << 8);
+          }
+        } else if (label === 0xFE) {
+          var text = this.readSubBlocks();
+          var s = '';
+          for (var i = 0; i < text.length; i++) s += String.fromCharCode(text[i]);
+          try {
+            s = decodeURIComponent(escape(s)); // UTF-8 as written by GIFEncoder
+          } catch (e) {
+            // Plain ASCII/Latin-1 comment
+          }
+          this.comments.push(s);
+        } else {
+          this.readSubBlocks(); // Plain text or unknown extension
+        }
+      } else if (block === 0x2C) {
+        this.frames.push(this.readImage(control));
+        control = null;
+      } else {
+        throw new Error('Unknown GIF block 0x' + block.toString(16) + ' at byte ' + (this.pos - 1));
+      }
+    }
+
+    return this;
+  };
+
+  /**
+   * Read an image descriptor and its LZW data
+   */
+  this.readImage = function(control) {
+    var frame = {
+      x: this.readShort(),
+      y: this.readShort(),
+      width: this.readShort(),
+      height: this.readShort(),
+      delay: control ? control.delay : 0,
+      disposal: control ? control.disposal : 0,
+      transparentIndex: control ? control.transparentIndex : -1
+    };
+    var packed = this.readByte();
+    frame.interlaced = (packed & 0x40) !== 0;
+    frame.palette = (packed & 0x80) ? this.readPalette(1 << ((packed & 0x07) + 1)) : this.globalPalette;
+    if (!frame.palette) throw new Error('Frame has no color table');
+
+    var minCodeSize = this.readByte();
+    var indices = this.lzwDecode(minCodeSize, this.readSubBlocks(), frame.width * frame.height);
+    frame.indices = frame.interlaced ? this.deinterlace(indices, frame.width, frame.height) : indices;
+    return frame;
+  };
+
+  this.lzwDecode = function(minCodeSize, data, pixelCount) {
+    var clearCode = 1 << minCodeSize;
+    var eoiCode = clearCode + 1;
+    var codeSize = minCodeSize + 1;
+    var nextCode = eoiCode + 1;
+
+    var prefix = new Int16Array(4096);
+    var suffix = new Uint8Array(4096);
+    var firstChar = new Uint8Array(4096);
+    var stack = new Uint8Array(4097);
+    for (var i = 0; i < clearCode; i++) {
+      suffix[i] = i;
+      firstChar[i] = i;
+    }
+
+    var out = new Uint8Array(pixelCount);
+    var outPos = 0;
+    var buffer = 0;
+    var bufferLen = 0;
+    var prev = -1;
+
+    for (var p = 0; p < data.length && outPos < pixelCount; p++) {
+      buffer |= data[p] << bufferLen;
+      bufferLen += 8;
+
+      while (bufferLen >= codeSize && outPos < pixelCount) {
+        var code = buffer & ((1 << codeSize) - 1);
+        buffer >>= codeSize;
+        bufferLen -= codeSize;
+
+        if (code === clearCode) {
+          codeSize = minCodeSize + 1;
+          nextCode = eoiCode + 1;
+          prev = -1;
+          continue;
+        }
+        if (code === eoiCode) return out;
+
+        if (prev === -1) {
+          out[outPos++] = suffix[code];
+          prev = code;
+          continue;
+        }
+
+        // Unpack the string for code (or prev + its first char when the
+        // code is the one about to be defined)
+        var top = 0;
+        var c = code;
+        if (code >= nextCode) {
+          stack[top++] = firstChar[prev];
+          c = prev;
+        }
+        while (c >= clearCode) {
+          stack[top++] = suffix[c];
+          c = prefix[c];
+        }
+        stack[top++] = c;
+        while (top > 0 && outPos < pixelCount) out[outPos++] = stack[--top];
+
+        if (nextCode < 4096) {
+          prefix[nextCode] = prev;
+          suffix[nextCode] = c;
+          firstChar[nextCode] = firstChar[prev];
+          nextCode++;
+          if (nextCode === (1 << codeSize) && codeSize < 12) codeSize++;
+        }
+        prev = code;
+      }
+    }
+
+    return out;
+  };
+
+  /**
+   * Reorder interlaced rows (passes: every 8th from 0, 8th from 4,
+   * 4th from 2, 2nd from 1) into top-to-bottom order
+   */
+  this.deinterlace = function(indices, w, h) {
+    var out = new Uint8Array(indices.length);
+    var passes = [[0, 8], [4, 8], [2, 4], [1, 2]];
+    var row = 0;
+    for (var p = 0; p < passes.length; p++) {
+      for (var y = passes[p][0]; y < h; y += passes[p][1]) {
+        out.set(indices.subarray(row * w, (row + 1) * w), y * w);
+        row++;
+      }
+    }
+    return out;
+  };
+
+  /**
+   * Composite every frame onto the logical screen, applying disposal
+   * methods, and return full-size RGBA buffers
+   * @returns {Array} [{ data: Uint8ClampedArray, delay, disposal }]
+   */
+  this.decodeFrames = function() {
+    var screen = new Uint8ClampedArray(this.width * this.height * 4);
+    var result = [];
+
+    for (var f = 0; f < this.frames.length; f++) {
+      var frame = this.frames[f];
+      var saved = frame.disposal === 3 ? new Uint8ClampedArray(screen) : null;
+
+      this.blitFrame(screen, frame);
+      result.push({
+        data: new Uint8ClampedArray(screen),
+        delay: frame.delay,
+        disposal: frame.disposal
+      });
+
+      // Prepare the screen for the next frame
+      if (frame.disposal === 2) {
+        this.clearRect(screen, frame.x, frame.y, frame.width, frame.height);
+      } else if (frame.disposal === 3) {
+        screen = saved;
+      }
+    }
+
+    return result;
+  };
+
+  this.blitFrame = function(screen, frame) {
+    var palette = frame.palette;
+    for (var y = 0; y < frame.height; y++) {
+      var sy = frame.y + y;
+      if (sy >= this.height) break;
+      for (var x = 0; x < frame.width; x++) {
+        var sx = frame.x + x;
+        if (sx >= this.width) break;
+        var index = frame.indices[y * frame.width + x];
+        if (index === frame.transparentIndex) continue;
+        var p = (sy * this.width + sx) * 4;
+        screen[p] = palette[index * 3];
+        screen[p + 1] = palette[index * 3 + 1];
+        screen[p + 2] = palette[index * 3 + 2];
+        screen[p + 3] = 255;
+      }
+    }
+  };
+
+  this.clearRect = function(screen, x, y, w, h) {
+    for (var row = y; row < Math.min(y + h, this.height); row++) {
+      var start = (row * this.width + x) * 4;
+      screen.fill(0, start, start + Math.min(w, this.width - x) * 4);
+    }
+  };
+
+  /**
+   * Fully composited frame as ImageData (or an ImageData-like object
+   * outside the browser)
+   */
+  this.getImageData = function(index) {
+    var frames = this.composited || (this.composited = this.decodeFrames());
+    if (index === undefined) index = frames.length - 1;
+    var frame = frames[index];
+    if (!frame) throw new Error('Frame ' + index + ' out of range (' + frames.length + ' frames)');
+    if (typeof ImageData !== 'undefined') {
+      return new ImageData(new Uint8ClampedArray(frame.data), this.width, this.height);
+    }
+    return { width: this.width, height: this.height, data: new Uint8ClampedArray(frame.data) };
+  };
+
+  /**
+   * Draw a frame onto a canvas context, e.g. a previous export as the
+   * background of a new infographic. Uses an offscreen canvas so the frame
+   * is alpha-blended and respects the context's transform.
+   * @param {number} index - Frame index (default: last frame)
+   */
+  this.drawFrame = function(ctx, index, x, y) {
+    var imageData = this.getImageData(index);
+    if (typeof document === 'undefined') {
+      ctx.putImageData(imageData, x || 0, y || 0);
+      return;
+    }
+    var canvas = document.createElement('canvas');
+    canvas.width = this.width;
+    canvas.height = this.height;
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+    ctx.drawImage(canvas, x || 0, y || 0);
+  };
+
+  this.parse();
+}
+
+/**
+ * Decode a GIF from a Blob or File (e.g. a file input)
+ * @returns {Promise<GIFDecoder>}
+ */
+GIFDecoder.fromBlob = function(blob) {
+  return blob.arrayBuffer().then(function(buffer) {
+    return new GIFDecoder(new Uint8Array(buffer));
+  });
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GIFDecoder;
+}
@@ -1,17 +1,85 @@
 /**
  * Self-contained GIF Encoder
- * No external dependencies, no web workers - works offline from file://
+ * No external dependencies - works offline from file://
  *
  * Based on learnings: External libraries (gif.js) fail due to CORS when
- * opening HTML files directly. This encoder is fully inline.
+ * opening HTML files directly. This encoder is fully inline, and the whole
+ * implementation lives inside the constructor so GIFEncoder.toString() can
+ * be loaded into a Blob-URL Web Worker (see HTMLTemplate.generate).
  */
 
-function GIFEncoder(width, height) {
+function GIFEncoder(width, height, options) {
+  options = options || {};
   this.width = width;
   this.height = height;
-  this.data = [];
 
-  this.writeByte = function(b) { this.data.push(b & 0xFF); };
+  // Output bytes: a Uint8Array that doubles in size when full
+  this.data = new Uint8Array(1 << 16);
+  this.length = 0;
+
+  // Loop count: 0 = forever, -1 = play once, N = repeat N more times
+  this.loop = options.loop !== undefined ? options.loop : 0;
+
+  // Optional text stored in a GIF comment extension (title, source)
+  this.comment = options.comment || null;
+
+  // Add a "Generated:" line with the time start() runs, i.e. when this GIF
+  // is encoded (off by default so the same input gives the same bytes)
+  this.timestamp = options.timestamp === true;
+
+  // Palette mode: 'local' builds a color table per frame, 'global' writes one
+  // shared table in start() from the frames passed to sampleFrame().
+  this.paletteMode = options.palette || 'local';
+  this.sampleHistogram = null;
+  this.globalTable = null;
+
+  // Quantizer: 'median-cut' splits the color space into boxes so rare accent
+  // colors (thin strokes, legend swatches) keep an entry, 'frequency' keeps
+  // the 256 most common colors.
+  this.quantizer = options.quantizer || 'median-cut';
+
+  // Channel weights for color distances (green matters most to the eye)
+  var COLOR_WEIGHTS = [2, 4, 3];
+
+  // Dithering applied while mapping pixels to the palette: 'none',
+  // 'floyd-steinberg' (error diffusion), 'bayer4' or 'bayer8' (ordered)
+  this.dither = options.dither || 'none';
+
+  // Delta mode: crop each frame to the region that changed since the previous
+  // one and mark unchanged pixels transparent (frames are drawn over each
+  // other with disposal "do not dispose")
+  this.delta = options.delta !== false;
+  this.prevPixels = null;
+  var TRANSPARENT_INDEX = 255;
+
+  // Identical consecutive frames are merged into one frame with the summed
+  // delay (patched into the previous frame's graphics control extension)
+  this.collapse = options.collapse !== false;
+  this.lastDelay = null;
+  this.lastDelayOffset = 0;
+
+  // Milliseconds encoded so far. GIF delays are whole centiseconds, so each
+  // frame's end time is rounded rather than its delay: 45 ms frames come out
+  // as 4 and 5 cs in turn and the GIF stays within 5 ms of the exact
+  // timeline the video exports use, instead of gaining 5 ms per frame.
+  this.elapsed = 0;
+
+  this.grow = function(needed) {
+    var size = this.data.length;
+    while (size < this.length + needed) size *= 2;
+    var next = new Uint8Array(size);
+    next.set(this.data.subarray(0, this.length));
+    this.data = next;
+  };
+  this.writeByte = function(b) {
+    if (this.length === this.data.length) this.grow(1);
+    this.data[this.length++] = b & 0xFF;
+  };
+  this.writeBytes = function(bytes, count) {
+    if (this.length + count > this.data.length) this.grow(count);
+    this.data.set(bytes.subarray(0, count), this.length);
+    this.length += count;
+  };
   this.writeShort = function(s) {
     this.writeByte(s & 0xFF);
     this.writeByte((s >> 8) & 0xFF);
@@ -20,98 +88,463 @@ function GIFEncoder(width, height) {
     for (var i = 0; i < s.length; i++) this.writeByte(s.charCodeAt(i));
   };
 
+  /**
+   * Read a frame from a canvas context, or use an ImageData-like
+   * { data: Uint8ClampedArray } as-is (frames posted to a worker)
+   */
+  this.getFrameData = function(source) {
+    return source.getImageData ? source.getImageData(0, 0, width, height) : source;
+  };
+
+  /**
+   * Accumulate a frame's colors for the global palette.
+   * Call for every frame (or just the final hold frame) before start().
+   */
+  this.sampleFrame = function(ctx) {
+    var imgData = this.getFrameData(ctx);
+    if (!this.sampleHistogram) this.sampleHistogram = this.createHistogram();
+    this.countColors(imgData.data, this.sampleHistogram);
+  };
+
   this.start = function() {
-    this.data = [];
+    this.length = 0;
+    this.prevPixels = null;
+    this.lastDelay = null;
+    this.elapsed = 0;
     // Header
     this.writeString('GIF89a');
     this.writeShort(width);
     this.writeShort(height);
-    this.writeByte(0x70); // No global color table
-    this.writeByte(0);
-    this.writeByte(0);
 
-    // Netscape extension for looping
+    if (this.paletteMode === 'global') {
+      if (!this.sampleHistogram) {
+        throw new Error('Global palette mode requires sampleFrame() before start()');
+      }
+      // Delta mode keeps the last entry free for the transparent index
+      this.globalTable = this.buildColorTable(this.sampleHistogram, this.delta ? 255 : 256);
+      this.writeByte(0xF7); // Global color table, 256 colors
+      this.writeByte(0);
+      this.writeByte(0);
+      for (var i = 0; i < this.globalTable.palette.length; i++) this.writeByte(this.globalTable.palette[i]);
+    } else {
+      this.writeByte(0x70); // No global color table
+      this.writeByte(0);
+      this.writeByte(0);
+    }
+
+    // Netscape extension for looping (omitted to play once)
+    if (this.loop >= 0) {
+      this.writeByte(0x21);
+      this.writeByte(0xFF);
+      this.writeByte(0x0B);
+      this.writeString('NETSCAPE2.0');
+      this.writeByte(0x03);
+      this.writeByte(0x01);
+      this.writeShort(this.loop); // 0 = infinite
+      this.writeByte(0x00);
+    }
+
+    var comment = this.comment;
+    if (this.timestamp) comment = (comment ? comment + '\n' : '') + 'Generated: ' + new Date().toISOString();
+    if (comment) this.writeComment(comment);
+  };
+
+  /**
+   * Write a comment extension (UTF-8 text in 255-byte sub-blocks)
+   */
+  this.writeComment = function(text) {
+    var bytes = unescape(encodeURIComponent(text));
     this.writeByte(0x21);
-    this.writeByte(0xFF);
-    this.writeByte(0x0B);
-    this.writeString('NETSCAPE2.0');
-    this.writeByte(0x03);
-    this.writeByte(0x01);
-    this.writeShort(0); // Infinite loop
+    this.writeByte(0xFE);
+    for (var i = 0; i < bytes.length; i += 255) {
+      var chunk = bytes.slice(i, i + 255);
+      this.writeByte(chunk.length);
+      this.writeString(chunk);
+    }
     this.writeByte(0x00);
   };
 
-  this.addFrame = function(ctx, delay) {
-    var imgData = ctx.getImageData(0, 0, width, height);
-    var pixels = imgData.data;
-    var colorCounts = {};
+  /**
+   * Histogram of colors quantized to 5 bits per channel. Each bin keeps its
+   * pixel count and channel sums so palette entries use the exact average.
+   */
+  this.createHistogram = function() {
+    return { counts: new Uint32Array(32768), sums: new Float64Array(32768 * 3) };
+  };
 
-    // Count colors (quantized to 5 bits per channel)
+  /**
+   * Add a frame's pixels to a histogram
+   */
+  this.countColors = function(pixels, hist, mask) {
+    var counts = hist.counts;
+    var sums = hist.sums;
     for (var i = 0; i < pixels.length; i += 4) {
-      var r = pixels[i] & 0xF8;
-      var g = pixels[i+1] & 0xF8;
-      var b = pixels[i+2] & 0xF8;
-      var key = (r << 16) | (g << 8) | b;
-      colorCounts[key] = (colorCounts[key] || 0) + 1;
+      if (mask && !mask[i >> 2]) continue;
+      var key = ((pixels[i] & 0xF8) << 7) | ((pixels[i+1] & 0xF8) << 2) | (pixels[i+2] >> 3);
+      counts[key]++;
+      sums[key * 3] += pixels[i];
+      sums[key * 3 + 1] += pixels[i+1];
+      sums[key * 3 + 2] += pixels[i+2];
     }
+    return hist;
+  };
 
-    // Get top 256 colors sorted by frequency
-    var sortedColors = Object.keys(colorCounts).map(function(k) {
-      return { color: parseInt(k), count: colorCounts[k] };
-    }).sort(function(a, b) { return b.count - a.count; }).slice(0, 256);
+  /**
+   * Build a palette of up to maxColors entries from a histogram
+   */
+  this.buildColorTable = function(hist, maxColors) {
+    maxColors = maxColors || 256;
+    var bins = [];
+    for (var k = 0; k < 32768; k++) {
+      if (hist.counts[k] > 0) bins.push(k);
+    }
 
-    // Build palette and color map
+    var groups = this.quantizer === 'frequency'
+      ? this.frequencyGroups(bins, hist.counts, maxColors)
+      : this.medianCut(bins, hist.counts, maxColors);
+
+    // Each palette entry is the count-weighted average of its bins
     var palette = [];
-    var colorMap = {};
-    for (var i = 0; i < sortedColors.length; i++) {
-      var c = sortedColors[i].color;
-      palette.push((c >> 16) & 0xFF, (c >> 8) & 0xFF, c & 0xFF);
-      colorMap[c] = i;
+    for (var i = 0; i < groups.length; i++) {
+      var n = 0, r = 0, g = 0, b = 0;
+      for (var j = 0; j < groups[i].length; j++) {
+        var key = groups[i][j];
+        n += hist.counts[key];
+        r += hist.sums[key * 3];
+        g += hist.sums[key * 3 + 1];
+        b += hist.sums[key * 3 + 2];
+      }
+      if (n === 0) continue; // Empty histogram (every pixel masked out)
+      palette.push(Math.round(r / n), Math.round(g / n), Math.round(b / n));
     }
+
+    // Bin -> palette index, filled lazily by mapPixels
+    var lookup = new Int16Array(32768);
+    lookup.fill(-1);
+
+    var size = palette.length / 3;
     while (palette.length < 256 * 3) palette.push(0);
+    return { palette: palette, size: size, lookup: lookup };
+  };
+
+  /**
+   * Frequency strategy: one group per bin for the most common bins
+   */
+  this.frequencyGroups = function(bins, counts, maxColors) {
+    return bins.slice().sort(function(a, b) { return counts[b] - counts[a]; })
+      .slice(0, maxColors)
+      .map(function(key) { return [key]; });
+  };
+
+  /**
+   * Median-cut strategy: repeatedly split the box with the most pixels along
+   * its longest (perceptually weighted) axis at the population median. The
+   * last quarter of splits favors count * volume so small but distinct color
+   * clusters still get their own entry.
+   */
+  this.medianCut = function(bins, counts, maxColors) {
+    var shifts = [10, 5, 0];
+
+    var makeBox = function(items) {
+      var box = { items: items, count: 0, min: [31, 31, 31], max: [0, 0, 0] };
+      for (var i = 0; i < items.length; i++) {
+        box.count += counts[items[i]];
+        for (var a = 0; a < 3; a++) {
+          var v = (items[i] >> shifts[a]) & 31;
+          if (v < box.min[a]) box.min[a] = v;
+          if (v > box.max[a]) box.max[a] = v;
+        }
+      }
+      box.volume = (box.max[0] - box.min[0] + 1) * (box.max[1] - box.min[1] + 1) * (box.max[2] - box.min[2] + 1);
+      return box;
+    };
+
+    var boxes = [makeBox(bins)];
+    while (boxes.length < maxColors) {
+      var byVolume = boxes.length >= maxColors * 0.75;
+      var best = -1, bestScore = 0;
+      for (var i = 0; i < boxes.length; i++) {
+        if (boxes[i].items.length < 2) continue;
+        var score = byVolume ? boxes[i].count * boxes[i].volume : boxes[i].count;
+        if (score > bestScore) { bestScore = score; best = i; }
+      }
+      if (best < 0) break; // Every box holds a single bin
+
+      var box = boxes[best];
+      var axis = 0, axisLen = -1;
+      for (var a = 0; a < 3; a++) {
+        var len = (box.max[a] - box.min[a]) * COLOR_WEIGHTS[a];
+        if (len > axisLen) { axisLen = len; axis = a; }
+      }
+      var shift = shifts[axis];
+      box.items.sort(function(x, y) { return ((x >> shift) & 31) - ((y >> shift) & 31); });
+
+      var half = box.count / 2, acc = 0, cut = box.items.length - 1;
+      for (var i = 0; i < box.items.length - 1; i++) {
+        acc += counts[box.items[i]];
+        if (acc >= half) { cut = i + 1; break; }
+      }
+      boxes.splice(best, 1, makeBox(box.items.slice(0, cut)), makeBox(box.items.slice(cut)));
+    }
+
+    return boxes.map(function(box) { return box.items; });
+  };
+
+  /**
+   * Find the palette entry closest to a histogram bin
+   */
+  this.closestColor = function(table, key) {
+    var r = ((key >> 10) << 3) | 4;
+    var g = (((key >> 5) & 31) << 3) | 4;
+    var b = ((key & 31) << 3) | 4;
+    var palette = table.palette;
+    var bestDist = Infinity, bestIdx = 0;
+    for (var j = 0; j < table.size; j++) {
+      var dr = r - palette[j * 3], dg = g - palette[j * 3 + 1], db = b - palette[j * 3 + 2];
+      var dist = COLOR_WEIGHTS[0] * dr * dr + COLOR_WEIGHTS[1] * dg * dg + COLOR_WEIGHTS[2] * db * db;
+      if (dist < bestDist) { bestDist = dist; bestIdx = j; }
+    }
+    return bestIdx;
+  };
 
-    // Map pixels to palette indices
-    var indexed = new Uint8Array(width * height);
+  /**
+   * Map pixels to palette indices using the configured dither mode.
+   * Closest-color matches are cached in the table's lookup so each bin is
+   * searched once (per frame, or once overall with a global palette).
+   */
+  this.mapPixels = function(pixels, table, w) {
+    if (this.dither === 'floyd-steinberg') return this.mapFloydSteinberg(pixels, table, w);
+    if (this.dither === 'bayer4') return this.mapOrdered(pixels, table, w, 4);
+    if (this.dither === 'bayer8') return this.mapOrdered(pixels, table, w, 8);
+
+    var lookup = table.lookup;
+    var indexed = new Uint8Array(pixels.length / 4);
     for (var i = 0; i < pixels.length; i += 4) {
-      var r = pixels[i] & 0xF8;
-      var g = pixels[i+1] & 0xF8;
-      var b = pixels[i+2] & 0xF8;
-      var key = (r << 16) | (g << 8) | b;
+      var key = ((pixels[i] & 0xF8) << 7) | ((pixels[i+1] & 0xF8) << 2) | (pixels[i+2] >> 3);
+      var idx = lookup[key];
+      if (idx < 0) idx = lookup[key] = this.closestColor(table, key);
+      indexed[i >> 2] = idx;
+    }
+    return indexed;
+  };
 
-      if (colorMap[key] !== undefined) {
-        indexed[i/4] = colorMap[key];
-      } else {
-        // Find closest color
-        var bestDist = Infinity, bestIdx = 0;
-        for (var j = 0; j < sortedColors.length; j++) {
-          var c = sortedColors[j].color;
-          var cr = (c >> 16) & 0xFF, cg = (c >> 8) & 0xFF, cb = c & 0xFF;
-          var dist = (r-cr)*(r-cr) + (g-cg)*(g-cg) + (b-cb)*(b-cb);
-          if (dist < bestDist) { bestDist = dist; bestIdx = j; }
+  /**
+   * Floyd-Steinberg error diffusion, scanning rows in alternating directions
+   * (serpentine) to avoid the diagonal drift of left-to-right diffusion
+   */
+  this.mapFloydSteinberg = function(pixels, table, w) {
+    var h = pixels.length / 4 / w;
+    var palette = table.palette;
+    var lookup = table.lookup;
+    var indexed = new Uint8Array(w * h);
+
+    // Error rows with one pad column on each side
+    var cur = new Float32Array((w + 2) * 3);
+    var next = new Float32Array((w + 2) * 3);
+
+    for (var y = 0; y < h; y++) {
+      var dir = (y & 1) === 0 ? 1 : -1;
+      for (var n = 0; n < w; n++) {
+        var x = dir === 1 ? n : w - 1 - n;
+        var p = (y * w + x) * 4;
+        var e = (x + 1) * 3;
+        var r = Math.max(0, Math.min(255, Math.round(pixels[p] + cur[e])));
+        var g = Math.max(0, Math.min(255, Math.round(pixels[p+1] + cur[e+1])));
+        var b = Math.max(0, Math.min(255, Math.round(pixels[p+2] + cur[e+2])));
+
+        var key = ((r & 0xF8) << 7) | ((g & 0xF8) << 2) | (b >> 3);
+        var idx = lookup[key];
+        if (idx < 0) idx = lookup[key] = this.closestColor(table, key);
+        indexed[y * w + x] = idx;
+
+        // Push the error 7/16 ahead, 3/16 behind-below, 5/16 below, 1/16 ahead-below
+        var ahead = e + dir * 3, behind = e - dir * 3;
+        for (var c = 0; c < 3; c++) {
+          var err = (c === 0 ? r : c === 1 ? g : b) - palette[idx * 3 + c];
+          cur[ahead + c] += err * 7 / 16;
+          next[behind + c] += err * 3 / 16;
+          next[e + c] += err * 5 / 16;
+          next[ahead + c] += err / 16;
+        }
+      }
+      var tmp = cur; cur = next; next = tmp;
+      next.fill(0);
+    }
+    return indexed;
+  };
+
+  /**
+   * Ordered (Bayer) dithering: offset each pixel by a position-dependent
+   * threshold before the palette lookup. No state between pixels, so flat
+   * fills that match a palette entry stay flat.
+   */
+  this.mapOrdered = function(pixels, table, w, size) {
+    var matrix = this.bayerMatrix(size);
+    var spread = 32;
+    var lookup = table.lookup;
+    var indexed = new Uint8Array(pixels.length / 4);
+    for (var i = 0; i < pixels.length; i += 4) {
+      var px = (i >> 2) % w, py = Math.floor((i >> 2) / w);
+      var offset = (matrix[(py % size) * size + (px % size)] - 0.5) * spread;
+      var r = Math.max(0, Math.min(255, Math.round(pixels[i] + offset)));
+      var g = Math.max(0, Math.min(255, Math.round(pixels[i+1] + offset)));
+      var b = Math.max(0, Math.min(255, Math.round(pixels[i+2] + offset)));
+      var key = ((r & 0xF8) << 7) | ((g & 0xF8) << 2) | (b >> 3);
+      var idx = lookup[key];
+      if (idx < 0) idx = lookup[key] = this.closestColor(table, key);
+      indexed[i >> 2] = idx;
+    }
+    return indexed;
+  };
+
+  /**
+   * Bayer threshold matrix (size 2, 4 or 8) flattened row-major, values in [0, 1)
+   */
+  this.bayerMatrix = function(size) {
+    var m = [0];
+    for (var n = 1; n < size; n *= 2) {
+      var next = new Array(4 * n * n);
+      for (var y = 0; y < 2 * n; y++) {
+        for (var x = 0; x < 2 * n; x++) {
+          var quadrant = [0, 2, 3, 1][(y >= n ? 2 : 0) + (x >= n ? 1 : 0)];
+          next[y * 2 * n + x] = 4 * m[(y % n) * n + (x % n)] + quadrant;
+        }
+      }
+      m = next;
+    }
+    return m.map(function(v) { return v / (size * size); });
+  };
+
+  /**
+   * Bounding box of the pixels that differ between two frames, or null
+   * when the frames are identical
+   */
+  this.changedRect = function(prev, pixels) {
+    var a = new Uint32Array(prev.buffer, prev.byteOffset, width * height);
+    var b = new Uint32Array(pixels.buffer, pixels.byteOffset, width * height);
+    var minX = width, minY = height, maxX = -1, maxY = -1;
+    for (var y = 0; y < height; y++) {
+      var row = y * width;
+      for (var x = 0; x < width; x++) {
+        if (a[row + x] !== b[row + x]) {
+          if (x < minX) minX = x;
+          if (x > maxX) maxX = x;
+          if (y < minY) minY = y;
+          maxY = y;
+        }
+      }
+    }
+    if (maxX < 0) return null;
+    return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+  };
+
+  /**
+   * Whether two frames are pixel-identical
+   */
+  this.sameFrame = function(prev, pixels) {
+    var a = new Uint32Array(prev.buffer, prev.byteOffset, width * height);
+    var b = new Uint32Array(pixels.buffer, pixels.byteOffset, width * height);
+    for (var i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return false;
+    }
+    return true;
+  };
+
+  /**
+   * Copy a rectangle out of a full frame
+   */
+  this.cropPixels = function(pixels, rect) {
+    var out = new Uint8ClampedArray(rect.width * rect.height * 4);
+    for (var y = 0; y < rect.height; y++) {
+      var start = ((rect.y + y) * width + rect.x) * 4;
+      out.set(pixels.subarray(start, start + rect.width * 4), y * rect.width * 4);
+    }
+    return out;
+  };
+
+  /**
+   * Per-pixel flags (1 = changed) for a rectangle of the frame
+   */
+  this.changedMask = function(prev, pixels, rect) {
+    var mask = new Uint8Array(rect.width * rect.height);
+    for (var y = 0; y < rect.height; y++) {
+      for (var x = 0; x < rect.width; x++) {
+        var p = ((rect.y + y) * width + rect.x + x) * 4;
+        if (prev[p] !== pixels[p] || prev[p+1] !== pixels[p+1] ||
+            prev[p+2] !== pixels[p+2] || prev[p+3] !== pixels[p+3]) {
+          mask[y * rect.width + x] = 1;
         }
-        indexed[i/4] = bestIdx;
+      }
+    }
+    return mask;
+  };
+
+  /**
+   * Encode a frame
+   * @param {CanvasRenderingContext2D|ImageData} ctx - Frame source
+   * @param {number} delay - Frame delay in milliseconds
+   */
+  this.addFrame = function(ctx, delay) {
+    var imgData = this.getFrameData(ctx);
+    var pixels = imgData.data;
+    var end = this.elapsed + delay;
+    var delayCs = Math.min(65535, Math.round(end / 10) - Math.round(this.elapsed / 10)); // Delay in centiseconds
+    this.elapsed = end;
+
+    // Hold frames: extend the previous frame while the sum fits in 16 bits
+    if (this.collapse && this.lastDelay !== null && this.lastDelay + delayCs <= 65535 &&
+        this.sameFrame(this.prevPixels, pixels)) {
+      this.lastDelay += delayCs;
+      this.data[this.lastDelayOffset] = this.lastDelay & 0xFF;
+      this.data[this.lastDelayOffset + 1] = (this.lastDelay >> 8) & 0xFF;
+      return;
+    }
+
+    // In delta mode only the changed region is encoded; an identical frame
+    // (past the delay cap) becomes a single transparent pixel
+    var rect = { x: 0, y: 0, width: width, height: height };
+    var mask = null;
+    if (this.delta && this.prevPixels) {
+      rect = this.changedRect(this.prevPixels, pixels) || { x: 0, y: 0, width: 1, height: 1 };
+      mask = this.changedMask(this.prevPixels, pixels, rect);
+    }
+    if (this.delta || this.collapse) this.prevPixels = new Uint8ClampedArray(pixels);
+
+    var region = mask ? this.cropPixels(pixels, rect) : pixels;
+    var table = this.globalTable ||
+      this.buildColorTable(this.countColors(region, this.createHistogram(), mask), this.delta ? 255 : 256);
+    var indexed = this.mapPixels(region, table, rect.width);
+    if (mask) {
+      for (var i = 0; i < indexed.length; i++) {
+        if (!mask[i]) indexed[i] = TRANSPARENT_INDEX;
       }
     }
 
     // Graphics control extension
+    var disposal = this.delta ? 1 : 0; // 1 = do not dispose, draw next frame on top
     this.writeByte(0x21);
     this.writeByte(0xF9);
     this.writeByte(0x04);
-    this.writeByte(0x00);
-    this.writeShort(Math.round(delay / 10)); // Delay in centiseconds
-    this.writeByte(0x00);
+    this.writeByte((disposal << 2) | (mask ? 1 : 0)); // Disposal method, transparency flag
+    this.lastDelay = delayCs;
+    this.lastDelayOffset = this.length;
+    this.writeShort(delayCs);
+    this.writeByte(mask ? TRANSPARENT_INDEX : 0x00);
     this.writeByte(0x00);
 
-    // Image descriptor with local color table
+    // Image descriptor
     this.writeByte(0x2C);
-    this.writeShort(0);
-    this.writeShort(0);
-    this.writeShort(width);
-    this.writeShort(height);
-    this.writeByte(0x87); // Local color table, 256 colors
+    this.writeShort(rect.x);
+    this.writeShort(rect.y);
+    this.writeShort(rect.width);
+    this.writeShort(rect.height);
 
-    // Write local color table
-    for (var i = 0; i < palette.length; i++) this.writeByte(palette[i]);
+    if (this.globalTable) {
+      this.writeByte(0x00); // Use global color table
+    } else {
+      this.writeByte(0x87); // Local color table, 256 colors
+      for (var i = 0; i < table.palette.length; i++) this.writeByte(table.palette[i]);
+    }
 
     // LZW encode
     this.writeByte(8); // Min code size
@@ -119,21 +552,40 @@ function GIFEncoder(width, height) {
     this.writeByte(0x00);
   };
 
+  /**
+   * LZW-compress palette indices into GIF sub-blocks. The dictionary is an
+   * open-addressing hash of (prefix code, pixel) pairs held in typed arrays,
+   * so no strings or objects are allocated per pixel.
+   */
   this.lzwEncode = function(pixels) {
     var clearCode = 256;
     var eoiCode = 257;
     var codeSize = 9;
     var nextCode = 258;
-    var dict = {};
     var buffer = 0;
     var bufferLen = 0;
-    var output = [];
+
+    // Hash table: keys are (pixel << 12) | prefix, -1 marks an empty slot
+    var HSIZE = 5003;
+    var hashKeys = new Int32Array(HSIZE);
+    var hashCodes = new Int32Array(HSIZE);
+    hashKeys.fill(-1);
+
+    // Output goes straight into 255-byte sub-blocks
+    var block = new Uint8Array(255);
+    var blockLen = 0;
+    var self = this;
 
     var emit = function(code) {
       buffer |= code << bufferLen;
       bufferLen += codeSize;
       while (bufferLen >= 8) {
-        output.push(buffer & 0xFF);
+        block[blockLen++] = buffer & 0xFF;
+        if (blockLen === 255) {
+          self.writeByte(255);
+          self.writeBytes(block, 255);
+          blockLen = 0;
+        }
         buffer >>= 8;
         bufferLen -= 8;
       }
@@ -144,18 +596,27 @@ function GIFEncoder(width, height) {
 
     for (var i = 1; i < pixels.length; i++) {
       var curr = pixels[i];
-      var key = prev + ',' + curr;
+      var key = (curr << 12) | prev;
 
-      if (dict[key] !== undefined) {
-        prev = dict[key];
+      // Probe for the key, stepping backwards on collisions
+      var h = (curr << 4) ^ prev;
+      var step = h === 0 ? 1 : HSIZE - h;
+      while (hashKeys[h] !== -1 && hashKeys[h] !== key) {
+        h -= step;
+        if (h < 0) h += HSIZE;
+      }
+
+      if (hashKeys[h] === key) {
+        prev = hashCodes[h];
       } else {
         emit(prev);
         if (nextCode < 4096) {
-          dict[key] = nextCode++;
+          hashKeys[h] = key;
+          hashCodes[h] = nextCode++;
           if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
         } else {
           emit(clearCode);
-          dict = {};
+          hashKeys.fill(-1);
           codeSize = 9;
           nextCode = 258;
         }
@@ -165,19 +626,16 @@ function GIFEncoder(width, height) {
 
     emit(prev);
     emit(eoiCode);
-    if (bufferLen > 0) output.push(buffer & 0xFF);
-
-    // Write sub-blocks (max 255 bytes each)
-    for (var i = 0; i < output.length; i += 255) {
-      var chunk = output.slice(i, Math.min(i + 255, output.length));
-      this.writeByte(chunk.length);
-      for (var j = 0; j < chunk.length; j++) this.writeByte(chunk[j]);
+    if (bufferLen > 0) block[blockLen++] = buffer & 0xFF;
+    if (blockLen > 0) {
+      this.writeByte(blockLen);
+      this.writeBytes(block, blockLen);
     }
   };
 
   this.finish = function() {
     this.writeByte(0x3B); // Trailer
-    return new Blob([new Uint8Array(this.data)], {type: 'image/gif'});
+    return new Blob([this.data.slice(0, this.length)], {type: 'image/gif'});
   };
 }
 
@@ -7,9 +7,23 @@
  * - Frame capture and encoding
  * - GIF output optimization
  *
- * Dependencies: gif.js (https://github.com/jnordberg/gif.js)
+ * Dependencies: gif.js (https://github.com/jnordberg/gif.js) when it is
+ * loaded, otherwise the inline GIFEncoder. Under Node, where there is no
+ * <canvas>, frames are drawn into a SoftwareCanvas:
+ *
+ *   const generator = new GIFGenerator({ width: 900, height: 700 }).init();
+ *   const chart = new BarChartTemplate(generator, config);
+ *   ...draw and generator.addFrame(delay) per frame...
+ *   const blob = await generator.render();
  */
 
+if (typeof SoftwareCanvas === 'undefined' && typeof require !== 'undefined') {
+  var SoftwareCanvas = require('./software-canvas.js');
+}
+if (typeof GIFEncoder === 'undefined' && typeof require !== 'undefined') {
+  var GIFEncoder = require('./gif-encoder.js');
+}
+
 class GIFGenerator {
   constructor(options = {}) {
     this.width = options.width || 1080;
@@ -24,20 +38,23 @@ class GIFGenerator {
     this.canvas = null;
     this.ctx = null;
 
-    // GIF encoder reference
+    // GIF encoder reference (gif.js, or the inline GIFEncoder without it)
     this.gif = null;
+    this.encoder = null;
     this.frames = [];
   }
 
   /**
-   * Initialize the generator (call this in browser environment)
+   * Initialize the generator (a <canvas> in the browser, a SoftwareCanvas
+   * under Node)
    */
   init() {
     // Create canvas element
     if (typeof document !== 'undefined') {
       this.canvas = document.createElement('canvas');
+    } else if (typeof SoftwareCanvas !== 'undefined') {
+      this.canvas = new SoftwareCanvas(this.width, this.height);
     } else {
-      // Node.js environment - would need node-canvas
       throw new Error('GIFGenerator requires a browser environment with Canvas support');
     }
 
@@ -55,6 +72,9 @@ class GIFGenerator {
         workerScript: 'gif.worker.js',
         repeat: this.loop
       });
+    } else if (typeof GIFEncoder !== 'undefined') {
+      this.encoder = new GIFEncoder(this.width, this.height, { loop: this.loop });
+      this.encoder.start();
     }
 
     return this;
@@ -78,6 +98,8 @@ class GIFGenerator {
         copy: true,
         delay: delay
       });
+    } else if (this.encoder) {
+      this.encoder.addFrame(this.ctx, delay);
     }
 
     // Also store frame data for preview
@@ -92,6 +114,10 @@ class GIFGenerator {
    * @returns {Promise<Blob>} The rendered GIF as a Blob
    */
   async render() {
+    if (this.encoder) {
+      return this.encoder.finish();
+    }
+
     if (!this.gif) {
       throw new Error('GIF encoder not initialized');
     }
@@ -135,6 +161,10 @@ class GIFGenerator {
    */
   reset() {
     this.frames = [];
+    if (this.encoder) {
+      this.encoder = new GIFEncoder(this.width, this.height, { loop: this.loop });
+      this.encoder.start();
+    }
     if (this.gif) {
       this.gif.abort();
       this.gif = new GIF({
@@ -2,11 +2,17 @@
  * HTML Template Generator
  * Base template with all standard features:
  * - Progress indicator with spinner and percentage
- * - GIF and Video download options
+ * - GIF, WebP and Video download options, plus APNG, animated SVG and
+ *   vector PDF when enabled (config.apng, config.svg, config.pdf)
+ * - PNG still (1x/2x) and contact-sheet downloads
  * - Proper animation timing (all elements complete before hold)
  * - Self-contained (works offline)
  */
 
+if (typeof ChartSpec === 'undefined' && typeof require !== 'undefined') {
+  var ChartSpec = require('./chart-spec.js');
+}
+
 var HTMLTemplate = {
 
   /**
@@ -21,6 +27,15 @@ var HTMLTemplate = {
     var height = config.height || 700;
     var style = config.style || 'dark';
     var animation = config.animation || { totalFrames: 55, holdFrames: 55, frameDelay: 45, holdDelay: 65 };
+    var gif = this.getGifOptions(config, animation);
+    var webp = config.webp === false ? null : Object.assign({ loop: animation.loop }, config.webp);
+    // APNG, SVG and PDF are opt-in and video is opt-out; only the encoders
+    // a page offers are embedded, so a plain GIF page stays small
+    var apng = config.apng ? Object.assign({ loop: gif.loop }, config.apng) : null;
+    var svg = config.svg ? Object.assign({ loop: gif.loop }, config.svg) : null;
+    var pdf = !!config.pdf;
+    var video = config.video !== false;
+    var snapshot = Object.assign({ scale: 1, sheetFrames: 12, sheetColumns: 4, sheetScale: 0.5 }, config.snapshot);
 
     var styleColors = this.getStyleColors(style);
 
@@ -73,6 +88,8 @@ var HTMLTemplate = {
     .btn:hover { opacity: 0.9; transform: translateY(-1px); }
     .btn-secondary { background: ${styleColors.btnSecondary}; }
     .btn-container { display: flex; gap: 16px; justify-content: center; flex-wrap: wrap; }
+    .btn-container + .btn-container { margin-top: 16px; }
+    .scale-select { padding: 0 12px; border-radius: 8px; border: 1px solid ${styleColors.border}; background: ${styleColors.containerBackground}; color: ${styleColors.heading}; font-size: 16px; font-weight: 600; }
     #canvas { display: none; }
     #videoStatus { margin-top: 12px; color: ${styleColors.statusText}; font-size: 14px; min-height: 20px; }
     .progress-bar { width: 100%; height: 8px; background: ${styleColors.progressBg}; border-radius: 4px; overflow: hidden; margin-bottom: 20px; }
@@ -93,13 +110,25 @@ var HTMLTemplate = {
     <img id="preview" style="display:none;" alt="Generated infographic">
     <div class="btn-container">
       <a id="downloadGif" class="btn" style="display:none;" download="${filename}.gif">Download GIF</a>
+      <a id="downloadWebp" class="btn btn-secondary" style="display:none;" download="${filename}.webp">Download WebP</a>
+      <button id="downloadApng" class="btn btn-secondary" style="display:none;">Download APNG</button>
+      <button id="downloadSvg" class="btn btn-secondary" style="display:none;">Download SVG</button>
       <button id="downloadVideo" class="btn btn-secondary" style="display:none;">Download MP4</button>
     </div>
+    <div id="snapshotButtons" class="btn-container" style="display:none;">
+      <select id="pngScale" class="scale-select" aria-label="PNG scale">
+        <option value="1"${snapshot.scale === 2 ? '' : ' selected'}>1x</option>
+        <option value="2"${snapshot.scale === 2 ? ' selected' : ''}>2x</option>
+      </select>
+      <button id="downloadPng" class="btn btn-secondary">Download PNG</button>
+      <button id="downloadSheet" class="btn btn-secondary">Download contact sheet</button>
+      <button id="downloadPdf" class="btn btn-secondary" style="display:none;">Download PDF</button>
+    </div>
     <div id="videoStatus"></div>
   </div>
 
 <script>
-${this.getGifEncoder()}
+${this.getEncoders({ webp: webp, apng: apng, svg: svg, pdf: pdf, video: video })}
 
 // =============================================
 // CONFIGURATION
@@ -107,6 +136,13 @@ ${this.getGifEncoder()}
 var WIDTH = ${width};
 var HEIGHT = ${height};
 var ANIMATION = ${JSON.stringify(animation)};
+var GIF_OPTIONS = ${JSON.stringify(gif)};
+var WEBP_OPTIONS = ${JSON.stringify(webp)};
+var APNG_OPTIONS = ${JSON.stringify(apng)};
+var SVG_OPTIONS = ${JSON.stringify(svg)};
+var PDF_EXPORT = ${pdf};
+var VIDEO_EXPORT = ${video};
+var SNAPSHOT = ${JSON.stringify(snapshot)};
 
 var STYLE = {
   background: '${styleColors.chartBackground}',
@@ -130,10 +166,166 @@ var STYLE = {
 // =============================================
 %RENDER_CODE%
 
+// =============================================
+// TIMELINE (shared by every export format and the CLI)
+// =============================================
+var TIMELINE = new AnimationTimeline(ANIMATION);
+var VIDEO_FPS = ANIMATION.videoFps || 30;
+
+// =============================================
+// GIF ENCODER WORKER (Blob URL, works from file://)
+// =============================================
+
+// Runs inside the worker; the GIFEncoder source (and the WebP encoder
+// with its DeflateEncoder when WebP is on) is prepended to it
+function gifWorkerMain() {
+  var encoder = null;
+  var webpEncoder = null;
+  var frames = 0;
+  function toImageData(msg) {
+    return { width: msg.width, height: msg.height, data: new Uint8ClampedArray(msg.buffer) };
+  }
+  self.onmessage = function(e) {
+    var msg = e.data;
+    try {
+      if (msg.type === 'init') {
+        encoder = new GIFEncoder(msg.width, msg.height, msg.options);
+        if (msg.webpOptions) webpEncoder = new WebPEncoder(msg.width, msg.height, msg.webpOptions);
+      } else if (msg.type === 'sample') encoder.sampleFrame(toImageData(msg));
+      else if (msg.type === 'start') {
+        encoder.start();
+        if (webpEncoder) webpEncoder.start();
+      } else if (msg.type === 'frame') {
+        var image = toImageData(msg);
+        encoder.addFrame(image, msg.delay);
+        if (webpEncoder) webpEncoder.addFrame(image, msg.delay);
+        self.postMessage({ type: 'progress', frames: ++frames });
+      } else if (msg.type === 'finish') {
+        self.postMessage({ type: 'done', blob: encoder.finish(), webp: webpEncoder ? webpEncoder.finish() : null });
+      }
+    } catch (err) {
+      self.postMessage({ type: 'error', message: err.message });
+    }
+  };
+}
+
+// Encoder client with the same calls in worker and main-thread mode:
+// sampleFrame/start/addFrame, whenReady(fn) to wait for queue space and
+// finish(callback(gifBlob, webpBlob)). Every frame also goes to a WebP
+// encoder when webpOptions is set. The caller sets
+// onprogress(framesEncoded) and onerror.
+function createGifEncoder(width, height, options, webpOptions, forceSync) {
+  var client = { onprogress: function() {}, onerror: function() {} };
+  var worker = null;
+  var workerUrl = null;
+
+  if (!forceSync && typeof Worker !== 'undefined') {
+    try {
+      var source = GIFEncoder.toString() + '\\n' +
+        (webpOptions ? DeflateEncoder.toString() + '\\n' + WebPEncoder.toString() + '\\n' : '') +
+        '(' + gifWorkerMain.toString() + ')();';
+      workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+      worker = new Worker(workerUrl);
+    } catch (e) {
+      worker = null;
+    }
+  }
+
+  // Synchronous fallback: encode on the main thread between renders
+  if (!worker) {
+    var encoder = new GIFEncoder(width, height, options);
+    var webpEncoder = webpOptions ? new WebPEncoder(width, height, webpOptions) : null;
+    var encoded = 0;
+    client.sampleFrame = function(ctx) { encoder.sampleFrame(ctx); };
+    client.start = function() {
+      encoder.start();
+      if (webpEncoder) webpEncoder.start();
+    };
+    client.addFrame = function(ctx, delay) {
+      var image = ctx.getImageData(0, 0, width, height);
+      encoder.addFrame(image, delay);
+      if (webpEncoder) webpEncoder.addFrame(image, delay);
+      client.onprogress(++encoded);
+    };
+    client.whenReady = function(fn) { setTimeout(fn, 0); };
+    client.finish = function(callback) {
+      setTimeout(function() { callback(encoder.finish(), webpEncoder ? webpEncoder.finish() : null); }, 50);
+    };
+    return client;
+  }
+
+  // Worker mode: frames are posted as transferable ImageData buffers, with
+  // at most MAX_QUEUED in flight so rendering can't outrun encoding
+  var MAX_QUEUED = 4;
+  var queued = 0;
+  var waiting = null;
+  var onDone = null;
+
+  function post(type, ctx, msg) {
+    msg = msg || {};
+    msg.type = type;
+    if (!ctx) {
+      worker.postMessage(msg);
+      return;
+    }
+    var img = ctx.getImageData(0, 0, width, height);
+    msg.width = img.width;
+    msg.height = img.height;
+    msg.buffer = img.data.buffer;
+    worker.postMessage(msg, [msg.buffer]);
+  }
+
+  function fail(message) {
+    worker.terminate();
+    URL.revokeObjectURL(workerUrl);
+    client.onerror(message);
+  }
+
+  worker.onmessage = function(e) {
+    var msg = e.data;
+    if (msg.type === 'progress') {
+      queued--;
+      client.onprogress(msg.frames);
+      if (waiting && queued < MAX_QUEUED) {
+        var fn = waiting;
+        waiting = null;
+        fn();
+      }
+    } else if (msg.type === 'done') {
+      worker.terminate();
+      URL.revokeObjectURL(workerUrl);
+      onDone(msg.blob, msg.webp);
+    } else if (msg.type === 'error') {
+      fail(msg.message);
+    }
+  };
+  worker.onerror = function(e) {
+    e.preventDefault();
+    fail(e.message || 'GIF worker failed to start');
+  };
+
+  post('init', null, { width: width, height: height, options: options, webpOptions: webpOptions });
+  client.sampleFrame = function(ctx) { post('sample', ctx); };
+  client.start = function() { post('start'); };
+  client.addFrame = function(ctx, delay) {
+    queued++;
+    post('frame', ctx, { delay: delay });
+  };
+  client.whenReady = function(fn) {
+    if (queued < MAX_QUEUED) setTimeout(fn, 0);
+    else waiting = fn;
+  };
+  client.finish = function(callback) {
+    onDone = callback;
+    post('finish');
+  };
+  return client;
+}
+
 // =============================================
 // GENERATE GIF
 // =============================================
-function generate() {
+function generate(forceSync) {
   var status = document.getElementById('status');
   var statusText = document.getElementById('statusText');
   var percentage = document.getElementById('percentage');
@@ -141,11 +333,10 @@ function generate() {
   var canvas = document.getElementById('canvas');
   var ctx = canvas.getContext('2d');
 
-  var encoder = new GIFEncoder(WIDTH, HEIGHT);
-  encoder.start();
+  var encoder = createGifEncoder(WIDTH, HEIGHT, GIF_OPTIONS, WEBP_OPTIONS, forceSync === true);
+  var aborted = false;
 
   var total = ANIMATION.totalFrames + ANIMATION.holdFrames + 1;
-  var current = 0;
 
   function updateProgress(pct, text) {
     percentage.textContent = pct + '%';
@@ -153,78 +344,116 @@ function generate() {
     progressBar.style.width = pct + '%';
   }
 
+  encoder.onprogress = function(encoded) {
+    var pct = Math.min(99, Math.round((encoded / total) * 100));
+    updateProgress(pct, 'Encoding frame ' + encoded + ' of ' + total + '...');
+  };
+
+  // Worker failed (e.g. blocked by the browser): start over on the main thread
+  encoder.onerror = function(message) {
+    console.error('GIF worker failed, encoding on the main thread:', message);
+    aborted = true;
+    generate(true);
+  };
+
+  // Global palette: sample the final frame (and optionally every animation
+  // frame) so one color table covers the whole GIF
+  function samplePalette() {
+    if (GIF_OPTIONS.paletteSample === 'all') {
+      for (var i = 0; i < ANIMATION.totalFrames; i++) {
+        renderFrame(ctx, i / ANIMATION.totalFrames);
+        encoder.sampleFrame(ctx);
+      }
+    }
+    renderFrame(ctx, 1);
+    encoder.sampleFrame(ctx);
+  }
+
   function renderAnimationFrames(i) {
+    if (aborted) return;
     if (i <= ANIMATION.totalFrames) {
       renderFrame(ctx, i / ANIMATION.totalFrames);
-      encoder.addFrame(ctx, ANIMATION.frameDelay);
-      current++;
-      var pct = Math.round((current / total) * 100);
-      updateProgress(pct, 'Rendering frame ' + (i + 1) + ' of ' + (ANIMATION.totalFrames + 1) + '...');
-      setTimeout(function() { renderAnimationFrames(i + 1); }, 0);
+      encoder.addFrame(ctx, TIMELINE.frameDelay(i));
+      encoder.whenReady(function() { renderAnimationFrames(i + 1); });
     } else {
       renderHoldFrames(0);
     }
   }
 
   function renderHoldFrames(i) {
+    if (aborted) return;
     if (i < ANIMATION.holdFrames) {
       renderFrame(ctx, 1);
       encoder.addFrame(ctx, ANIMATION.holdDelay);
-      current++;
-      var pct = Math.round((current / total) * 100);
-      updateProgress(pct, 'Adding hold frame ' + (i + 1) + ' of ' + ANIMATION.holdFrames + '...');
-      setTimeout(function() { renderHoldFrames(i + 1); }, 0);
+      encoder.whenReady(function() { renderHoldFrames(i + 1); });
     } else {
       finishEncoding();
     }
   }
 
   function finishEncoding() {
-    updateProgress(99, 'Encoding GIF...');
-    setTimeout(function() {
-      var blob = encoder.finish();
+    encoder.finish(function(blob, webpBlob) {
       var url = URL.createObjectURL(blob);
 
       document.getElementById('preview').src = url;
       document.getElementById('preview').style.display = 'block';
       document.getElementById('downloadGif').href = url;
       document.getElementById('downloadGif').style.display = 'inline-block';
-      document.getElementById('downloadVideo').style.display = 'inline-block';
+      var sizes = 'GIF size: ' + (blob.size / 1024).toFixed(0) + ' KB';
+      if (webpBlob) {
+        document.getElementById('downloadWebp').href = URL.createObjectURL(webpBlob);
+        document.getElementById('downloadWebp').style.display = 'inline-block';
+        sizes += ', WebP: ' + (webpBlob.size / 1024).toFixed(0) + ' KB';
+      }
+      // Only the exports whose encoders the page embeds get a button
+      function offer(id, handler) {
+        var button = document.getElementById(id);
+        button.style.display = 'inline-block';
+        button.onclick = handler;
+      }
+      if (APNG_OPTIONS) offer('downloadApng', exportAPNG);
+      if (SVG_OPTIONS) offer('downloadSvg', exportSVG);
+      if (VIDEO_EXPORT) offer('downloadVideo', recordVideo);
+      if (PDF_EXPORT) offer('downloadPdf', exportPDF);
+      document.getElementById('snapshotButtons').style.display = 'flex';
 
       status.className = 'success';
       percentage.textContent = '100%';
-      statusText.textContent = 'Done! GIF size: ' + (blob.size / 1024).toFixed(0) + ' KB';
+      statusText.textContent = 'Done! ' + sizes;
       progressBar.style.width = '100%';
       document.getElementById('subtitleText').textContent = 'Your infographic is ready!';
 
-      document.getElementById('downloadVideo').onclick = recordVideo;
-    }, 50);
+      document.getElementById('downloadPng').onclick = exportPNG;
+      document.getElementById('downloadSheet').onclick = exportContactSheet;
+    });
   }
 
   updateProgress(0, 'Starting render...');
-  setTimeout(function() { renderAnimationFrames(0); }, 100);
+  setTimeout(function() {
+    if (GIF_OPTIONS.palette === 'global') {
+      updateProgress(0, 'Building global palette...');
+      samplePalette();
+    }
+    encoder.start();
+    renderAnimationFrames(0);
+  }, 100);
 }
 
 // =============================================
-// VIDEO RECORDING - MP4 via WebCodecs + mp4-muxer
+// VIDEO RECORDING - MP4 via WebCodecs + inline MP4Muxer
 // =============================================
-var Mp4Muxer = null;
 
-async function loadMp4Muxer() {
-  if (Mp4Muxer) return true;
-  try {
-    var script = document.createElement('script');
-    script.src = 'https://cdn.jsdelivr.net/npm/mp4-muxer@5.1.3/build/mp4-muxer.min.js';
-    await new Promise((resolve, reject) => {
-      script.onload = resolve;
-      script.onerror = reject;
-      document.head.appendChild(script);
-    });
-    Mp4Muxer = window.Mp4Muxer;
-    return true;
-  } catch (e) {
-    console.error('Failed to load mp4-muxer:', e);
-    return false;
+// Render and encode resampled timeline frames (one key frame per second),
+// yielding between frames so the page stays responsive
+async function encodeVideoFrames(encoder, frames, canvas, ctx) {
+  var videoStatus = document.getElementById('videoStatus');
+  for (var i = 0; i < frames.length; i++) {
+    renderFrame(ctx, frames[i].progress);
+    var frame = new VideoFrame(canvas, { timestamp: frames[i].timestamp, duration: frames[i].duration });
+    encoder.encode(frame, { keyFrame: i % VIDEO_FPS === 0 });
+    frame.close();
+    videoStatus.textContent = 'Encoding frame ' + (i + 1) + ' of ' + frames.length + '...';
+    await new Promise(r => setTimeout(r, 0));
   }
 }
 
@@ -241,30 +470,15 @@ async function recordVideo() {
     return;
   }
 
-  videoStatus.textContent = 'Loading MP4 encoder...';
-  var muxerLoaded = await loadMp4Muxer();
-  if (!muxerLoaded) {
-    videoStatus.textContent = 'Failed to load encoder. Falling back to WebM...';
-    await new Promise(r => setTimeout(r, 1500));
-    recordWebM();
-    return;
-  }
-
   var canvas = document.getElementById('canvas');
   canvas.style.display = 'block';
   canvas.style.position = 'absolute';
   canvas.style.left = '-9999px';
   var ctx = canvas.getContext('2d');
 
-  var muxer = new Mp4Muxer.Muxer({
-    target: new Mp4Muxer.ArrayBufferTarget(),
-    video: { codec: 'avc', width: WIDTH, height: HEIGHT },
-    fastStart: 'in-memory'
-  });
+  var muxer = new MP4Muxer({ width: WIDTH, height: HEIGHT });
 
-  var totalFrames = ANIMATION.totalFrames + ANIMATION.holdFrames;
-  var fps = 30;
-  var frameDuration = 1000000 / fps;
+  var frames = TIMELINE.videoFrames(VIDEO_FPS);
 
   var encoder = new VideoEncoder({
     output: (chunk, meta) => { muxer.addVideoChunk(chunk, meta); },
@@ -277,7 +491,8 @@ async function recordVideo() {
       width: WIDTH,
       height: HEIGHT,
       bitrate: 5000000,
-      framerate: fps
+      framerate: VIDEO_FPS,
+      avc: { format: 'avc' }  // Length-prefixed NAL units plus avcC, as MP4 stores them
     });
   } catch (e) {
     videoStatus.textContent = 'H.264 not supported. Falling back to WebM...';
@@ -288,35 +503,12 @@ async function recordVideo() {
 
   videoStatus.textContent = 'Recording MP4...';
 
-  async function encodeFrame(frameIndex) {
-    if (frameIndex <= ANIMATION.totalFrames) {
-      renderFrame(ctx, frameIndex / ANIMATION.totalFrames);
-    } else {
-      renderFrame(ctx, 1);
-    }
-    var frame = new VideoFrame(canvas, { timestamp: frameIndex * frameDuration, duration: frameDuration });
-    encoder.encode(frame, { keyFrame: frameIndex % 30 === 0 });
-    frame.close();
-    videoStatus.textContent = 'Encoding frame ' + (frameIndex + 1) + ' of ' + totalFrames + '...';
-    if (frameIndex < totalFrames - 1) {
-      await new Promise(r => setTimeout(r, 0));
-      await encodeFrame(frameIndex + 1);
-    }
-  }
-
   try {
-    await encodeFrame(0);
+    await encodeVideoFrames(encoder, frames, canvas, ctx);
     await encoder.flush();
     encoder.close();
-    muxer.finalize();
-    var blob = new Blob([muxer.target.buffer], { type: 'video/mp4' });
-    var url = URL.createObjectURL(blob);
-    var a = document.createElement('a');
-    a.href = url;
-    a.download = '${filename}.mp4';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
+    var blob = new Blob([muxer.finalize()], { type: 'video/mp4' });
+    downloadBlob(blob, '${filename}.mp4');
     videoStatus.textContent = 'MP4 downloaded! Size: ' + (blob.size / 1024).toFixed(0) + ' KB';
   } catch (e) {
     console.error('MP4 error:', e);
@@ -330,7 +522,74 @@ async function recordVideo() {
   canvas.style.display = 'none';
 }
 
-function recordWebM() {
+// =============================================
+// VIDEO RECORDING - WebM via WebCodecs VP9/VP8 + inline WebMMuxer
+// =============================================
+
+// Every frame is encoded with an explicit timestamp from the resampled
+// timeline, so a busy tab cannot drop or duplicate frames and the hold
+// lasts exactly as long as in the GIF
+async function recordWebM() {
+  var videoStatus = document.getElementById('videoStatus');
+  var videoBtn = document.getElementById('downloadVideo');
+
+  if (typeof VideoEncoder === 'undefined') {
+    captureWebM();
+    return;
+  }
+
+  var candidates = [
+    { codec: 'vp09.00.10.08', matroska: 'V_VP9' },
+    { codec: 'vp8', matroska: 'V_VP8' }
+  ];
+  var config = null;
+  for (var c = 0; c < candidates.length && !config; c++) {
+    var support = await VideoEncoder.isConfigSupported({
+      codec: candidates[c].codec, width: WIDTH, height: HEIGHT, bitrate: 5000000
+    }).catch(() => ({ supported: false }));
+    if (support.supported) config = candidates[c];
+  }
+  if (!config) {
+    captureWebM();
+    return;
+  }
+
+  var canvas = document.getElementById('canvas');
+  canvas.style.display = 'block';
+  canvas.style.position = 'absolute';
+  canvas.style.left = '-9999px';
+  var ctx = canvas.getContext('2d');
+
+  var muxer = new WebMMuxer({ width: WIDTH, height: HEIGHT, codec: config.matroska });
+  var encoder = new VideoEncoder({
+    output: (chunk, meta) => { muxer.addVideoChunk(chunk, meta); },
+    error: (e) => { console.error('WebM encoder error:', e); }
+  });
+
+  try {
+    encoder.configure({ codec: config.codec, width: WIDTH, height: HEIGHT, bitrate: 5000000, framerate: VIDEO_FPS });
+    await encodeVideoFrames(encoder, TIMELINE.videoFrames(VIDEO_FPS), canvas, ctx);
+    await encoder.flush();
+    encoder.close();
+
+    var blob = new Blob([muxer.finalize()], { type: 'video/webm' });
+    downloadBlob(blob, '${filename}.webm');
+    videoStatus.textContent = 'Video downloaded! Size: ' + (blob.size / 1024).toFixed(0) + ' KB (WebM fallback)';
+  } catch (e) {
+    console.error('WebM error:', e);
+    videoStatus.textContent = 'WebM encoding failed. Recording in real time...';
+    captureWebM();
+    return;
+  }
+  videoBtn.disabled = false;
+  videoBtn.textContent = 'Download MP4';
+  canvas.style.display = 'none';
+}
+
+// Last resort without WebCodecs: real-time MediaRecorder capture. Frames
+// are rendered for the elapsed wall-clock time, so a slow tab lowers the
+// frame rate but keeps the overall timing.
+function captureWebM() {
   var videoStatus = document.getElementById('videoStatus');
   var videoBtn = document.getElementById('downloadVideo');
   var canvas = document.getElementById('canvas');
@@ -338,7 +597,7 @@ function recordWebM() {
   canvas.style.position = 'absolute';
   canvas.style.left = '-9999px';
   var ctx = canvas.getContext('2d');
-  var stream = canvas.captureStream(30);
+  var stream = canvas.captureStream(VIDEO_FPS);
   var chunks = [];
   var mimeType = 'video/webm;codecs=vp9';
   if (!MediaRecorder.isTypeSupported(mimeType)) mimeType = 'video/webm';
@@ -359,25 +618,273 @@ function recordWebM() {
     canvas.style.display = 'none';
   };
   recorder.start();
-  var totalFrames = ANIMATION.totalFrames + ANIMATION.holdFrames;
-  var frameIndex = 0;
+  var duration = TIMELINE.duration();
+  var start = Date.now();
   function renderNextFrame() {
-    if (frameIndex <= ANIMATION.totalFrames) renderFrame(ctx, frameIndex / ANIMATION.totalFrames);
-    else renderFrame(ctx, 1);
-    frameIndex++;
-    videoStatus.textContent = 'Recording frame ' + frameIndex + ' of ' + totalFrames + '...';
-    if (frameIndex < totalFrames) setTimeout(renderNextFrame, 1000 / 30);
-    else setTimeout(function() { recorder.stop(); }, 200);
+    var elapsed = Date.now() - start;
+    renderFrame(ctx, TIMELINE.progressAt(elapsed));
+    videoStatus.textContent = 'Recording ' + (Math.min(elapsed, duration) / 1000).toFixed(1) + 's of ' + (duration / 1000).toFixed(1) + 's...';
+    if (elapsed < duration) setTimeout(renderNextFrame, 1000 / VIDEO_FPS);
+    else recorder.stop();
   }
   renderNextFrame();
 }
 
+// =============================================
+// APNG EXPORT (full color, same timeline as the GIF)
+// =============================================
+
+// Render every animation and hold frame into an encoder with the
+// start() / addFrame(ctx, delay) / finish() interface, yielding between
+// frames so the page stays responsive. ctx defaults to the page canvas.
+function encodeTimeline(encoder, onprogress, done, ctx) {
+  ctx = ctx || document.getElementById('canvas').getContext('2d');
+  var total = ANIMATION.totalFrames + ANIMATION.holdFrames + 1;
+  var i = 0;
+  function next() {
+    if (i <= ANIMATION.totalFrames) {
+      renderFrame(ctx, i / ANIMATION.totalFrames);
+      encoder.addFrame(ctx, TIMELINE.frameDelay(i));
+    } else {
+      renderFrame(ctx, 1);
+      encoder.addFrame(ctx, ANIMATION.holdDelay);
+    }
+    i++;
+    onprogress(i, total);
+    if (i < total) setTimeout(next, 0);
+    else done(encoder.finish());
+  }
+  encoder.start();
+  next();
+}
+
+function downloadBlob(blob, name) {
+  var url = URL.createObjectURL(blob);
+  var a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+}
+
+function exportAPNG() {
+  var videoStatus = document.getElementById('videoStatus');
+  var apngBtn = document.getElementById('downloadApng');
+  apngBtn.disabled = true;
+  apngBtn.textContent = 'Encoding...';
+
+  var encoder = new APNGEncoder(WIDTH, HEIGHT, APNG_OPTIONS);
+  encodeTimeline(encoder, function(encoded, total) {
+    videoStatus.textContent = 'Encoding APNG frame ' + encoded + ' of ' + total + '...';
+  }, function(blob) {
+    downloadBlob(blob, '${filename}.apng');
+    videoStatus.textContent = 'APNG downloaded! Size: ' + (blob.size / 1024).toFixed(0) + ' KB';
+    apngBtn.disabled = false;
+    apngBtn.textContent = 'Download APNG';
+  });
+}
+
+// =============================================
+// SVG EXPORT (vector, SMIL-animated, same timeline as the GIF)
+// =============================================
+
+function exportSVG() {
+  var videoStatus = document.getElementById('videoStatus');
+  var svgBtn = document.getElementById('downloadSvg');
+  svgBtn.disabled = true;
+  svgBtn.textContent = 'Recording...';
+
+  // renderFrame draws into a recording context; the page canvas is only
+  // used to measure text
+  var ctx = new SVGContext(WIDTH, HEIGHT, { measure: document.getElementById('canvas').getContext('2d') });
+  var encoder = new SVGEncoder(WIDTH, HEIGHT, SVG_OPTIONS);
+  encodeTimeline(encoder, function(encoded, total) {
+    videoStatus.textContent = 'Recording SVG frame ' + encoded + ' of ' + total + '...';
+  }, function(blob) {
+    downloadBlob(blob, '${filename}.svg');
+    videoStatus.textContent = 'SVG downloaded! Size: ' + (blob.size / 1024).toFixed(0) + ' KB';
+    svgBtn.disabled = false;
+    svgBtn.textContent = 'Download SVG';
+  }, ctx);
+}
+
+// =============================================
+// SNAPSHOTS (final-frame PNG and contact sheet)
+// =============================================
+
+function exportPNG() {
+  var scale = parseInt(document.getElementById('pngScale').value, 10) || 1;
+  var canvas = document.createElement('canvas');
+  canvas.width = WIDTH * scale;
+  canvas.height = HEIGHT * scale;
+  var ctx = canvas.getContext('2d');
+  // Render functions draw in chart coordinates, so scaling the context
+  // gives a sharp high-resolution still rather than an upscaled bitmap
+  ctx.scale(scale, scale);
+  renderFrame(ctx, 1);
+  canvas.toBlob(function(blob) {
+    downloadBlob(blob, '${filename}' + (scale > 1 ? '@' + scale + 'x' : '') + '.png');
+    document.getElementById('videoStatus').textContent = 'PNG downloaded! ' + canvas.width + 'x' + canvas.height +
+      ', ' + (blob.size / 1024).toFixed(0) + ' KB';
+  }, 'image/png');
+}
+
+// Grid of SNAPSHOT.sheetFrames evenly spaced progress frames, each labelled
+// with its time on the GIF timeline, for reviewing the animation at a glance
+function exportContactSheet() {
+  var count = Math.max(2, SNAPSHOT.sheetFrames);
+  var columns = Math.min(count, Math.max(1, SNAPSHOT.sheetColumns));
+  var rows = Math.ceil(count / columns);
+  var thumbWidth = Math.round(WIDTH * SNAPSHOT.sheetScale);
+  var thumbHeight = Math.round(HEIGHT * SNAPSHOT.sheetScale);
+  var gap = 16, label = 24;
+
+  var sheet = document.createElement('canvas');
+  sheet.width = columns * thumbWidth + (columns + 1) * gap;
+  sheet.height = rows * (thumbHeight + label) + (rows + 1) * gap;
+  var sheetCtx = sheet.getContext('2d');
+  sheetCtx.fillStyle = STYLE.background;
+  sheetCtx.fillRect(0, 0, sheet.width, sheet.height);
+  sheetCtx.font = '14px ' + STYLE.fontFamily;
+  sheetCtx.textAlign = 'left';
+  sheetCtx.textBaseline = 'middle';
+
+  var canvas = document.getElementById('canvas');
+  var ctx = canvas.getContext('2d');
+  for (var i = 0; i < count; i++) {
+    var progress = i / (count - 1);
+    var x = gap + (i % columns) * (thumbWidth + gap);
+    var y = gap + Math.floor(i / columns) * (thumbHeight + label + gap);
+
+    renderFrame(ctx, progress);
+    sheetCtx.drawImage(canvas, x, y, thumbWidth, thumbHeight);
+    sheetCtx.strokeStyle = STYLE.gridLine;
+    sheetCtx.strokeRect(x + 0.5, y + 0.5, thumbWidth - 1, thumbHeight - 1);
+
+    sheetCtx.fillStyle = STYLE.text;
+    sheetCtx.fillText((TIMELINE.timeAtProgress(progress) / 1000).toFixed(2) + 's', x, y + thumbHeight + label / 2);
+    sheetCtx.fillStyle = STYLE.textMuted;
+    sheetCtx.textAlign = 'right';
+    sheetCtx.fillText(Math.round(progress * 100) + '%', x + thumbWidth, y + thumbHeight + label / 2);
+    sheetCtx.textAlign = 'left';
+  }
+
+  sheet.toBlob(function(blob) {
+    downloadBlob(blob, '${filename}-contact-sheet.png');
+    document.getElementById('videoStatus').textContent = 'Contact sheet downloaded! ' + count + ' frames, ' +
+      (blob.size / 1024).toFixed(0) + ' KB';
+  }, 'image/png');
+}
+
+// Final frame as a vector PDF page (paths, fills and text, not a bitmap)
+function exportPDF() {
+  var ctx = new PDFContext(WIDTH, HEIGHT);
+  renderFrame(ctx, 1);
+  var writer = new PDFWriter({ title: document.title });
+  writer.addPage(ctx);
+  var blob = writer.finish();
+  downloadBlob(blob, '${filename}.pdf');
+  document.getElementById('videoStatus').textContent = 'PDF downloaded! Size: ' + (blob.size / 1024).toFixed(0) + ' KB';
+}
+
 window.onload = function() { setTimeout(generate, 100); };
 </script>
 </body>
 </html>`;
   },
 
+  /**
+   * Generate the finished page for a chart spec (see core/chart-spec.js)
+   * @param {Object} spec - Chart spec
+   * @param {Object} overrides - Optional { style, size }
+   * @returns {string} Complete HTML document
+   * @throws {Error} One line per problem when the spec is invalid
+   */
+  generateFromSpec: function(spec, overrides) {
+    return this.generateSpec(ChartSpec.resolve(spec, overrides));
+  },
+
+  /**
+   * Generate the page for a resolved chart spec: the template, layout,
+   * TimeScale and insights/footer drawing go into the placeholders left
+   * by generate()
+   * @param {Object} job - From ChartSpec.resolve()
+   * @returns {string} Complete HTML document
+   */
+  generateSpec: function(job) {
+    var spec = job.spec;
+    var html = this.generate({
+      title: spec.title,
+      filename: spec.filename,
+      width: job.width,
+      height: job.height,
+      style: job.styleName,
+      animation: job.animation,
+      gif: job.gif,
+      webp: spec.webp,
+      apng: spec.apng,
+      svg: spec.svg,
+      pdf: spec.pdf,
+      video: spec.video,
+      snapshot: spec.snapshot,
+      comment: spec.comment,
+      source: spec.source
+    });
+
+    // "<" is escaped so spec text cannot close the script element
+    var json = function(value, indent) { return JSON.stringify(value, null, indent).replace(/</g, '\\u003c'); };
+    var parts = {
+      '%CHART_CONFIG%': 'var CHART = ' + json(job.config, 2) + ';\n' +
+        'var SPEC_EXTRAS = ' + json({ insights: job.insights, footer: job.footer, height: job.height }) + ';',
+      '%LAYOUT_CODE%': this.getFileSource('./layout.js') + '\n' +
+        this.getFileSource('./time-scale.js') + '\n' +
+        'CHART.layout = Layout.create(WIDTH, ' + job.chartHeight + ', { subtitle: ' + !!job.config.subtitle + ' });',
+      // Generator template classes draw through GeneratorAdapter, which
+      // runs their AnimationEngine sequences
+      '%RENDER_CODE%': (typeof job.template === 'function' ? this.getFileSource('./animation-engine.js') + '\n' +
+        this.getFileSource('./generator-adapter.js') + '\n' : '') +
+        this.getFileSource('../templates/' + job.entry.file) + '\n' +
+        'var drawSpecFrame = ' + ChartSpec.renderFrame.toString() + ';\n\n' +
+        'function renderFrame(ctx, progress) {\n' +
+        '  drawSpecFrame(ctx, progress, ' + job.entry.name + ', CHART, SPEC_EXTRAS);\n' +
+        '}'
+    };
+    // A replacer function keeps "$" sequences in the code literal
+    return html.replace(/%CHART_CONFIG%|%LAYOUT_CODE%|%RENDER_CODE%/g, function(match) {
+      return parts[match];
+    });
+  },
+
+  /**
+   * Whole source file (relative to core/) for embedding in the generated
+   * page; templates keep helpers such as easeOutCubic next to the object
+   */
+  getFileSource: function(file) {
+    return require('fs').readFileSync(require('path').join(__dirname, file), 'utf8');
+  },
+
+  /**
+   * Build GIFEncoder options: config.gif plus the loop count from the
+   * animation settings and a comment with the title and source
+   * (gif.timestamp adds the encode time)
+   */
+  getGifOptions: function(config, animation) {
+    var options = {};
+    var gif = config.gif || {};
+    for (var key in gif) options[key] = gif[key];
+
+    if (animation.loop !== undefined) options.loop = animation.loop;
+
+    if (config.comment !== false && options.comment === undefined) {
+      var lines = [config.title || 'Infographic'];
+      if (config.source) lines.push('Source: ' + config.source);
+      options.comment = lines.join('\n');
+    }
+
+    return options;
+  },
+
   /**
    * Get style colors for a theme
    */
@@ -499,100 +1006,115 @@ window.onload = function() { setTimeout(generate, 100); };
   },
 
   /**
-   * Get the GIF encoder code
+   * Source of a self-contained core module (a constructor with no outside
+   * references) for embedding in the generated page
+   */
+  getModuleSource: function(name, file) {
+    var fn = typeof require !== 'undefined' ? require(file) : window[name];
+    return fn.toString();
+  },
+
+  /**
+   * Encoder code for the page: the timeline and GIF encoder always, the
+   * other exporters only when enabled, with the DeflateEncoder and
+   * RecordingContext they share embedded once
+   * @param {Object} enabled - { webp, apng, svg, pdf, video } as generate() resolves them
+   */
+  getEncoders: function(enabled) {
+    var parts = [this.getAnimationTimeline(), this.getGifEncoder()];
+    if (enabled.webp || enabled.apng || enabled.pdf) parts.push(this.getDeflateEncoder());
+    if (enabled.apng) parts.push(this.getApngEncoder());
+    if (enabled.webp) parts.push(this.getWebpEncoder());
+    if (enabled.svg || enabled.pdf) parts.push(this.getRecordingContext());
+    if (enabled.svg) parts.push(this.getSvgEncoder());
+    if (enabled.pdf) parts.push(this.getPdfWriter());
+    if (enabled.video) parts.push(this.getMp4Muxer(), this.getWebmMuxer());
+    return parts.join('\n\n');
+  },
+
+  /**
+   * Get the deflate compressor code (APNG and PDF streams, WebP Huffman codes)
+   */
+  getDeflateEncoder: function() {
+    return '// DEFLATE (self-contained, works offline)\n' +
+      this.getModuleSource('DeflateEncoder', './deflate.js');
+  },
+
+  /**
+   * Get the APNG encoder code (uses the DeflateEncoder from getDeflateEncoder)
+   */
+  getApngEncoder: function() {
+    return '// APNG ENCODER (self-contained, works offline)\n' +
+      this.getModuleSource('APNGEncoder', './apng-encoder.js');
+  },
+
+  /**
+   * Get the animated WebP encoder code (uses the DeflateEncoder from
+   * getDeflateEncoder for its Huffman codes)
+   */
+  getWebpEncoder: function() {
+    return '// WEBP ENCODER (self-contained, works offline)\n' +
+      this.getModuleSource('WebPEncoder', './webp-encoder.js');
+  },
+
+  /**
+   * Get the RecordingContext code the SVG and PDF contexts build on
+   */
+  getRecordingContext: function() {
+    return '// RECORDING CONTEXT (self-contained, works offline)\n' +
+      this.getModuleSource('RecordingContext', './recording-context.js');
+  },
+
+  /**
+   * Get the SVG recording context and animated SVG encoder code
+   */
+  getSvgEncoder: function() {
+    return '// SVG ENCODER (self-contained, works offline)\n' +
+      this.getModuleSource('SVGContext', './svg-context.js') + '\n\n' +
+      this.getModuleSource('SVGEncoder', './svg-encoder.js');
+  },
+
+  /**
+   * Get the PDF context and writer code (uses RecordingContext and
+   * DeflateEncoder)
+   */
+  getPdfWriter: function() {
+    return '// PDF WRITER (self-contained, works offline)\n' +
+      this.getModuleSource('PDFContext', './pdf-context.js') + '\n\n' +
+      this.getModuleSource('PDFWriter', './pdf-writer.js');
+  },
+
+  /**
+   * Get the MP4 muxer code (wraps WebCodecs H.264 output, no CDN needed)
+   */
+  getMp4Muxer: function() {
+    return '// MP4 MUXER (self-contained, works offline)\n' +
+      this.getModuleSource('MP4Muxer', './mp4-muxer.js');
+  },
+
+  /**
+   * Get the WebM muxer code (wraps WebCodecs VP8/VP9 output)
+   */
+  getWebmMuxer: function() {
+    return '// WEBM MUXER (self-contained, works offline)\n' +
+      this.getModuleSource('WebMMuxer', './webm-muxer.js');
+  },
+
+  /**
+   * Get the animation timeline code (frame delays and video resampling,
+   * shared with SpecRenderer)
+   */
+  getAnimationTimeline: function() {
+    return '// ANIMATION TIMELINE (self-contained, works offline)\n' +
+      this.getModuleSource('AnimationTimeline', './animation-timeline.js');
+  },
+
+  /**
+   * Get the GIF encoder code (also loaded into the encoding worker)
    */
   getGifEncoder: function() {
-    return `// GIF ENCODER (self-contained, works offline)
-function GIFEncoder(width, height) {
-  this.width = width;
-  this.height = height;
-  this.data = [];
-  this.writeByte = function(b) { this.data.push(b & 0xFF); };
-  this.writeShort = function(s) { this.writeByte(s & 0xFF); this.writeByte((s >> 8) & 0xFF); };
-  this.writeString = function(s) { for (var i = 0; i < s.length; i++) this.writeByte(s.charCodeAt(i)); };
-  this.start = function() {
-    this.data = [];
-    this.writeString('GIF89a');
-    this.writeShort(width); this.writeShort(height);
-    this.writeByte(0x70); this.writeByte(0); this.writeByte(0);
-    this.writeByte(0x21); this.writeByte(0xFF); this.writeByte(0x0B);
-    this.writeString('NETSCAPE2.0');
-    this.writeByte(0x03); this.writeByte(0x01); this.writeShort(0); this.writeByte(0x00);
-  };
-  this.addFrame = function(ctx, delay) {
-    var imgData = ctx.getImageData(0, 0, width, height);
-    var pixels = imgData.data;
-    var colorCounts = {};
-    for (var i = 0; i < pixels.length; i += 4) {
-      var r = pixels[i] & 0xF8, g = pixels[i+1] & 0xF8, b = pixels[i+2] & 0xF8;
-      var key = (r << 16) | (g << 8) | b;
-      colorCounts[key] = (colorCounts[key] || 0) + 1;
-    }
-    var sortedColors = Object.keys(colorCounts).map(function(k) {
-      return { color: parseInt(k), count: colorCounts[k] };
-    }).sort(function(a, b) { return b.count - a.count; }).slice(0, 256);
-    var palette = [], colorMap = {};
-    for (var i = 0; i < sortedColors.length; i++) {
-      var c = sortedColors[i].color;
-      palette.push((c >> 16) & 0xFF, (c >> 8) & 0xFF, c & 0xFF);
-      colorMap[c] = i;
-    }
-    while (palette.length < 256 * 3) palette.push(0);
-    var indexed = new Uint8Array(width * height);
-    for (var i = 0; i < pixels.length; i += 4) {
-      var r = pixels[i] & 0xF8, g = pixels[i+1] & 0xF8, b = pixels[i+2] & 0xF8;
-      var key = (r << 16) | (g << 8) | b;
-      if (colorMap[key] !== undefined) indexed[i/4] = colorMap[key];
-      else {
-        var bestDist = Infinity, bestIdx = 0;
-        for (var j = 0; j < sortedColors.length; j++) {
-          var c = sortedColors[j].color;
-          var cr = (c >> 16) & 0xFF, cg = (c >> 8) & 0xFF, cb = c & 0xFF;
-          var dist = (r-cr)*(r-cr) + (g-cg)*(g-cg) + (b-cb)*(b-cb);
-          if (dist < bestDist) { bestDist = dist; bestIdx = j; }
-        }
-        indexed[i/4] = bestIdx;
-      }
-    }
-    this.writeByte(0x21); this.writeByte(0xF9); this.writeByte(0x04);
-    this.writeByte(0x00); this.writeShort(Math.round(delay / 10));
-    this.writeByte(0x00); this.writeByte(0x00);
-    this.writeByte(0x2C); this.writeShort(0); this.writeShort(0);
-    this.writeShort(width); this.writeShort(height); this.writeByte(0x87);
-    for (var i = 0; i < palette.length; i++) this.writeByte(palette[i]);
-    this.writeByte(8); this.lzwEncode(indexed); this.writeByte(0x00);
-  };
-  this.lzwEncode = function(pixels) {
-    var clearCode = 256, eoiCode = 257, codeSize = 9, nextCode = 258;
-    var dict = {}, buffer = 0, bufferLen = 0, output = [];
-    var emit = function(code) {
-      buffer |= code << bufferLen; bufferLen += codeSize;
-      while (bufferLen >= 8) { output.push(buffer & 0xFF); buffer >>= 8; bufferLen -= 8; }
-    };
-    emit(clearCode); var prev = pixels[0];
-    for (var i = 1; i < pixels.length; i++) {
-      var curr = pixels[i], key = prev + ',' + curr;
-      if (dict[key] !== undefined) prev = dict[key];
-      else {
-        emit(prev);
-        if (nextCode < 4096) { dict[key] = nextCode++; if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++; }
-        else { emit(clearCode); dict = {}; codeSize = 9; nextCode = 258; }
-        prev = curr;
-      }
-    }
-    emit(prev); emit(eoiCode);
-    if (bufferLen > 0) output.push(buffer & 0xFF);
-    for (var i = 0; i < output.length; i += 255) {
-      var chunk = output.slice(i, Math.min(i + 255, output.length));
-      this.writeByte(chunk.length);
-      for (var j = 0; j < chunk.length; j++) this.writeByte(chunk[j]);
-    }
-  };
-  this.finish = function() {
-    this.writeByte(0x3B);
-    return new Blob([new Uint8Array(this.data)], {type: 'image/gif'});
-  };
-}`;
+    return '// GIF ENCODER (self-contained, works offline)\n' +
+      this.getModuleSource('GIFEncoder', './gif-encoder.js');
   }
 };
 
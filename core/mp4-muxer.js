@@ -0,0 +1,213 @@
+/**
+ * Self-contained MP4 (ISO-BMFF) Muxer
+ * Wraps H.264 chunks from WebCodecs' VideoEncoder in an MP4 file so video
+ * export needs no network (previously mp4-muxer was loaded from a CDN).
+ *
+ * Writes a single video track with all samples in one chunk and the moov
+ * box before mdat ("fast start"), so the file plays while downloading.
+ * Everything lives inside the constructor so the source can be embedded
+ * in generated pages.
+ *
+ * Usage:
+ *   var muxer = new MP4Muxer({ width: 900, height: 700 });
+ *   new VideoEncoder({ output: function(chunk, meta) { muxer.addVideoChunk(chunk, meta); }, ... });
+ *   ...
+ *   var blob = new Blob([muxer.finalize()], { type: 'video/mp4' });
+ */
+
+function MP4Muxer(options) {
+  options = options || {};
+  this.width = options.width;
+  this.height = options.height;
+
+  // Media time units per second; chunk timestamps (microseconds) are
+  // rounded to this
+  this.timescale = options.timescale || 90000;
+
+  this.samples = [];      // { data, time, duration, key }
+  this.description = null; // AVCDecoderConfigurationRecord (avcC payload)
+
+  /**
+   * Add an encoded chunk from VideoEncoder's output callback. Also accepts
+   * plain objects { data, timestamp, duration, type } (e.g. under Node).
+   * @param {EncodedVideoChunk|Object} chunk
+   * @param {Object} meta - Output metadata; decoderConfig.description on key frames
+   */
+  this.addVideoChunk = function(chunk, meta) {
+    if (meta && meta.decoderConfig && meta.decoderConfig.description && !this.description) {
+      var desc = meta.decoderConfig.description;
+      this.description = ArrayBuffer.isView(desc) ?
+        new Uint8Array(desc.buffer, desc.byteOffset, desc.byteLength).slice() : new Uint8Array(desc.slice(0));
+    }
+
+    var data;
+    if (chunk.copyTo) {
+      data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+    } else {
+      data = chunk.data;
+    }
+
+    this.samples.push({
+      data: data,
+      time: Math.round(chunk.timestamp * this.timescale / 1e6),
+      duration: chunk.duration ? Math.round(chunk.duration * this.timescale / 1e6) : null,
+      key: chunk.type === 'key'
+    });
+  };
+
+  /**
+   * Build the MP4 file
+   * @returns {Uint8Array}
+   */
+  this.finalize = function() {
+    if (!this.samples.length) throw new Error('No video chunks were added');
+    if (!this.description) throw new Error('No decoder configuration (avcC) received from the encoder');
+
+    // Sample durations from timestamp differences; the last sample keeps its
+    // own duration (or repeats the previous one)
+    var samples = this.samples.slice().sort(function(a, b) { return a.time - b.time; });
+    for (var i = 0; i < samples.length; i++) {
+      if (i + 1 < samples.length) samples[i].duration = samples[i + 1].time - samples[i].time;
+      else if (!samples[i].duration) samples[i].duration = i > 0 ? samples[i - 1].duration : Math.round(this.timescale / 30);
+    }
+    var mediaDuration = samples[samples.length - 1].time + samples[samples.length - 1].duration - samples[0].time;
+    var movieDuration = Math.round(mediaDuration * 1000 / this.timescale);
+
+    var mdatSize = 8;
+    for (i = 0; i < samples.length; i++) mdatSize += samples[i].data.length;
+
+    var ftyp = this.box('ftyp', [this.fourcc('isom'), this.u32(0x200),
+      this.fourcc('isom'), this.fourcc('iso2'), this.fourcc('avc1'), this.fourcc('mp41')]);
+
+    // The chunk offset depends on the moov size, which does not depend on
+    // the offset's value: build once to measure, then again with the offset
+    var moov = this.moov(samples, mediaDuration, movieDuration, 0);
+    moov = this.moov(samples, mediaDuration, movieDuration, ftyp.length + moov.length + 8);
+
+    var out = new Uint8Array(ftyp.length + moov.length + mdatSize);
+    out.set(ftyp, 0);
+    out.set(moov, ftyp.length);
+    var offset = ftyp.length + moov.length;
+    out.set(this.u32(mdatSize), offset);
+    out.set(this.fourcc('mdat'), offset + 4);
+    offset += 8;
+    for (i = 0; i < samples.length; i++) {
+      out.set(samples[i].data, offset);
+      offset += samples[i].data.length;
+    }
+    return out;
+  };
+
+  this.moov = function(samples, mediaDuration, movieDuration, dataOffset) {
+    var matrix = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000].map(this.u32);
+
+    var mvhd = this.fullBox('mvhd', 0, 0, [
+      this.u32(0), this.u32(0),               // Creation, modification time
+      this.u32(1000), this.u32(movieDuration),
+      this.u32(0x00010000), this.u16(0x0100), // Rate 1.0, volume 1.0
+      new Uint8Array(10)
+    ].concat(matrix, [new Uint8Array(24), this.u32(2)]));   // Next track ID
+
+    var tkhd = this.fullBox('tkhd', 0, 3, [   // Enabled, in movie
+      this.u32(0), this.u32(0), this.u32(1), this.u32(0), this.u32(movieDuration),
+      new Uint8Array(8), this.u16(0), this.u16(0), this.u16(0), this.u16(0)
+    ].concat(matrix, [this.u32(this.width * 65536), this.u32(this.height * 65536)]));
+
+    var mdhd = this.fullBox('mdhd', 0, 0, [
+      this.u32(0), this.u32(0), this.u32(this.timescale), this.u32(mediaDuration),
+      this.u16(0x55C4), this.u16(0)           // Language 'und'
+    ]);
+    var hdlr = this.fullBox('hdlr', 0, 0, [
+      this.u32(0), this.fourcc('vide'), new Uint8Array(12), this.ascii('VideoHandler\0')
+    ]);
+
+    var vmhd = this.fullBox('vmhd', 0, 1, [new Uint8Array(8)]);
+    var dinf = this.box('dinf', [this.fullBox('dref', 0, 0, [this.u32(1), this.fullBox('url ', 0, 1, [])])]);
+
+    var avc1 = this.box('avc1', [
+      new Uint8Array(6), this.u16(1),         // Reserved, data reference index
+      new Uint8Array(16),
+      this.u16(this.width), this.u16(this.height),
+      this.u32(0x00480000), this.u32(0x00480000), // 72 dpi
+      this.u32(0), this.u16(1),               // Reserved, frames per sample
+      new Uint8Array(32),                     // Compressor name
+      this.u16(0x0018), this.u16(0xFFFF),     // Depth, pre-defined -1
+      this.box('avcC', [this.description])
+    ]);
+    var stsd = this.fullBox('stsd', 0, 0, [this.u32(1), avc1]);
+
+    // Time to sample: runs of equal durations
+    var runs = [];
+    for (var i = 0; i < samples.length; i++) {
+      var last = runs[runs.length - 1];
+      if (last && last[1] === samples[i].duration) last[0]++;
+      else runs.push([1, samples[i].duration]);
+    }
+    var stts = this.fullBox('stts', 0, 0, [this.u32(runs.length)].concat(
+      runs.map(function(run) { return this.u32s([run[0], run[1]]); }, this)));
+
+    var keys = [];
+    for (i = 0; i < samples.length; i++) if (samples[i].key) keys.push(i + 1);
+    var stss = this.fullBox('stss', 0, 0, [this.u32(keys.length), this.u32s(keys)]);
+
+    var stsc = this.fullBox('stsc', 0, 0, [this.u32(1), this.u32s([1, samples.length, 1])]);
+    var stsz = this.fullBox('stsz', 0, 0, [this.u32(0), this.u32(samples.length),
+      this.u32s(samples.map(function(s) { return s.data.length; }))]);
+    var stco = this.fullBox('stco', 0, 0, [this.u32(1), this.u32(dataOffset)]);
+
+    var stbl = this.box('stbl', [stsd, stts, stss, stsc, stsz, stco]);
+    var minf = this.box('minf', [vmhd, dinf, stbl]);
+    var mdia = this.box('mdia', [mdhd, hdlr, minf]);
+    var trak = this.box('trak', [tkhd, mdia]);
+    return this.box('moov', [mvhd, trak]);
+  };
+
+  /**
+   * Box: 32-bit size, FourCC type, then the concatenated parts
+   */
+  this.box = function(type, parts) {
+    var size = 8;
+    for (var i = 0; i < parts.length; i++) size += parts[i].length;
+    var out = new Uint8Array(size);
+    out.set(this.u32(size), 0);
+    out.set(this.fourcc(type), 4);
+    var offset = 8;
+    for (i = 0; i < parts.length; i++) {
+      out.set(parts[i], offset);
+      offset += parts[i].length;
+    }
+    return out;
+  };
+
+  /**
+   * Full box: a box whose payload starts with a version byte and 24-bit flags
+   */
+  this.fullBox = function(type, version, flags, parts) {
+    return this.box(type, [this.u32((version << 24) | flags)].concat(parts));
+  };
+
+  this.u32 = function(value) {
+    return new Uint8Array([(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF]);
+  };
+  this.u32s = function(values) {
+    var out = new Uint8Array(values.length * 4);
+    var view = new DataView(out.buffer);
+    for (var i = 0; i < values.length; i++) view.setUint32(i * 4, values[i]);
+    return out;
+  };
+  this.u16 = function(value) {
+    return new Uint8Array([(value >> 8) & 0xFF, value & 0xFF]);
+  };
+  this.ascii = function(s) {
+    var out = new Uint8Array(s.length);
+    for (var i = 0; i < s.length; i++) out[i] = s.charCodeAt(i);
+    return out;
+  };
+  this.fourcc = this.ascii;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MP4Muxer;
+}
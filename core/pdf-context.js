@@ -0,0 +1,355 @@
+/**
+ * PDF Recording Context
+ * A RecordingContext that turns draw calls into a PDF content stream, so
+ * renderFrame(ctx, progress) and the templates' render(ctx, config,
+ * progress) produce vector pages. PDFWriter assembles pages into a file.
+ *
+ * Draw calls: fill, stroke, fillRect, strokeRect, fillText, strokeText
+ * (with colors or gradients, globalAlpha, dashes and transforms).
+ * clearRect only supports clearing the whole canvas. Text uses the
+ * standard Helvetica and Courier fonts (Helvetica has Arial's metrics), so
+ * nothing is embedded; characters outside WinAnsi are written as "?".
+ *
+ * Everything lives inside the constructor so the source can be embedded in
+ * generated pages next to RecordingContext.
+ *
+ * Usage:
+ *   var ctx = new PDFContext(900, 700);
+ *   WaterfallChartTemplate.render(ctx, config, 1);
+ *   var writer = new PDFWriter({ title: 'Q3 bridge' });
+ *   writer.addPage(ctx);
+ */
+
+if (typeof RecordingContext === 'undefined' && typeof require !== 'undefined') {
+  var RecordingContext = require('./recording-context.js');
+}
+
+function PDFContext(width, height, options) {
+  options = options || {};
+  RecordingContext.call(this, width, height, options);
+
+  // PDF points per canvas pixel (0.75 = 96 dpi, so a 900px chart is 9.4in)
+  this.scale = options.scale || 0.75;
+
+  this.ops = [];
+  this.resources = { fonts: {}, states: {}, patterns: {} };
+  var resourceNames = {};   // Resource content -> name, so equal ones are shared
+
+  // Em box ascent/descent used to place textBaseline (fraction of font size)
+  var ASCENT = 0.8, DESCENT = 0.2;
+
+  // Advance widths (1/1000 em) of ASCII 32-126 in Helvetica and Helvetica-Bold
+  var HELVETICA = [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015,
+    667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722,
+    667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333,
+    556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333,
+    500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584];
+  var HELVETICA_BOLD = [278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975,
+    722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722,
+    667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333,
+    556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389,
+    556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584];
+  // Widths of common non-ASCII chart characters (WinAnsi code -> width)
+  var EXTRA_WIDTHS = { 0x80: 556, 0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333,
+    0x95: 350, 0x96: 556, 0x97: 1000, 0xB0: 400, 0xB7: 278, 0xD7: 584 };
+
+  // WinAnsiEncoding codes 0x80-0x9F for characters outside Latin-1
+  var WIN_ANSI = { 0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85,
+    0x2020: 0x86, 0x2021: 0x87, 0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B,
+    0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91, 0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94,
+    0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98, 0x2122: 0x99, 0x0161: 0x9A,
+    0x203A: 0x9B, 0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F };
+
+  function num(v) {
+    return String(Math.round(v * 100) / 100);
+  }
+
+  function multiply(m, n) {
+    return [
+      m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1],
+      m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3],
+      m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+  }
+
+  // Canvas pixels (y down) to PDF points (y up)
+  var pageMatrix = [this.scale, 0, 0, -this.scale, 0, height * this.scale];
+
+  this.resourceName = function(kind, prefix, content) {
+    var key = kind + ':' + content;
+    if (!resourceNames[key]) {
+      var name = prefix + (Object.keys(this.resources[kind]).length + 1);
+      resourceNames[key] = name;
+      this.resources[kind][name] = content;
+    }
+    return resourceNames[key];
+  };
+
+  // ---------------------------------------------------------------------
+  // Paint
+  // ---------------------------------------------------------------------
+
+  function colorComponents(c) {
+    return [c.r, c.g, c.b].map(function(v) { return String(Math.round(v / 255 * 1000) / 1000); }).join(' ');
+  }
+
+  /**
+   * Shading function for gradient stops: one exponential function for two
+   * stops, otherwise a stitching function. Canvas pads with the end colors
+   * outside the first and last stop, so those are extended to 0 and 1.
+   */
+  this.shadingFunction = function(stops) {
+    var self = this;
+    stops = stops.slice().sort(function(a, b) { return a[0] - b[0]; }).map(function(stop) {
+      var c = self.parseColor(stop[1]) || { r: 0, g: 0, b: 0 };
+      return [Math.max(0, Math.min(1, stop[0])), colorComponents(c)];
+    });
+    if (!stops.length) stops = [[0, '0 0 0']];
+    if (stops[0][0] > 0) stops.unshift([0, stops[0][1]]);
+    if (stops[stops.length - 1][0] < 1) stops.push([1, stops[stops.length - 1][1]]);
+    if (stops.length === 1) stops.push([1, stops[0][1]]);
+
+    function exponential(a, b) {
+      return '<< /FunctionType 2 /Domain [0 1] /C0 [' + a + '] /C1 [' + b + '] /N 1 >>';
+    }
+    if (stops.length === 2) return exponential(stops[0][1], stops[1][1]);
+
+    var functions = [], bounds = [], encode = [];
+    for (var i = 0; i < stops.length - 1; i++) {
+      functions.push(exponential(stops[i][1], stops[i + 1][1]));
+      if (i > 0) bounds.push(num(stops[i][0]));
+      encode.push('0 1');
+    }
+    return '<< /FunctionType 3 /Domain [0 1] /Functions [' + functions.join(' ') + '] /Bounds [' +
+      bounds.join(' ') + '] /Encode [' + encode.join(' ') + '] >>';
+  };
+
+  /**
+   * Shading pattern for a gradient. Pattern space is the page's default
+   * space, so the matrix combines the page and the current transform.
+   */
+  this.gradientPattern = function(gradient) {
+    var c = gradient.coords;
+    var shading = gradient.type === 'linear' ?
+      '<< /ShadingType 2 /ColorSpace /DeviceRGB /Coords [' + c.map(num).join(' ') + ']' :
+      '<< /ShadingType 3 /ColorSpace /DeviceRGB /Coords [' + c.map(num).join(' ') + ']';
+    shading += ' /Function ' + this.shadingFunction(gradient.stops) + ' /Extend [true true] >>';
+    var matrix = multiply(pageMatrix, this.getMatrix());
+    return '<< /Type /Pattern /PatternType 2 /Shading ' + shading +
+      ' /Matrix [' + matrix.map(function(v) { return String(Math.round(v * 10000) / 10000); }).join(' ') + '] >>';
+  };
+
+  /**
+   * Operators selecting a fill ("rg") or stroke ("RG") paint, plus the
+   * alpha graphics state
+   * @returns {string[]}
+   */
+  this.paint = function(kind, style) {
+    var ops = [];
+    var alpha = this.globalAlpha;
+    var stroke = kind === 'stroke';
+    if (style && style.stops) {
+      var pattern = this.resourceName('patterns', 'P', this.gradientPattern(style));
+      ops.push(stroke ? '/Pattern CS /' + pattern + ' SCN' : '/Pattern cs /' + pattern + ' scn');
+    } else {
+      var c = this.parseColor(style) || { r: 0, g: 0, b: 0, a: 1 };
+      alpha *= c.a;
+      ops.push(colorComponents(c) + (stroke ? ' RG' : ' rg'));
+    }
+    if (alpha < 1) {
+      var value = String(Math.round(alpha * 1000) / 1000);
+      ops.push('/' + this.resourceName('states', 'GS', stroke ? '<< /CA ' + value + ' >>' : '<< /ca ' + value + ' >>') + ' gs');
+    }
+    return ops;
+  };
+
+  this.strokeState = function() {
+    var scale = this.lineScale();
+    var ops = this.paint('stroke', this.strokeStyle);
+    ops.push(num(this.lineWidth * scale) + ' w');
+    if (this.lineCap !== 'butt') ops.push((this.lineCap === 'round' ? 1 : 2) + ' J');
+    if (this.lineJoin !== 'miter') ops.push((this.lineJoin === 'round' ? 1 : 2) + ' j');
+    else if (this.miterLimit !== 10) ops.push(num(this.miterLimit) + ' M');
+    var dash = this.getLineDash();
+    if (dash.length) {
+      ops.push('[' + dash.map(function(v) { return num(v * scale); }).join(' ') + '] ' + num(this.lineDashOffset * scale) + ' d');
+    }
+    return ops;
+  };
+
+  /**
+   * Path segments as PDF operators; quadratic curves become cubics
+   */
+  function pathOps(segments) {
+    var ops = [];
+    var x = 0, y = 0, startX = 0, startY = 0;
+    for (var i = 0; i < segments.length; i++) {
+      var s = segments[i];
+      if (s[0] === 'M') {
+        ops.push(num(s[1]) + ' ' + num(s[2]) + ' m');
+        x = startX = s[1];
+        y = startY = s[2];
+      } else if (s[0] === 'L') {
+        ops.push(num(s[1]) + ' ' + num(s[2]) + ' l');
+        x = s[1];
+        y = s[2];
+      } else if (s[0] === 'Q') {
+        ops.push([x + 2 / 3 * (s[1] - x), y + 2 / 3 * (s[2] - y),
+          s[3] + 2 / 3 * (s[1] - s[3]), s[4] + 2 / 3 * (s[2] - s[4]), s[3], s[4]].map(num).join(' ') + ' c');
+        x = s[3];
+        y = s[4];
+      } else if (s[0] === 'C') {
+        ops.push(s.slice(1).map(num).join(' ') + ' c');
+        x = s[5];
+        y = s[6];
+      } else {
+        ops.push('h');
+        x = startX;
+        y = startY;
+      }
+    }
+    return ops;
+  }
+
+  // Each draw call runs in its own q/Q so colors and alpha do not leak
+  this.draw = function(ops) {
+    this.ops.push('q\n' + ops.join('\n') + '\nQ');
+  };
+
+  this.fillPath = function(segments, fillRule) {
+    if (!segments.length) return;
+    this.draw(this.paint('fill', this.fillStyle).concat(pathOps(segments), [fillRule === 'evenodd' ? 'f*' : 'f']));
+  };
+
+  this.strokePath = function(segments) {
+    if (!segments.length) return;
+    this.draw(this.strokeState().concat(pathOps(segments), ['S']));
+  };
+
+  this.fill = function(fillRule) { this.fillPath(this.getPath(), fillRule); };
+  this.stroke = function() { this.strokePath(this.getPath()); };
+  this.fillRect = function(x, y, w, h) { this.fillPath(this.rectPath(x, y, w, h)); };
+  this.strokeRect = function(x, y, w, h) { this.strokePath(this.rectPath(x, y, w, h)); };
+
+  /**
+   * Clearing the whole canvas drops everything drawn so far; smaller areas
+   * cannot be punched out of vector output and are ignored
+   */
+  this.clearRect = function(x, y, w, h) {
+    if (this.coversCanvas(x, y, w, h)) this.ops = [];
+  };
+
+  // ---------------------------------------------------------------------
+  // Text
+  // ---------------------------------------------------------------------
+
+  /**
+   * Standard font for the current CSS font: Courier for monospace
+   * families, Helvetica otherwise
+   */
+  this.baseFont = function(font) {
+    var mono = /mono|courier|consolas/i.test(font.family);
+    var name = mono ? 'Courier' : 'Helvetica';
+    if (font.bold && font.italic) return name + '-BoldOblique';
+    if (font.bold) return name + '-Bold';
+    if (font.italic) return name + '-Oblique';
+    return name;
+  };
+
+  // Text as WinAnsi codes
+  function encode(text) {
+    var codes = [];
+    text = String(text);
+    for (var i = 0; i < text.length; i++) {
+      var code = text.charCodeAt(i);
+      if (code >= 0xD800 && code <= 0xDBFF) i++;  // Astral characters (emoji)
+      if (code < 0x20) code = 0x20;
+      else if (code >= 0x7F && code < 0xA0 || code > 0xFF) code = WIN_ANSI[code] || 0x3F;
+      codes.push(code);
+    }
+    return codes;
+  }
+
+  function textWidth(codes, baseFont, size) {
+    if (baseFont.indexOf('Courier') === 0) return codes.length * 600 * size / 1000;
+    var widths = baseFont.indexOf('Bold') > 0 ? HELVETICA_BOLD : HELVETICA;
+    var total = 0;
+    for (var i = 0; i < codes.length; i++) {
+      var code = codes[i];
+      total += code >= 0x20 && code <= 0x7E ? widths[code - 0x20] : EXTRA_WIDTHS[code] || 556;
+    }
+    return total * size / 1000;
+  }
+
+  this.measureText = function(text) {
+    var font = this.parseFont();
+    return { width: textWidth(encode(text), this.baseFont(font), font.size) };
+  };
+
+  this.text = function(text, x, y, maxWidth, paintOps, renderMode) {
+    var font = this.parseFont();
+    var baseFont = this.baseFont(font);
+    var codes = encode(text);
+    var width = textWidth(codes, baseFont, font.size);
+
+    // Canvas squeezes text horizontally to fit maxWidth
+    var squeeze = maxWidth !== undefined && width > maxWidth ? maxWidth / width : 1;
+    width *= squeeze;
+
+    var align = this.textAlign;
+    if (align === 'center') x -= width / 2;
+    else if (align === 'right' || align === 'end') x -= width;
+
+    var baseline = this.textBaseline;
+    if (baseline === 'top' || baseline === 'hanging') y += ASCENT * font.size;
+    else if (baseline === 'middle') y += (ASCENT - DESCENT) / 2 * font.size;
+    else if (baseline === 'bottom' || baseline === 'ideographic') y -= DESCENT * font.size;
+
+    // Glyphs are drawn upright: flip y back inside the canvas transform
+    var m = multiply(this.getMatrix(), [squeeze, 0, 0, -1, x, y]);
+    var string = '';
+    for (var i = 0; i < codes.length; i++) {
+      var code = codes[i];
+      if (code === 0x28 || code === 0x29 || code === 0x5C) string += '\\' + String.fromCharCode(code);
+      else if (code > 0x7E) string += '\\' + code.toString(8);
+      else string += String.fromCharCode(code);
+    }
+
+    var fontName = this.resourceName('fonts', 'F', baseFont);
+    this.draw(paintOps.concat([
+      'BT',
+      '/' + fontName + ' ' + num(font.size) + ' Tf',
+      renderMode + ' Tr',
+      m.map(function(v) { return String(Math.round(v * 1000) / 1000); }).join(' ') + ' Tm',
+      '(' + string + ') Tj',
+      'ET'
+    ]));
+  };
+
+  this.fillText = function(text, x, y, maxWidth) {
+    this.text(text, x, y, maxWidth, this.paint('fill', this.fillStyle), 0);
+  };
+
+  this.strokeText = function(text, x, y, maxWidth) {
+    this.text(text, x, y, maxWidth, this.strokeState(), 1);
+  };
+
+  // ---------------------------------------------------------------------
+  // Output
+  // ---------------------------------------------------------------------
+
+  /**
+   * Content stream for the page: canvas pixels mapped to PDF points
+   * @returns {string}
+   */
+  this.content = function() {
+    return pageMatrix.map(num).join(' ') + ' cm\n' + this.ops.join('\n') + '\n';
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PDFContext;
+}
@@ -0,0 +1,196 @@
+/**
+ * Self-contained PDF Writer
+ * Assembles pages drawn into PDFContext into a PDF 1.4 file: one vector
+ * page per context, content streams compressed with the inline
+ * DeflateEncoder, standard fonts shared between pages.
+ *
+ * Everything lives inside the constructor so the source can be embedded in
+ * generated pages next to PDFContext and DeflateEncoder.
+ *
+ * Browser:
+ *   var ctx = new PDFContext(WIDTH, HEIGHT);
+ *   renderFrame(ctx, 1);
+ *   var writer = new PDFWriter({ title: 'Revenue bridge' });
+ *   writer.addPage(ctx);
+ *   var blob = writer.finish();
+ *
+ * Node:
+ *   var PDFWriter = require('./core/pdf-writer.js');
+ *   var writer = new PDFWriter({ title: 'Board pack' });
+ *   writer.renderTemplate(WaterfallChartTemplate, config);   // final frame
+ *   writer.renderTemplate(SankeyChartTemplate, config2);
+ *   fs.writeFileSync('board-pack.pdf', writer.toBytes());
+ */
+
+if (typeof DeflateEncoder === 'undefined' && typeof require !== 'undefined') {
+  var DeflateEncoder = require('./deflate.js');
+}
+if (typeof PDFContext === 'undefined' && typeof require !== 'undefined') {
+  var PDFContext = require('./pdf-context.js');
+}
+
+function PDFWriter(options) {
+  options = options || {};
+  this.title = options.title || null;
+  this.author = options.author || null;
+
+  // Flate-compress content streams (false keeps them readable for debugging)
+  this.compress = options.compress !== false;
+
+  this.deflater = new DeflateEncoder({ maxChain: options.maxChain });
+  this.objects = [null, null];  // Object 1 is the catalog, 2 the page tree
+  this.pages = [];
+  this.fonts = {};              // Base font name -> object number
+
+  function bytes(text) {
+    var out = new Uint8Array(text.length);
+    for (var i = 0; i < text.length; i++) out[i] = text.charCodeAt(i) & 0xFF;
+    return out;
+  }
+
+  /**
+   * PDF text string: literal for Latin-1, UTF-16BE with a BOM otherwise
+   */
+  function textString(text) {
+    text = String(text);
+    if (/^[\x20-\xff]*$/.test(text)) return '(' + text.replace(/[\\()]/g, '\\$&') + ')';
+    var hex = 'FEFF';
+    for (var i = 0; i < text.length; i++) hex += ('000' + text.charCodeAt(i).toString(16)).slice(-4);
+    return '<' + hex.toUpperCase() + '>';
+  }
+
+  /**
+   * Add an object and return its number; content is a dictionary string,
+   * or { dict, stream } for stream objects
+   */
+  this.addObject = function(content) {
+    this.objects.push(content);
+    return this.objects.length;
+  };
+
+  this.stream = function(dict, text) {
+    var data = bytes(text);
+    if (this.compress) {
+      data = this.deflater.zlib(data);
+      dict = dict + ' /Filter /FlateDecode';
+    }
+    return { dict: '<< ' + dict + ' /Length ' + data.length + ' >>', stream: data };
+  };
+
+  /**
+   * Add a page drawn into a PDFContext
+   * @param {PDFContext} context
+   */
+  this.addPage = function(context) {
+    var resources = context.resources;
+    var fonts = [], states = [], patterns = [];
+    for (var name in resources.fonts) {
+      var baseFont = resources.fonts[name];
+      if (!this.fonts[baseFont]) {
+        this.fonts[baseFont] = this.addObject('<< /Type /Font /Subtype /Type1 /BaseFont /' + baseFont +
+          ' /Encoding /WinAnsiEncoding >>');
+      }
+      fonts.push('/' + name + ' ' + this.fonts[baseFont] + ' 0 R');
+    }
+    for (name in resources.states) {
+      states.push('/' + name + ' ' + this.addObject(resources.states[name].replace('<<', '<< /Type /ExtGState')) + ' 0 R');
+    }
+    for (name in resources.patterns) {
+      patterns.push('/' + name + ' ' + this.addObject(resources.patterns[name]) + ' 0 R');
+    }
+
+    var dict = '<< /ProcSet [/PDF /Text]';
+    if (fonts.length) dict += ' /Font << ' + fonts.join(' ') + ' >>';
+    if (states.length) dict += ' /ExtGState << ' + states.join(' ') + ' >>';
+    if (patterns.length) dict += ' /Pattern << ' + patterns.join(' ') + ' >>';
+    dict += ' >>';
+
+    var contents = this.addObject(this.stream('', context.content()));
+    var box = [0, 0, context.width * context.scale, context.height * context.scale].map(function(v) {
+      return String(Math.round(v * 100) / 100);
+    });
+    this.pages.push(this.addObject('<< /Type /Page /Parent 2 0 R /MediaBox [' + box.join(' ') + ']' +
+      ' /Resources ' + dict + ' /Contents ' + contents + ' 0 R >>'));
+  };
+
+  /**
+   * Node API: draw a template's render(ctx, config, progress) onto a new
+   * page (the final frame unless progress is given)
+   * @param {Object} template - e.g. WaterfallChartTemplate
+   * @param {Object} config - Template config with layout.width/height
+   * @param {number} progress - Animation progress 0-1 (default 1)
+   * @param {Object} options - PDFContext options (scale)
+   */
+  this.renderTemplate = function(template, config, progress, options) {
+    var context = new PDFContext(config.layout.width, config.layout.height, options);
+    template.render(context, config, progress === undefined ? 1 : progress);
+    this.addPage(context);
+    return context;
+  };
+
+  /**
+   * Build the PDF file
+   * @returns {Uint8Array}
+   */
+  this.toBytes = function() {
+    if (!this.pages.length) throw new Error('No pages were added');
+
+    this.objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+    this.objects[1] = '<< /Type /Pages /Kids [' + this.pages.map(function(n) { return n + ' 0 R'; }).join(' ') +
+      '] /Count ' + this.pages.length + ' >>';
+
+    var date = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    var info = '<< /Producer (infographic-gif) /CreationDate (D:' + date + 'Z)';
+    if (this.title) info += ' /Title ' + textString(this.title);
+    if (this.author) info += ' /Author ' + textString(this.author);
+    var infoNumber = this.addObject(info + ' >>');
+
+    // Binary comment marks the file as binary for transfer tools
+    var parts = [bytes('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+    var offset = parts[0].length;
+    var offsets = [];
+    for (var i = 0; i < this.objects.length; i++) {
+      var object = this.objects[i];
+      offsets.push(offset);
+      var chunk = typeof object === 'string' ?
+        [bytes((i + 1) + ' 0 obj\n' + object + '\nendobj\n')] :
+        [bytes((i + 1) + ' 0 obj\n' + object.dict + '\nstream\n'), object.stream, bytes('\nendstream\nendobj\n')];
+      for (var j = 0; j < chunk.length; j++) {
+        parts.push(chunk[j]);
+        offset += chunk[j].length;
+      }
+    }
+
+    // Cross-reference entries are exactly 20 bytes each
+    var xref = 'xref\n0 ' + (this.objects.length + 1) + '\n0000000000 65535 f \n';
+    for (i = 0; i < offsets.length; i++) xref += ('000000000' + offsets[i]).slice(-10) + ' 00000 n \n';
+    xref += 'trailer\n<< /Size ' + (this.objects.length + 1) + ' /Root 1 0 R /Info ' + infoNumber + ' 0 R >>\n' +
+      'startxref\n' + offset + '\n%%EOF\n';
+    parts.push(bytes(xref));
+
+    // The info object is added per build, so drop it again
+    this.objects.pop();
+
+    var size = 0;
+    for (i = 0; i < parts.length; i++) size += parts[i].length;
+    var out = new Uint8Array(size);
+    offset = 0;
+    for (i = 0; i < parts.length; i++) {
+      out.set(parts[i], offset);
+      offset += parts[i].length;
+    }
+    return out;
+  };
+
+  /**
+   * @returns {Blob} application/pdf
+   */
+  this.finish = function() {
+    return new Blob([this.toBytes()], { type: 'application/pdf' });
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PDFWriter;
+}
@@ -0,0 +1,334 @@
+/**
+ * Recording Canvas Context (shared base)
+ * Implements the state, transform, path and gradient parts of the
+ * CanvasRenderingContext2D subset the templates use, so vector back ends
+ * (SVGContext, PDFContext) only have to turn draw calls into output.
+ *
+ * Handled here: fillStyle/strokeStyle, globalAlpha, line and text
+ * properties, setLineDash, save/restore, transforms, paths (moveTo,
+ * lineTo, quadraticCurveTo, bezierCurveTo, arc, ellipse, rect, closePath),
+ * createLinearGradient/createRadialGradient and measureText. Back ends add
+ * fill, stroke, fillRect, strokeRect, clearRect, fillText and strokeText.
+ *
+ * Points are transformed when they are added, as on a real canvas, so
+ * getPath() returns segments in canvas pixels:
+ *   ['M', x, y], ['L', x, y], ['Q', cx, cy, x, y],
+ *   ['C', c1x, c1y, c2x, c2y, x, y], ['Z']
+ *
+ * Back ends call RecordingContext.call(this, width, height, options) from
+ * their constructor. Everything lives inside the constructor so the source
+ * can be embedded in generated pages.
+ */
+
+function RecordingContext(width, height, options) {
+  options = options || {};
+  this.width = width;
+  this.height = height;
+  this.canvas = { width: width, height: height };
+
+  // Optional real 2D context used for accurate measureText(); without one
+  // text width is estimated from the font size
+  this.measureContext = options.measure || null;
+
+  this.fillStyle = '#000000';
+  this.strokeStyle = '#000000';
+  this.globalAlpha = 1;
+  this.lineWidth = 1;
+  this.lineCap = 'butt';
+  this.lineJoin = 'miter';
+  this.miterLimit = 10;
+  this.lineDashOffset = 0;
+  this.font = '10px sans-serif';
+  this.textAlign = 'start';
+  this.textBaseline = 'alphabetic';
+
+  var matrix = [1, 0, 0, 1, 0, 0];
+  var lineDash = [];
+  var stack = [];
+  var path = [];
+  var current = null;   // Current point in canvas pixels
+  var subpathStart = null;
+
+  var STATE = ['fillStyle', 'strokeStyle', 'globalAlpha', 'lineWidth', 'lineCap', 'lineJoin',
+    'miterLimit', 'lineDashOffset', 'font', 'textAlign', 'textBaseline'];
+
+  var NAMED_COLORS = {
+    black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], lime: [0, 255, 0], blue: [0, 0, 255],
+    yellow: [255, 255, 0], cyan: [0, 255, 255], aqua: [0, 255, 255], magenta: [255, 0, 255],
+    fuchsia: [255, 0, 255], silver: [192, 192, 192], gray: [128, 128, 128], grey: [128, 128, 128],
+    maroon: [128, 0, 0], olive: [128, 128, 0], green: [0, 128, 0], purple: [128, 0, 128],
+    teal: [0, 128, 128], navy: [0, 0, 128], orange: [255, 165, 0], gold: [255, 215, 0],
+    pink: [255, 192, 203], brown: [165, 42, 42]
+  };
+
+  // ---------------------------------------------------------------------
+  // State and transforms
+  // ---------------------------------------------------------------------
+
+  this.save = function() {
+    var state = { matrix: matrix.slice(), lineDash: lineDash.slice() };
+    for (var i = 0; i < STATE.length; i++) state[STATE[i]] = this[STATE[i]];
+    stack.push(state);
+  };
+
+  this.restore = function() {
+    var state = stack.pop();
+    if (!state) return;
+    for (var i = 0; i < STATE.length; i++) this[STATE[i]] = state[STATE[i]];
+    matrix = state.matrix;
+    lineDash = state.lineDash;
+  };
+
+  this.transform = function(a, b, c, d, e, f) {
+    var m = matrix;
+    matrix = [
+      m[0] * a + m[2] * b, m[1] * a + m[3] * b,
+      m[0] * c + m[2] * d, m[1] * c + m[3] * d,
+      m[0] * e + m[2] * f + m[4], m[1] * e + m[3] * f + m[5]
+    ];
+  };
+
+  this.setTransform = function(a, b, c, d, e, f) {
+    if (typeof a === 'object') matrix = [a.a, a.b, a.c, a.d, a.e, a.f];
+    else matrix = [a, b, c, d, e, f];
+  };
+
+  this.resetTransform = function() { matrix = [1, 0, 0, 1, 0, 0]; };
+  this.translate = function(x, y) { this.transform(1, 0, 0, 1, x, y); };
+  this.scale = function(x, y) { this.transform(x, 0, 0, y, 0, 0); };
+  this.rotate = function(angle) {
+    var cos = Math.cos(angle), sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  };
+
+  this.getTransform = function() {
+    return { a: matrix[0], b: matrix[1], c: matrix[2], d: matrix[3], e: matrix[4], f: matrix[5] };
+  };
+
+  // Current transform as [a, b, c, d, e, f]
+  this.getMatrix = function() {
+    return matrix.slice();
+  };
+
+  this.setLineDash = function(segments) { lineDash = segments.slice(); };
+  this.getLineDash = function() { return lineDash.slice(); };
+
+  /**
+   * How much the current transform scales lengths (line widths, dashes)
+   */
+  this.lineScale = function() {
+    return Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+  };
+
+  // ---------------------------------------------------------------------
+  // Paths
+  // ---------------------------------------------------------------------
+
+  function point(x, y) {
+    return [matrix[0] * x + matrix[2] * y + matrix[4], matrix[1] * x + matrix[3] * y + matrix[5]];
+  }
+
+  this.transformPoint = point;
+
+  this.getPath = function() {
+    return path;
+  };
+
+  this.beginPath = function() {
+    path = [];
+    current = null;
+    subpathStart = null;
+  };
+
+  this.moveTo = function(x, y) {
+    current = subpathStart = point(x, y);
+    path.push(['M', current[0], current[1]]);
+  };
+
+  this.lineTo = function(x, y) {
+    if (!current) return this.moveTo(x, y);
+    current = point(x, y);
+    path.push(['L', current[0], current[1]]);
+  };
+
+  this.quadraticCurveTo = function(cpx, cpy, x, y) {
+    if (!current) this.moveTo(cpx, cpy);
+    var cp = point(cpx, cpy);
+    current = point(x, y);
+    path.push(['Q', cp[0], cp[1], current[0], current[1]]);
+  };
+
+  this.bezierCurveTo = function(cp1x, cp1y, cp2x, cp2y, x, y) {
+    if (!current) this.moveTo(cp1x, cp1y);
+    var cp1 = point(cp1x, cp1y), cp2 = point(cp2x, cp2y);
+    current = point(x, y);
+    path.push(['C', cp1[0], cp1[1], cp2[0], cp2[1], current[0], current[1]]);
+  };
+
+  this.closePath = function() {
+    if (!current) return;
+    path.push(['Z']);
+    current = subpathStart;
+  };
+
+  this.rect = function(x, y, w, h) {
+    this.moveTo(x, y);
+    this.lineTo(x + w, y);
+    this.lineTo(x + w, y + h);
+    this.lineTo(x, y + h);
+    this.closePath();
+  };
+
+  /**
+   * Segments for a rectangle in canvas pixels, without touching the
+   * current path (fillRect/strokeRect)
+   */
+  this.rectPath = function(x, y, w, h) {
+    var a = point(x, y), b = point(x + w, y), c = point(x + w, y + h), d = point(x, y + h);
+    return [['M', a[0], a[1]], ['L', b[0], b[1]], ['L', c[0], c[1]], ['L', d[0], d[1]], ['Z']];
+  };
+
+  /**
+   * Whether a rectangle covers the whole canvas (clearRect support)
+   */
+  this.coversCanvas = function(x, y, w, h) {
+    var a = point(x, y), b = point(x + w, y + h);
+    return Math.min(a[0], b[0]) <= 0 && Math.min(a[1], b[1]) <= 0 &&
+      Math.max(a[0], b[0]) >= width && Math.max(a[1], b[1]) >= height;
+  };
+
+  this.arc = function(x, y, radius, startAngle, endAngle, counterclockwise) {
+    this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise);
+  };
+
+  /**
+   * Elliptical arc, converted to cubic Béziers of at most 90° each so it
+   * survives any transform. Sweep normalisation follows the canvas spec.
+   */
+  this.ellipse = function(x, y, rx, ry, rotation, startAngle, endAngle, counterclockwise) {
+    var TAU = Math.PI * 2;
+    var sweep = endAngle - startAngle;
+    if (!counterclockwise && sweep >= TAU) sweep = TAU;
+    else if (counterclockwise && -sweep >= TAU) sweep = -TAU;
+    else if (!counterclockwise) sweep = ((sweep % TAU) + TAU) % TAU;
+    else sweep = -(((-sweep % TAU) + TAU) % TAU);
+
+    var cosR = Math.cos(rotation), sinR = Math.sin(rotation);
+    function at(t, dx, dy) {
+      // Point (dx = dy = 0) or tangent offset on the rotated ellipse
+      var px = rx * Math.cos(t) + dx, py = ry * Math.sin(t) + dy;
+      return [x + px * cosR - py * sinR, y + px * sinR + py * cosR];
+    }
+
+    var start = at(startAngle, 0, 0);
+    if (current) this.lineTo(start[0], start[1]);
+    else this.moveTo(start[0], start[1]);
+
+    var segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+    var step = sweep / segments;
+    var k = 4 / 3 * Math.tan(step / 4);
+    for (var i = 0; i < segments; i++) {
+      var t0 = startAngle + i * step, t1 = t0 + step;
+      var cp1 = at(t0, -k * rx * Math.sin(t0), k * ry * Math.cos(t0));
+      var cp2 = at(t1, k * rx * Math.sin(t1), -k * ry * Math.cos(t1));
+      var end = at(t1, 0, 0);
+      this.bezierCurveTo(cp1[0], cp1[1], cp2[0], cp2[1], end[0], end[1]);
+    }
+  };
+
+  // ---------------------------------------------------------------------
+  // Colors and gradients
+  // ---------------------------------------------------------------------
+
+  /**
+   * Parse a CSS color into { r, g, b, a } (0-255, alpha 0-1), or null for
+   * colors this parser does not know
+   */
+  this.parseColor = function(color) {
+    color = String(color).trim().toLowerCase();
+    var hex = color.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+      var h = hex[1];
+      if (h.length === 3 || h.length === 4) h = h.replace(/./g, '$&$&');
+      if (h.length !== 6 && h.length !== 8) return null;
+      return {
+        r: parseInt(h.slice(0, 2), 16), g: parseInt(h.slice(2, 4), 16), b: parseInt(h.slice(4, 6), 16),
+        a: h.length === 8 ? parseInt(h.slice(6, 8), 16) / 255 : 1
+      };
+    }
+
+    var fn = color.match(/^(rgba?|hsla?)\(\s*([^)]*)\)$/);
+    if (fn) {
+      var parts = fn[2].split(/\s*[,\/]\s*|\s+/);
+      if (parts.length < 3) return null;
+      var alpha = parts.length > 3 ? (parts[3].indexOf('%') >= 0 ? parseFloat(parts[3]) / 100 : parseFloat(parts[3])) : 1;
+      if (fn[1].charAt(0) === 'r') {
+        var channel = function(v) { return v.indexOf('%') >= 0 ? parseFloat(v) * 2.55 : parseFloat(v); };
+        return { r: Math.round(channel(parts[0])), g: Math.round(channel(parts[1])), b: Math.round(channel(parts[2])), a: alpha };
+      }
+      var hue = ((parseFloat(parts[0]) % 360) + 360) % 360 / 360;
+      var s = parseFloat(parts[1]) / 100, l = parseFloat(parts[2]) / 100;
+      var q = l < 0.5 ? l * (1 + s) : l + s - l * s, p = 2 * l - q;
+      var toRgb = function(t) {
+        t = (t + 1) % 1;
+        var v = t < 1 / 6 ? p + (q - p) * 6 * t : t < 1 / 2 ? q : t < 2 / 3 ? p + (q - p) * (2 / 3 - t) * 6 : p;
+        return Math.round(v * 255);
+      };
+      return { r: toRgb(hue + 1 / 3), g: toRgb(hue), b: toRgb(hue - 1 / 3), a: alpha };
+    }
+
+    if (color === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+    var named = NAMED_COLORS[color];
+    return named ? { r: named[0], g: named[1], b: named[2], a: 1 } : null;
+  };
+
+  function gradient(type, coords) {
+    return {
+      type: type,
+      coords: coords,
+      stops: [],
+      addColorStop: function(offset, color) { this.stops.push([offset, color]); }
+    };
+  }
+
+  // Gradients record their coordinates; back ends apply the transform
+  // that is current when they are used
+  this.createLinearGradient = function(x0, y0, x1, y1) {
+    return gradient('linear', [x0, y0, x1, y1]);
+  };
+
+  this.createRadialGradient = function(x0, y0, r0, x1, y1, r1) {
+    return gradient('radial', [x0, y0, r0, x1, y1, r1]);
+  };
+
+  // ---------------------------------------------------------------------
+  // Text
+  // ---------------------------------------------------------------------
+
+  /**
+   * Font size (px), weight, style and family from the CSS font shorthand
+   */
+  this.parseFont = function() {
+    var font = this.font;
+    var size = font.match(/([\d.]+)px/);
+    return {
+      size: size ? parseFloat(size[1]) : 10,
+      bold: /\b(bold|bolder|[6-9]00)\b/i.test(font),
+      italic: /\b(italic|oblique)\b/i.test(font),
+      family: size ? font.slice(font.indexOf(size[0]) + size[0].length).replace(/^\/\S+/, '').trim() : 'sans-serif'
+    };
+  };
+
+  this.measureText = function(text) {
+    if (this.measureContext) {
+      this.measureContext.font = this.font;
+      return this.measureContext.measureText(text);
+    }
+    return { width: String(text).length * this.parseFont().size * 0.55 };
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RecordingContext;
+}
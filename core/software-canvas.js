@@ -0,0 +1,724 @@
+/**
+ * Software Canvas
+ * A dependency-free stand-in for <canvas> under Node: a RecordingContext
+ * whose draw calls are rasterized into an RGBA pixel buffer, so templates
+ * render headless and GIFEncoder (or any other encoder) can read frames
+ * with getImageData().
+ *
+ * Supported: fill (nonzero/evenodd), stroke (lineWidth, lineCap, lineJoin,
+ * miterLimit, setLineDash), fillRect, strokeRect, clearRect, linear and
+ * radial gradients, globalAlpha, fillText/strokeText/measureText with the
+ * bundled StrokeFont, getImageData, putImageData and drawImage. Edges are
+ * anti-aliased with exact area coverage. Compositing is always
+ * source-over; clipping and shadows are not implemented.
+ *
+ * Usage (Node):
+ *   var SoftwareCanvas = require('./core/software-canvas.js');
+ *   var GIFEncoder = require('./core/gif-encoder.js');
+ *   var canvas = new SoftwareCanvas(900, 700);
+ *   var ctx = canvas.getContext('2d');
+ *   var encoder = new GIFEncoder(900, 700);
+ *   encoder.start();
+ *   for (var i = 0; i <= 60; i++) {
+ *     WaterfallChartTemplate.render(ctx, config, i / 60);
+ *     encoder.addFrame(ctx, 50);
+ *   }
+ *   fs.writeFileSync('chart.gif', Buffer.from(encoder.data.slice(0, encoder.length)));
+ */
+
+if (typeof RecordingContext === 'undefined' && typeof require !== 'undefined') {
+  var RecordingContext = require('./recording-context.js');
+}
+if (typeof StrokeFont === 'undefined' && typeof require !== 'undefined') {
+  var StrokeFont = require('./stroke-font.js');
+}
+
+function SoftwareCanvas(width, height, options) {
+  this.width = width;
+  this.height = height;
+
+  var canvas = this;
+  var ctx = {};
+  RecordingContext.call(ctx, width, height, options);
+  ctx.canvas = canvas;
+
+  var font = new StrokeFont();
+  var pixels = new Uint8ClampedArray(width * height * 4);
+
+  // Signed area accumulation cells, two spare columns so edges on the right
+  // border stay in their row
+  var stride = width + 2;
+  var cells = new Float32Array(stride * height);
+  var minX, minY, maxX, maxY;
+
+  // ---------------------------------------------------------------------
+  // Coverage
+  // ---------------------------------------------------------------------
+
+  function resetBounds() {
+    minX = stride;
+    minY = height;
+    maxX = -1;
+    maxY = -1;
+  }
+  resetBounds();
+
+  /**
+   * Accumulate one edge already clipped to 0 <= x <= width: each cell gets
+   * the signed area the edge covers within its row, so a running sum along
+   * the row gives the winding coverage of every pixel
+   */
+  function accumulate(x0, y0, x1, y1) {
+    var dir = 1;
+    if (y0 > y1) {
+      dir = -1;
+      var t = x0; x0 = x1; x1 = t;
+      t = y0; y0 = y1; y1 = t;
+    }
+    var dxdy = (x1 - x0) / (y1 - y0);
+    var x = y0 < 0 ? x0 - y0 * dxdy : x0;
+    var yStart = Math.max(0, Math.floor(y0));
+    var yEnd = Math.min(height, Math.ceil(y1));
+    if (yStart >= yEnd) return;
+
+    minY = Math.min(minY, yStart);
+    maxY = Math.max(maxY, yEnd - 1);
+    minX = Math.min(minX, Math.max(0, Math.floor(Math.min(x0, x1))));
+    maxX = Math.max(maxX, Math.min(width + 1, Math.ceil(Math.max(x0, x1)) + 1));
+
+    for (var y = yStart; y < yEnd; y++) {
+      var row = y * stride;
+      var dy = Math.min(y + 1, y1) - Math.max(y, y0);
+      var xNext = x + dxdy * dy;
+      var d = dy * dir;
+      var xa = Math.max(0, Math.min(x, xNext));
+      var xb = Math.max(0, Math.max(x, xNext));
+      var xaFloor = Math.floor(xa);
+      var xbCeil = Math.ceil(xb);
+
+      if (xbCeil <= xaFloor + 1) {
+        // Edge stays within one column
+        var mid = 0.5 * (x + xNext) - xaFloor;
+        cells[row + xaFloor] += d - d * mid;
+        cells[row + xaFloor + 1] += d * mid;
+      } else {
+        var s = 1 / (xb - xa);
+        var fa = xa - xaFloor;
+        var a0 = 0.5 * s * (1 - fa) * (1 - fa);
+        var fb = xb - xbCeil + 1;
+        var am = 0.5 * s * fb * fb;
+        cells[row + xaFloor] += d * a0;
+        if (xbCeil === xaFloor + 2) {
+          cells[row + xaFloor + 1] += d * (1 - a0 - am);
+        } else {
+          var a1 = s * (1.5 - fa);
+          cells[row + xaFloor + 1] += d * (a1 - a0);
+          for (var xi = xaFloor + 2; xi < xbCeil - 1; xi++) cells[row + xi] += d * s;
+          var a2 = a1 + (xbCeil - xaFloor - 3) * s;
+          cells[row + xbCeil - 1] += d * (1 - a2 - am);
+        }
+        cells[row + xbCeil] += d * am;
+      }
+      x = xNext;
+    }
+  }
+
+  /**
+   * Add an edge in canvas pixels. Parts left or right of the canvas are
+   * projected onto its border, which keeps the winding of every pixel
+   * inside intact.
+   */
+  function addEdge(x0, y0, x1, y1) {
+    if (y0 === y1 || !isFinite(x0 + y0 + x1 + y1)) return;
+    if ((y0 <= 0 && y1 <= 0) || (y0 >= height && y1 >= height)) return;
+    if (x0 >= 0 && x1 >= 0 && x0 <= width && x1 <= width) return accumulate(x0, y0, x1, y1);
+
+    var cuts = [0, 1];
+    if ((x0 < 0) !== (x1 < 0)) cuts.push(-x0 / (x1 - x0));
+    if ((x0 > width) !== (x1 > width)) cuts.push((width - x0) / (x1 - x0));
+    cuts.sort(function(a, b) { return a - b; });
+    for (var i = 0; i < cuts.length - 1; i++) {
+      var ya = y0 + (y1 - y0) * cuts[i], yb = y0 + (y1 - y0) * cuts[i + 1];
+      var xm = x0 + (x1 - x0) * (cuts[i] + cuts[i + 1]) / 2;
+      var clamp = xm < 0 ? 0 : xm > width ? width : null;
+      if (clamp !== null) {
+        accumulate(clamp, ya, clamp, yb);
+      } else {
+        accumulate(x0 + (x1 - x0) * cuts[i], ya, x0 + (x1 - x0) * cuts[i + 1], yb);
+      }
+    }
+  }
+
+  /**
+   * Add a closed polygon [x0, y0, x1, y1, ...]. Stroke pieces pass
+   * orient = true so every piece winds the same way and overlaps add up
+   * instead of cancelling.
+   */
+  function addPolygon(points, orient) {
+    var n = points.length;
+    if (n < 6) return;
+    var reverse = false;
+    if (orient) {
+      var area = 0;
+      for (var i = 0; i < n; i += 2) {
+        var j = (i + 2) % n;
+        area += points[i] * points[j + 1] - points[j] * points[i + 1];
+      }
+      reverse = area < 0;
+    }
+    for (i = 0; i < n; i += 2) {
+      j = (i + 2) % n;
+      if (reverse) addEdge(points[j], points[j + 1], points[i], points[i + 1]);
+      else addEdge(points[i], points[i + 1], points[j], points[j + 1]);
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Paint and compositing
+  // ---------------------------------------------------------------------
+
+  function blend(i, r, g, b, a) {
+    if (a >= 1) {
+      pixels[i] = r;
+      pixels[i + 1] = g;
+      pixels[i + 2] = b;
+      pixels[i + 3] = 255;
+      return;
+    }
+    var da = pixels[i + 3] / 255;
+    if (da === 1) {
+      pixels[i] += (r - pixels[i]) * a;
+      pixels[i + 1] += (g - pixels[i + 1]) * a;
+      pixels[i + 2] += (b - pixels[i + 2]) * a;
+      return;
+    }
+    var k = da * (1 - a);
+    var out = a + k;
+    if (out <= 0) return;
+    pixels[i] = (r * a + pixels[i] * k) / out;
+    pixels[i + 1] = (g * a + pixels[i + 1] * k) / out;
+    pixels[i + 2] = (b * a + pixels[i + 2] * k) / out;
+    pixels[i + 3] = out * 255;
+  }
+
+  function invert(m) {
+    var det = m[0] * m[3] - m[1] * m[2];
+    if (!det) return null;
+    return [m[3] / det, -m[1] / det, -m[2] / det, m[0] / det,
+      (m[2] * m[5] - m[3] * m[4]) / det, (m[1] * m[4] - m[0] * m[5]) / det];
+  }
+
+  /**
+   * 256-entry RGBA lookup table for a gradient's color stops
+   */
+  function gradientTable(stops) {
+    stops = stops.slice().sort(function(a, b) { return a[0] - b[0]; }).map(function(stop) {
+      return [Math.max(0, Math.min(1, stop[0])), ctx.parseColor(stop[1]) || { r: 0, g: 0, b: 0, a: 0 }];
+    });
+    var table = new Float32Array(256 * 4);
+    for (var i = 0; i < 256; i++) {
+      var t = i / 255;
+      var k = 0;
+      while (k < stops.length - 1 && stops[k + 1][0] < t) k++;
+      var a = stops[k][1], b = stops[Math.min(k + 1, stops.length - 1)][1];
+      var span = stops[Math.min(k + 1, stops.length - 1)][0] - stops[k][0];
+      var f = t <= stops[0][0] ? 0 : span > 0 ? Math.min(1, (t - stops[k][0]) / span) : 1;
+      if (t <= stops[0][0]) b = a;
+      table[i * 4] = a.r + (b.r - a.r) * f;
+      table[i * 4 + 1] = a.g + (b.g - a.g) * f;
+      table[i * 4 + 2] = a.b + (b.b - a.b) * f;
+      table[i * 4 + 3] = a.a + (b.a - a.a) * f;
+    }
+    return table;
+  }
+
+  /**
+   * Paint for a fill or stroke style: { color: [r, g, b, a] } for colors,
+   * { table, at(x, y) -> table index or -1 } for gradients, null when
+   * nothing would be drawn
+   */
+  function paintFor(style) {
+    var alpha = ctx.globalAlpha;
+    if (!(alpha > 0)) return null;
+
+    if (!style || !style.stops) {
+      var c = ctx.parseColor(style) || { r: 0, g: 0, b: 0, a: 1 };
+      return c.a > 0 ? { color: [c.r, c.g, c.b, c.a * alpha] } : null;
+    }
+    if (!style.stops.length) return null;
+
+    // Gradients are in user space at the time they are used
+    var inverse = invert(ctx.getMatrix());
+    if (!inverse) return null;
+    var g = style.coords;
+    var table = gradientTable(style.stops);
+    var at;
+
+    if (style.type === 'linear') {
+      var dx = g[2] - g[0], dy = g[3] - g[1], len2 = dx * dx + dy * dy;
+      if (!len2) return null;
+      // t is affine in canvas pixels: t = A x + B y + C
+      var A = (inverse[0] * dx + inverse[1] * dy) / len2;
+      var B = (inverse[2] * dx + inverse[3] * dy) / len2;
+      var C = ((inverse[4] - g[0]) * dx + (inverse[5] - g[1]) * dy) / len2;
+      at = function(x, y) {
+        var t = A * (x + 0.5) + B * (y + 0.5) + C;
+        return t <= 0 ? 0 : t >= 1 ? 255 : Math.round(t * 255);
+      };
+    } else {
+      // Two-circle radial gradient: largest w with |p - c(w)| = r(w) >= 0
+      var x0 = g[0], y0 = g[1], r0 = g[2];
+      var cdx = g[3] - x0, cdy = g[4] - y0, dr = g[5] - r0;
+      var a = cdx * cdx + cdy * cdy - dr * dr;
+      at = function(x, y) {
+        var px = x + 0.5, py = y + 0.5;
+        var ux = inverse[0] * px + inverse[2] * py + inverse[4] - x0;
+        var uy = inverse[1] * px + inverse[3] * py + inverse[5] - y0;
+        var b = ux * cdx + uy * cdy + r0 * dr;
+        var c = ux * ux + uy * uy - r0 * r0;
+        var w;
+        if (Math.abs(a) < 1e-9) {
+          if (!b) return -1;
+          w = c / (2 * b);
+        } else {
+          var disc = b * b - a * c;
+          if (disc < 0) return -1;
+          var root = Math.sqrt(disc);
+          w = (b + root) / a;
+          if (r0 + w * dr < 0 || (a < 0 && (b - root) / a > w)) w = (b - root) / a;
+        }
+        if (r0 + w * dr < 0) return -1;
+        return w <= 0 ? 0 : w >= 1 ? 255 : Math.round(w * 255);
+      };
+    }
+    return { table: table, at: at, alpha: alpha };
+  }
+
+  /**
+   * Turn accumulated coverage into pixels and clear the cells
+   */
+  function resolve(paint, evenOdd) {
+    if (maxY < 0) return;
+    var color = paint && paint.color;
+    for (var y = minY; y <= maxY; y++) {
+      var row = y * stride;
+      var acc = 0;
+      for (var x = minX; x <= maxX; x++) {
+        acc += cells[row + x];
+        cells[row + x] = 0;
+        if (x >= width || !paint) continue;
+
+        var cover = Math.abs(acc);
+        if (evenOdd) {
+          cover %= 2;
+          if (cover > 1) cover = 2 - cover;
+        } else if (cover > 1) {
+          cover = 1;
+        }
+        if (cover < 0.002) continue;
+
+        var i = (y * width + x) * 4;
+        if (color) {
+          blend(i, color[0], color[1], color[2], color[3] * cover);
+        } else {
+          var index = paint.at(x, y);
+          if (index < 0) continue;
+          var t = paint.table;
+          blend(i, t[index * 4], t[index * 4 + 1], t[index * 4 + 2], t[index * 4 + 3] * paint.alpha * cover);
+        }
+      }
+    }
+    resetBounds();
+  }
+
+  // ---------------------------------------------------------------------
+  // Geometry
+  // ---------------------------------------------------------------------
+
+  function cubic(points, x0, y0, x1, y1, x2, y2, x3, y3) {
+    var length = Math.hypot(x1 - x0, y1 - y0) + Math.hypot(x2 - x1, y2 - y1) + Math.hypot(x3 - x2, y3 - y2);
+    var n = Math.max(1, Math.min(200, Math.ceil(Math.sqrt(length) * 1.5)));
+    for (var i = 1; i <= n; i++) {
+      var t = i / n, u = 1 - t;
+      var a = u * u * u, b = 3 * u * u * t, c = 3 * u * t * t, d = t * t * t;
+      points.push(a * x0 + b * x1 + c * x2 + d * x3, a * y0 + b * y1 + c * y2 + d * y3);
+    }
+  }
+
+  /**
+   * Flatten path segments (canvas pixels) into polylines:
+   * [{ points: [x0, y0, x1, y1, ...], closed }]
+   */
+  function flatten(segments) {
+    var subpaths = [];
+    var current = null;
+    var x = 0, y = 0;
+
+    function open() {
+      if (!current || current.closed) {
+        var start = current ? current.points.slice(0, 2) : [x, y];
+        current = { points: start, closed: false };
+        subpaths.push(current);
+      }
+      return current.points;
+    }
+
+    for (var i = 0; i < segments.length; i++) {
+      var s = segments[i];
+      switch (s[0]) {
+        case 'M':
+          current = { points: [s[1], s[2]], closed: false };
+          subpaths.push(current);
+          x = s[1]; y = s[2];
+          break;
+        case 'L':
+          open().push(s[1], s[2]);
+          x = s[1]; y = s[2];
+          break;
+        case 'Q':
+          // Elevate to a cubic
+          cubic(open(), x, y, x + 2 / 3 * (s[1] - x), y + 2 / 3 * (s[2] - y),
+            s[3] + 2 / 3 * (s[1] - s[3]), s[4] + 2 / 3 * (s[2] - s[4]), s[3], s[4]);
+          x = s[3]; y = s[4];
+          break;
+        case 'C':
+          cubic(open(), x, y, s[1], s[2], s[3], s[4], s[5], s[6]);
+          x = s[5]; y = s[6];
+          break;
+        case 'Z':
+          if (current) {
+            current.closed = true;
+            x = current.points[0];
+            y = current.points[1];
+          }
+          break;
+      }
+    }
+    return subpaths;
+  }
+
+  /**
+   * Drop repeated points, which have no direction to stroke along
+   */
+  function dedupe(points) {
+    var out = [points[0], points[1]];
+    for (var i = 2; i < points.length; i += 2) {
+      var last = out.length - 2;
+      if (Math.abs(points[i] - out[last]) > 1e-6 || Math.abs(points[i + 1] - out[last + 1]) > 1e-6) {
+        out.push(points[i], points[i + 1]);
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Split polylines into the "on" parts of a dash pattern (canvas pixels)
+   */
+  function dash(subpaths, pattern, offset) {
+    if (pattern.length % 2) pattern = pattern.concat(pattern);
+    var total = 0;
+    for (var i = 0; i < pattern.length; i++) total += pattern[i];
+    if (!(total > 0)) return subpaths;
+
+    var pieces = [];
+    subpaths.forEach(function(subpath) {
+      var points = subpath.points.slice();
+      if (subpath.closed) points.push(points[0], points[1]);
+
+      // Position in the pattern at the start of the subpath
+      var index = 0;
+      var remaining = ((offset % total) + total) % total;
+      while (remaining >= pattern[index]) {
+        remaining -= pattern[index];
+        index = (index + 1) % pattern.length;
+      }
+      remaining = pattern[index] - remaining;
+      var piece = index % 2 === 0 ? [points[0], points[1]] : null;
+
+      for (var k = 2; k < points.length; k += 2) {
+        var x0 = points[k - 2], y0 = points[k - 1], x1 = points[k], y1 = points[k + 1];
+        var length = Math.hypot(x1 - x0, y1 - y0);
+        var along = 0;
+        while (length - along > remaining) {
+          along += remaining;
+          var px = x0 + (x1 - x0) * along / length, py = y0 + (y1 - y0) * along / length;
+          if (piece) {
+            piece.push(px, py);
+            pieces.push({ points: piece, closed: false });
+            piece = null;
+          } else {
+            piece = [px, py];
+          }
+          index = (index + 1) % pattern.length;
+          remaining = pattern[index];
+        }
+        remaining -= length - along;
+        if (piece) piece.push(x1, y1);
+      }
+      if (piece && piece.length > 2) pieces.push({ points: piece, closed: false });
+    });
+    return pieces;
+  }
+
+  function circle(cx, cy, r) {
+    var n = Math.max(8, Math.min(64, Math.ceil(r * 2)));
+    var points = [];
+    for (var i = 0; i < n; i++) {
+      var angle = i / n * Math.PI * 2;
+      points.push(cx + Math.cos(angle) * r, cy + Math.sin(angle) * r);
+    }
+    addPolygon(points, true);
+  }
+
+  /**
+   * Add the outline of a stroked polyline as overlapping pieces: one quad
+   * per segment plus joins and caps
+   */
+  function strokePolyline(points, closed, half, cap, join, miterLimit) {
+    points = dedupe(points);
+    var n = points.length / 2;
+    if (closed && n > 2 && points[0] === points[n * 2 - 2] && points[1] === points[n * 2 - 1]) n--;
+    if (n < 2) {
+      // Zero-length subpaths only show their caps
+      if (cap === 'round') circle(points[0], points[1], half);
+      else if (cap === 'square') {
+        addPolygon([points[0] - half, points[1] - half, points[0] + half, points[1] - half,
+          points[0] + half, points[1] + half, points[0] - half, points[1] + half], true);
+      }
+      return;
+    }
+
+    var count = closed ? n : n - 1;
+    var normals = [];
+    for (var i = 0; i < count; i++) {
+      var j = (i + 1) % n;
+      var dx = points[j * 2] - points[i * 2], dy = points[j * 2 + 1] - points[i * 2 + 1];
+      var len = Math.hypot(dx, dy);
+      normals.push(dx / len, dy / len);
+      var nx = -dy / len * half, ny = dx / len * half;
+      addPolygon([points[i * 2] + nx, points[i * 2 + 1] + ny, points[j * 2] + nx, points[j * 2 + 1] + ny,
+        points[j * 2] - nx, points[j * 2 + 1] - ny, points[i * 2] - nx, points[i * 2 + 1] - ny], true);
+    }
+
+    // Joins between segment k - 1 and k at point k
+    for (var k = closed ? 0 : 1; k < (closed ? n : n - 1); k++) {
+      var prev = (k - 1 + count) % count;
+      var ax = normals[prev * 2], ay = normals[prev * 2 + 1];
+      var bx = normals[k * 2], by = normals[k * 2 + 1];
+      var cross = ax * by - ay * bx;
+      var turn = Math.atan2(cross, ax * bx + ay * by);
+      if (Math.abs(turn) * half < 0.02) continue;
+
+      var px = points[k * 2], py = points[k * 2 + 1];
+      // Outer side is to the left of a right turn and vice versa
+      var side = cross > 0 ? -1 : 1;
+      var ox0 = px - ay * half * side, oy0 = py + ax * half * side;
+      var ox1 = px - by * half * side, oy1 = py + bx * half * side;
+
+      if (join === 'round' && Math.abs(turn) > 0.5) {
+        circle(px, py, half);
+      } else if (join === 'miter' && 1 / Math.cos(turn / 2) <= miterLimit) {
+        var mx = (ox0 + ox1) / 2 - px, my = (oy0 + oy1) / 2 - py;
+        var scale = half * half / (mx * mx + my * my);
+        addPolygon([px, py, ox0, oy0, px + mx * scale, py + my * scale, ox1, oy1], true);
+      } else {
+        addPolygon([px, py, ox0, oy0, ox1, oy1], true);
+      }
+    }
+
+    if (closed || cap === 'butt') return;
+    var ends = [[0, -normals[0], -normals[1]],
+      [n - 1, normals[normals.length - 2], normals[normals.length - 1]]];
+    ends.forEach(function(end) {
+      var ex = points[end[0] * 2], ey = points[end[0] * 2 + 1];
+      if (cap === 'round') {
+        circle(ex, ey, half);
+      } else {
+        var fx = end[1] * half, fy = end[2] * half;
+        addPolygon([ex - fy, ey + fx, ex - fy + fx, ey + fx + fy, ex + fy + fx, ey - fx + fy, ex + fy, ey - fx], true);
+      }
+    });
+  }
+
+  function fillSubpaths(subpaths, style, evenOdd) {
+    var paint = paintFor(style);
+    if (!paint) return;
+    subpaths.forEach(function(subpath) {
+      addPolygon(subpath.points, false);
+    });
+    resolve(paint, evenOdd);
+  }
+
+  function strokeSubpaths(subpaths, style, lineWidth, cap, join) {
+    var paint = paintFor(style);
+    var scale = ctx.lineScale();
+    var half = lineWidth * scale / 2;
+    if (!paint || !(half > 0)) return;
+
+    var pattern = ctx.getLineDash();
+    if (pattern.length) {
+      subpaths = dash(subpaths, pattern.map(function(v) { return v * scale; }), ctx.lineDashOffset * scale);
+    }
+    subpaths.forEach(function(subpath) {
+      strokePolyline(subpath.points, subpath.closed, half, cap, join, ctx.miterLimit);
+    });
+    resolve(paint, false);
+  }
+
+  // ---------------------------------------------------------------------
+  // Drawing API
+  // ---------------------------------------------------------------------
+
+  ctx.fill = function(fillRule) {
+    fillSubpaths(flatten(this.getPath()), this.fillStyle, fillRule === 'evenodd');
+  };
+
+  ctx.stroke = function() {
+    strokeSubpaths(flatten(this.getPath()), this.strokeStyle, this.lineWidth, this.lineCap, this.lineJoin);
+  };
+
+  ctx.fillRect = function(x, y, w, h) {
+    fillSubpaths(flatten(this.rectPath(x, y, w, h)), this.fillStyle, false);
+  };
+
+  ctx.strokeRect = function(x, y, w, h) {
+    strokeSubpaths(flatten(this.rectPath(x, y, w, h)), this.strokeStyle, this.lineWidth, this.lineCap, this.lineJoin);
+  };
+
+  /**
+   * Clear the (transformed) rectangle's bounding box to transparent black
+   */
+  ctx.clearRect = function(x, y, w, h) {
+    var corners = [this.transformPoint(x, y), this.transformPoint(x + w, y),
+      this.transformPoint(x + w, y + h), this.transformPoint(x, y + h)];
+    var xs = corners.map(function(p) { return p[0]; }), ys = corners.map(function(p) { return p[1]; });
+    var x0 = Math.max(0, Math.round(Math.min.apply(null, xs))), x1 = Math.min(width, Math.round(Math.max.apply(null, xs)));
+    var y0 = Math.max(0, Math.round(Math.min.apply(null, ys))), y1 = Math.min(height, Math.round(Math.max.apply(null, ys)));
+    for (var row = y0; row < y1; row++) pixels.fill(0, (row * width + x0) * 4, (row * width + x1) * 4);
+  };
+
+  /**
+   * Glyph centerlines for text placed like canvas text (textAlign,
+   * textBaseline, maxWidth), as flattened polylines in canvas pixels
+   */
+  function textSubpaths(text, x, y, maxWidth) {
+    var f = ctx.parseFont();
+    var outline = font.outline(text, f);
+    var squeeze = maxWidth !== undefined && outline.width > maxWidth ? Math.max(0, maxWidth) / outline.width : 1;
+    var textWidth = outline.width * squeeze;
+
+    var align = ctx.textAlign;
+    var dx = align === 'center' ? -textWidth / 2 : align === 'right' || align === 'end' ? -textWidth : 0;
+    var baseline = ctx.textBaseline;
+    var dy = baseline === 'top' || baseline === 'hanging' ? font.ascent * f.size :
+      baseline === 'middle' ? (font.ascent - font.descent) / 2 * f.size :
+      baseline === 'bottom' || baseline === 'ideographic' ? -font.descent * f.size : 0;
+
+    var segments = outline.segments.map(function(s) {
+      var out = [s[0]];
+      for (var i = 1; i < s.length; i += 2) {
+        var p = ctx.transformPoint(x + dx + s[i] * squeeze, y + dy + s[i + 1]);
+        out.push(p[0], p[1]);
+      }
+      return out;
+    });
+    return { subpaths: flatten(segments), width: font.strokeWidth(f) };
+  }
+
+  ctx.fillText = function(text, x, y, maxWidth) {
+    var glyphs = textSubpaths(text, x, y, maxWidth);
+    strokeSubpaths(glyphs.subpaths, this.fillStyle, glyphs.width, 'round', 'round');
+  };
+
+  /**
+   * Glyphs are single strokes, so outlined text is drawn as the glyph
+   * strokes widened by lineWidth
+   */
+  ctx.strokeText = function(text, x, y, maxWidth) {
+    var glyphs = textSubpaths(text, x, y, maxWidth);
+    var dashes = this.getLineDash();
+    this.setLineDash([]);
+    strokeSubpaths(glyphs.subpaths, this.strokeStyle, glyphs.width + this.lineWidth, 'round', 'round');
+    this.setLineDash(dashes);
+  };
+
+  ctx.measureText = function(text) {
+    var f = this.parseFont();
+    return {
+      width: font.measure(text, f),
+      actualBoundingBoxAscent: f.size * 10 / 14,
+      actualBoundingBoxDescent: 0,
+      fontBoundingBoxAscent: f.size * font.ascent,
+      fontBoundingBoxDescent: f.size * font.descent
+    };
+  };
+
+  // ---------------------------------------------------------------------
+  // Pixels
+  // ---------------------------------------------------------------------
+
+  ctx.createImageData = function(w, h) {
+    return { width: w, height: h, data: new Uint8ClampedArray(w * h * 4) };
+  };
+
+  ctx.getImageData = function(sx, sy, sw, sh) {
+    var image = this.createImageData(sw, sh);
+    for (var row = 0; row < sh; row++) {
+      var y = sy + row;
+      if (y < 0 || y >= height) continue;
+      var x0 = Math.max(0, sx), x1 = Math.min(width, sx + sw);
+      if (x1 <= x0) continue;
+      image.data.set(pixels.subarray((y * width + x0) * 4, (y * width + x1) * 4), (row * sw + x0 - sx) * 4);
+    }
+    return image;
+  };
+
+  ctx.putImageData = function(image, dx, dy) {
+    for (var row = 0; row < image.height; row++) {
+      var y = dy + row;
+      if (y < 0 || y >= height) continue;
+      var x0 = Math.max(0, dx), x1 = Math.min(width, dx + image.width);
+      if (x1 <= x0) continue;
+      pixels.set(image.data.subarray((row * image.width + x0 - dx) * 4, (row * image.width + x1 - dx) * 4),
+        (y * width + x0) * 4);
+    }
+  };
+
+  /**
+   * Draw a SoftwareCanvas or ImageData-like source at (dx, dy), optionally
+   * scaled to dw x dh (nearest neighbour, translation and scale only)
+   */
+  ctx.drawImage = function(image, dx, dy, dw, dh) {
+    var source = image.getContext ? image.getContext('2d').getImageData(0, 0, image.width, image.height) : image;
+    if (dw === undefined) { dw = source.width; dh = source.height; }
+    var a = this.transformPoint(dx, dy), b = this.transformPoint(dx + dw, dy + dh);
+    var x0 = Math.round(Math.min(a[0], b[0])), x1 = Math.round(Math.max(a[0], b[0]));
+    var y0 = Math.round(Math.min(a[1], b[1])), y1 = Math.round(Math.max(a[1], b[1]));
+    var alpha = this.globalAlpha;
+    for (var y = Math.max(0, y0); y < Math.min(height, y1); y++) {
+      var sy = Math.min(source.height - 1, Math.floor((y - y0 + 0.5) * source.height / (y1 - y0)));
+      for (var x = Math.max(0, x0); x < Math.min(width, x1); x++) {
+        var sx = Math.min(source.width - 1, Math.floor((x - x0 + 0.5) * source.width / (x1 - x0)));
+        var s = (sy * source.width + sx) * 4;
+        var sa = source.data[s + 3] / 255 * alpha;
+        if (sa > 0) blend((y * width + x) * 4, source.data[s], source.data[s + 1], source.data[s + 2], sa);
+      }
+    }
+  };
+
+  this.getContext = function(type) {
+    return type === '2d' ? ctx : null;
+  };
+
+  /**
+   * The whole canvas as ImageData-like { width, height, data }
+   */
+  this.toImageData = function() {
+    return ctx.getImageData(0, 0, width, height);
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SoftwareCanvas;
+}
@@ -0,0 +1,94 @@
+/**
+ * Spec Renderer (Node)
+ * Renders a resolved chart spec (see core/chart-spec.js) without a browser:
+ * GIF frames drawn on a SoftwareCanvas, or raw frames on the video timeline
+ * for bin/infographic.js to pipe to ffmpeg. The HTML page comes from
+ * HTMLTemplate.generateFromSpec, which takes the spec directly.
+ *
+ * Usage:
+ *   var job = ChartSpec.resolve(spec, { style: 'light' });
+ *   SpecRenderer.renderGIF(job).then(function(bytes) { ... });
+ */
+
+var ChartSpec = require('./chart-spec.js');
+var HTMLTemplate = require('./html-template.js');
+var Layout = require('./layout.js');
+var GIFEncoder = require('./gif-encoder.js');
+var AnimationTimeline = require('./animation-timeline.js');
+var SoftwareCanvas = require('./software-canvas.js');
+
+var SpecRenderer = {
+
+  layout: function(job) {
+    return Layout.create(job.width, job.chartHeight, { subtitle: !!job.config.subtitle });
+  },
+
+  /**
+   * Frame drawing function over one SoftwareCanvas
+   * @param {Object} job - From ChartSpec.resolve()
+   * @returns {Function} (progress) => ctx with that frame drawn
+   */
+  createFrameRenderer: function(job) {
+    var ctx = new SoftwareCanvas(job.width, job.height).getContext('2d');
+    var config = Object.assign({}, job.config, { layout: this.layout(job) });
+    var extras = { insights: job.insights, footer: job.footer, height: job.height };
+    return function(progress) {
+      ChartSpec.renderFrame(ctx, progress, job.template, config, extras);
+      return ctx;
+    };
+  },
+
+  /**
+   * Render frames at given progress values
+   * @param {Object} job - From ChartSpec.resolve()
+   * @param {number[]} progresses
+   * @param {Function} onFrame - Called with (ctx, index) after each frame
+   */
+  renderFrames: function(job, progresses, onFrame) {
+    var draw = this.createFrameRenderer(job);
+    for (var i = 0; i < progresses.length; i++) onFrame(draw(progresses[i]), i);
+  },
+
+  /**
+   * Encode the animated GIF (same frames and delays as the page's GIF)
+   * @returns {Promise<Uint8Array>}
+   */
+  renderGIF: function(job) {
+    var animation = job.animation;
+    var timeline = new AnimationTimeline(animation);
+    var spec = job.spec;
+    var gif = HTMLTemplate.getGifOptions({ title: spec.title, source: spec.source, comment: spec.comment, gif: job.gif },
+      animation);
+    var encoder = new GIFEncoder(job.width, job.height, gif);
+    var progresses = [];
+    for (var i = 0; i <= animation.totalFrames; i++) progresses.push(i / animation.totalFrames);
+
+    if (gif.palette === 'global') {
+      var samples = gif.paletteSample === 'all' ? progresses : [1];
+      this.renderFrames(job, samples, function(ctx) { encoder.sampleFrame(ctx); });
+    }
+
+    encoder.start();
+    this.renderFrames(job, progresses, function(ctx, index) {
+      encoder.addFrame(ctx, timeline.frameDelay(index));
+      if (index === animation.totalFrames) {
+        for (var k = 0; k < animation.holdFrames; k++) encoder.addFrame(ctx, animation.holdDelay);
+      }
+    });
+    encoder.finish();
+    return Promise.resolve(encoder.data.slice(0, encoder.length));
+  },
+
+  /**
+   * The self-contained HTML page for a job (see HTMLTemplate.generateSpec)
+   * @returns {string}
+   */
+  renderHTML: function(job) {
+    return HTMLTemplate.generateSpec(job);
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpecRenderer;
+}
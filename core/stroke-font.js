@@ -0,0 +1,308 @@
+/**
+ * Stroke Font
+ * A small bundled vector font for SoftwareCanvas: every glyph is a set of
+ * centerlines (lines and cubic curves) that the rasterizer strokes with a
+ * width based on the font weight, so text renders at any size, rotation or
+ * transform without font files.
+ *
+ * Covers printable ASCII, accented Latin letters (composed from a base
+ * glyph and a mark via Unicode NFD) and the symbols charts use most
+ * (€ £ ¥ ° • – — … × ÷ ± arrows, quotes). Unknown characters draw a box.
+ *
+ * Glyphs are drawn on a grid of 14 units per em: baseline 0, x-height 7,
+ * cap height 10, descender -3 (y up). Proportions follow Helvetica/Arial
+ * closely enough for layout code that measures text.
+ */
+
+function StrokeFont() {
+  var UNITS_PER_EM = 14;
+
+  // Stroke widths in units (0.086 em regular, 0.136 em bold)
+  var REGULAR_WEIGHT = 1.2;
+  var BOLD_WEIGHT = 1.9;
+  var ITALIC_SLANT = 0.2;
+
+  // Em box used for textBaseline, as fractions of the font size
+  this.ascent = 0.8;
+  this.descent = 0.2;
+
+  // Bowls shared by several letters
+  var O_LOWER = 'M3.65 7C2 7 1 5.5 1 3.5C1 1.5 2 0 3.65 0C5.3 0 6.3 1.5 6.3 3.5C6.3 5.5 5.3 7 3.65 7Z';
+  var BOWL_RIGHT = 'M6.3 3.5C6.3 5.6 5.2 7 3.6 7C2 7 1 5.5 1 3.5C1 1.5 2 0 3.6 0C5.2 0 6.3 1.4 6.3 3.5';
+  var BOWL_LEFT = 'M1 3.5C1 5.6 2.1 7 3.7 7C5.3 7 6.3 5.5 6.3 3.5C6.3 1.5 5.3 0 3.7 0C2.1 0 1 1.4 1 3.5';
+  var O_UPPER = 'M5 10C2.5 10 1 8 1 5C1 2 2.5 0 5 0C7.5 0 9 2 9 5C9 8 7.5 10 5 10Z';
+  var S_UPPER = 'M7.5 8.3C7 9.4 5.8 10 4.3 10C2.5 10 1.2 9 1.2 7.5C1.2 4.2 7.8 5.8 7.8 2.6C7.8 1 6.4 0 4.5 0' +
+    'C2.8 0 1.4 0.7 0.8 2';
+  var COMMA = 'M1.6 0.5L1.6 0C1.6 -1 1.2 -1.8 0.6 -2.2';
+  var DOT = 'M1.5 0.2L1.5 0.6';
+
+  // Character -> [advance, path]; paths use M, L, C and Z with absolute
+  // coordinates
+  var GLYPHS = {
+    ' ': [4, ''],
+    '!': [3, 'M1.5 10L1.5 3' + DOT],
+    '"': [5, 'M1.5 10L1.5 7.5M3.5 10L3.5 7.5'],
+    '#': [9, 'M3 0L4 10M6 0L7 10M1 3.3L8 3.3M1.5 6.7L8.5 6.7'],
+    '$': [8.5, S_UPPER + 'M4.3 11L4.3 -1'],
+    '%': [11, 'M1 0L10 10M3 10C1.9 10 1.2 9.1 1.2 7.8C1.2 6.5 1.9 5.6 3 5.6C4.1 5.6 4.8 6.5 4.8 7.8' +
+      'C4.8 9.1 4.1 10 3 10ZM8 4.4C6.9 4.4 6.2 3.5 6.2 2.2C6.2 0.9 6.9 0 8 0C9.1 0 9.8 0.9 9.8 2.2' +
+      'C9.8 3.5 9.1 4.4 8 4.4Z'],
+    '&': [9, 'M8 0L2.5 6.5C1.8 7.3 1.6 7.9 1.6 8.4C1.6 9.4 2.4 10 3.5 10C4.6 10 5.3 9.4 5.3 8.4' +
+      'C5.3 7.2 4 6.3 2.5 5.3C1.5 4.6 1 3.7 1 2.7C1 1 2.2 0 3.8 0C5.4 0 6.6 1 7.5 3'],
+    '\'': [3, 'M1.5 10L1.5 7.5'],
+    '(': [4.5, 'M3.5 11C2 9.5 1.2 7 1.2 4C1.2 1 2 -1.5 3.5 -3'],
+    ')': [4.5, 'M1 11C2.5 9.5 3.3 7 3.3 4C3.3 1 2.5 -1.5 1 -3'],
+    '*': [6, 'M3 10L3 6M1.2 9.2L4.8 6.8M4.8 9.2L1.2 6.8'],
+    '+': [8, 'M4 1.5L4 8.5M0.8 5L7.2 5'],
+    ',': [3, COMMA],
+    '-': [5, 'M1 4L4 4'],
+    '.': [3, DOT],
+    '/': [5, 'M0.5 -1L4.5 10.5'],
+    ':': [3, DOT + 'M1.5 6.4L1.5 6.8'],
+    ';': [3, COMMA + 'M1.5 6.4L1.5 6.8'],
+    '<': [8, 'M7 8.5L1 5L7 1.5'],
+    '=': [8, 'M1 3.3L7 3.3M1 6.7L7 6.7'],
+    '>': [8, 'M1 8.5L7 5L1 1.5'],
+    '?': [7.5, 'M1 8C1.5 9.3 2.6 10 3.9 10C5.5 10 6.6 9 6.6 7.6C6.6 5.6 3.9 5.2 3.9 3M3.9 0.2L3.9 0.6'],
+    '@': [12, 'M8 5.2C7.7 6.8 6.9 7.7 5.8 7.7C4.5 7.7 3.6 6.4 3.6 4.8C3.6 3.4 4.4 2.5 5.4 2.5' +
+      'C6.6 2.5 7.6 3.6 8 5.2M8.3 7.6L7.6 3.6C7.5 2.9 7.9 2.4 8.6 2.4C10 2.4 11 3.9 11 5.7' +
+      'C11 8.4 8.8 10.2 6.2 10.2C3.3 10.2 1 8 1 4.8C1 1.8 3.2 -0.3 6 -0.3C7.5 -0.3 8.7 0.1 9.6 0.8'],
+    '[': [4.5, 'M3.5 11L1.5 11L1.5 -3L3.5 -3'],
+    '\\': [5, 'M0.5 10.5L4.5 -1'],
+    ']': [4.5, 'M1 11L3 11L3 -3L1 -3'],
+    '^': [7, 'M1 6.5L3.5 10L6 6.5'],
+    '_': [7, 'M0 -2L7 -2'],
+    '`': [4, 'M1.2 10.5L2.8 8.8'],
+    '{': [5, 'M3.8 11C2.6 11 2.2 10.3 2.2 9.2L2.2 5.5C2.2 4.6 1.6 4 0.8 4C1.6 4 2.2 3.4 2.2 2.5' +
+      'L2.2 -1.2C2.2 -2.3 2.6 -3 3.8 -3'],
+    '|': [3, 'M1.5 11L1.5 -3'],
+    '}': [5, 'M1.2 11C2.4 11 2.8 10.3 2.8 9.2L2.8 5.5C2.8 4.6 3.4 4 4.2 4C3.4 4 2.8 3.4 2.8 2.5' +
+      'L2.8 -1.2C2.8 -2.3 2.4 -3 1.2 -3'],
+    '~': [8, 'M1 4.5C1.5 5.6 2.3 6 3 6C4.3 6 4.7 4.8 5.9 4.8C6.5 4.8 7 5.1 7.4 5.8'],
+
+    '0': [8, 'M4 10C2 10 1 8 1 5C1 2 2 0 4 0C6 0 7 2 7 5C7 8 6 10 4 10Z'],
+    '1': [8, 'M2 8L4.5 10L4.5 0'],
+    '2': [8, 'M1.2 8.2C1.7 9.4 2.7 10 4 10C5.7 10 6.8 8.9 6.8 7.4C6.8 4.5 1 3.5 1 0L7 0'],
+    '3': [8, 'M1.2 8.5C1.8 9.5 2.8 10 4 10C5.6 10 6.6 9 6.6 7.6C6.6 6.2 5.5 5.3 3.8 5.3' +
+      'C5.8 5.3 7 4.2 7 2.7C7 1 5.7 0 4 0C2.6 0 1.5 0.6 1 1.7'],
+    '4': [8, 'M5.5 0L5.5 10L0.8 3L7.3 3'],
+    '5': [8, 'M6.5 10L1.7 10L1.2 5.3C1.9 6 2.9 6.4 4 6.4C5.8 6.4 7 5 7 3.2C7 1.3 5.7 0 3.9 0' +
+      'C2.6 0 1.5 0.6 1 1.6'],
+    '6': [8, 'M6.3 9C5.8 9.7 5 10 4.1 10C2.2 10 1 8 1 4.6C1 1.7 2.1 0 4 0C5.8 0 7 1.4 7 3.2' +
+      'C7 5 5.8 6.3 4.1 6.3C2.5 6.3 1.3 5.2 1 3.6'],
+    '7': [8, 'M1 10L7 10L3 0'],
+    '8': [8, 'M4 5.4C2.4 5.4 1.4 6.2 1.4 7.7C1.4 9.1 2.5 10 4 10C5.5 10 6.6 9.1 6.6 7.7' +
+      'C6.6 6.2 5.6 5.4 4 5.4C2.2 5.4 1 4.4 1 2.7C1 1 2.3 0 4 0C5.7 0 7 1 7 2.7C7 4.4 5.8 5.4 4 5.4Z'],
+    '9': [8, 'M7 6.4C6.7 4.8 5.5 3.7 3.9 3.7C2.2 3.7 1 5 1 6.8C1 8.6 2.2 10 4 10C5.9 10 7 8.3 7 5.4' +
+      'C7 2 5.8 0 3.9 0C3 0 2.2 0.3 1.7 1'],
+
+    'A': [9, 'M1 0L4.5 10L8 0M2.3 3.5L6.7 3.5'],
+    'B': [8.5, 'M1 0L1 10L5 10C7 10 7.5 9 7.5 7.5C7.5 6 6.5 5.2 5 5.2L1 5.2M5 5.2C7 5.2 7.8 4 7.8 2.6' +
+      'C7.8 1 6.8 0 5 0L1 0'],
+    'C': [9, 'M8 8.3C7.3 9.5 6 10 4.8 10C2.5 10 1 8 1 5C1 2 2.5 0 4.8 0C6 0 7.3 0.5 8 1.7'],
+    'D': [9, 'M1 0L1 10L4.3 10C6.8 10 8 8 8 5C8 2 6.8 0 4.3 0Z'],
+    'E': [8, 'M7 10L1 10L1 0L7 0M1 5.2L6 5.2'],
+    'F': [7.5, 'M7 10L1 10L1 0M1 5.2L6 5.2'],
+    'G': [9.5, 'M8 8.3C7.3 9.5 6 10 4.8 10C2.5 10 1 8 1 5C1 2 2.5 0 4.8 0C6.3 0 7.5 0.7 8.2 1.8' +
+      'L8.2 4.5L5 4.5'],
+    'H': [9, 'M1 0L1 10M8 0L8 10M1 5.2L8 5.2'],
+    'I': [3, 'M1.5 0L1.5 10'],
+    'J': [6.5, 'M5.5 10L5.5 3C5.5 1 4.5 0 3 0C1.8 0 1 0.7 0.7 2'],
+    'K': [8.5, 'M1 0L1 10M7.8 10L1 3.2M3.5 5.6L8 0'],
+    'L': [7, 'M1 10L1 0L6.5 0'],
+    'M': [11, 'M1 0L1 10L5.5 0L10 10L10 0'],
+    'N': [9, 'M1 0L1 10L8 0L8 10'],
+    'O': [10, O_UPPER],
+    'P': [8.5, 'M1 0L1 10L5 10C7 10 7.8 8.8 7.8 7.3C7.8 5.8 7 4.6 5 4.6L1 4.6'],
+    'Q': [10, O_UPPER + 'M6 2.5L9.2 -0.5'],
+    'R': [8.5, 'M1 0L1 10L5 10C7 10 7.8 8.9 7.8 7.5C7.8 6 7 4.9 5 4.9L1 4.9M4.6 4.9L7.8 0'],
+    'S': [8.5, S_UPPER],
+    'T': [8, 'M0.5 10L7.5 10M4 10L4 0'],
+    'U': [9, 'M1 10L1 3.5C1 1.2 2.4 0 4.5 0C6.6 0 8 1.2 8 3.5L8 10'],
+    'V': [9, 'M0.8 10L4.5 0L8.2 10'],
+    'W': [12, 'M0.8 10L3.3 0L6 8.5L8.7 0L11.2 10'],
+    'X': [8.5, 'M1 10L7.5 0M7.5 10L1 0'],
+    'Y': [8.5, 'M0.8 10L4.25 5L7.7 10M4.25 5L4.25 0'],
+    'Z': [8, 'M1 10L7 10L1 0L7 0'],
+
+    'a': [7.5, 'M6.3 7L6.3 0' + BOWL_RIGHT],
+    'b': [7.5, 'M1 10L1 0' + BOWL_LEFT],
+    'c': [7, 'M6 5.7C5.5 6.6 4.7 7 3.7 7C2 7 1 5.5 1 3.5C1 1.5 2 0 3.7 0C4.7 0 5.5 0.4 6 1.3'],
+    'd': [7.5, 'M6.3 10L6.3 0' + BOWL_RIGHT],
+    'e': [7.5, 'M1 3.7L6.3 3.7C6.3 5.7 5.3 7 3.7 7C2 7 1 5.5 1 3.5C1 1.5 2 0 3.7 0C4.8 0 5.7 0.5 6.1 1.3'],
+    'f': [4.5, 'M4.5 10C3.2 10.2 2.2 9.6 2.2 8.2L2.2 0M0.5 7L4 7'],
+    'g': [7.5, 'M6.3 7L6.3 -0.8C6.3 -2.4 5.3 -3 3.7 -3C2.6 -3 1.7 -2.6 1.3 -2' + BOWL_RIGHT],
+    'h': [7.5, 'M1 10L1 0M1 4C1.3 6 2.4 7 3.8 7C5.4 7 6.3 6 6.3 4.3L6.3 0'],
+    'i': [2.8, 'M1.4 0L1.4 7M1.4 9.3L1.4 9.9'],
+    'j': [3, 'M1.6 7L1.6 -1.8C1.6 -2.6 1.1 -3 0.2 -3M1.6 9.3L1.6 9.9'],
+    'k': [7, 'M1 10L1 0M6 7L1 2.2M2.9 4L6.3 0'],
+    'l': [2.8, 'M1.4 10L1.4 0'],
+    'm': [11, 'M1 0L1 7M1 4.3C1.2 6.2 2.1 7 3.4 7C4.7 7 5.5 6.2 5.5 4.6L5.5 0M5.5 4.6C5.7 6.2 6.6 7 7.8 7' +
+      'C9.1 7 10 6.2 10 4.6L10 0'],
+    'n': [7.5, 'M1 0L1 7M1 4.3C1.3 6.2 2.4 7 3.8 7C5.4 7 6.3 6 6.3 4.3L6.3 0'],
+    'o': [7.5, O_LOWER],
+    'p': [7.5, 'M1 7L1 -3' + BOWL_LEFT],
+    'q': [7.5, 'M6.3 7L6.3 -3' + BOWL_RIGHT],
+    'r': [5, 'M1 0L1 7M1 4C1.3 6 2.5 7 4.5 6.9'],
+    's': [6.5, 'M5.5 5.8C5.1 6.6 4.3 7 3.3 7C2 7 1.1 6.3 1.1 5.2C1.1 2.8 5.7 4.2 5.7 1.8C5.7 0.7 4.8 0 3.4 0' +
+      'C2.2 0 1.2 0.5 0.8 1.4'],
+    't': [4.5, 'M2.2 9L2.2 1.5C2.2 0.4 2.8 -0.1 4.2 0.1M0.5 7L4 7'],
+    'u': [7.5, 'M1 7L1 2.7C1 1 1.9 0 3.5 0C4.9 0 6 0.8 6.3 2.7M6.3 7L6.3 0'],
+    'v': [7, 'M0.7 7L3.5 0L6.3 7'],
+    'w': [10, 'M0.7 7L2.7 0L5 6L7.3 0L9.3 7'],
+    'x': [7, 'M1 7L6 0M6 7L1 0'],
+    'y': [7, 'M0.7 7L3.5 0M6.3 7L3 -2C2.5 -2.8 1.8 -3.1 0.8 -3'],
+    'z': [6.5, 'M1 7L5.5 7L1 0L5.5 0'],
+
+    'ı': [2.8, 'M1.4 0L1.4 7'],   // Dotless i, base for accented i
+    'ȷ': [3, 'M1.6 7L1.6 -1.8C1.6 -2.6 1.1 -3 0.2 -3'],   // Dotless j
+    ' ': [4, ''],
+    '¢': [7, 'M6 5.7C5.5 6.6 4.7 7 3.7 7C2 7 1 5.5 1 3.5C1 1.5 2 0 3.7 0C4.7 0 5.5 0.4 6 1.3M3.7 8.5L3.7 -1.5'],
+    '£': [8, 'M6.8 8.8C6.3 9.6 5.5 10 4.6 10C3.2 10 2.4 9 2.4 7.6L2.4 2C2.4 1 2 0.4 1 0L7 0M0.8 5L5 5'],
+    '¥': [8.5, 'M0.8 10L4.25 5L7.7 10M4.25 5L4.25 0M1.8 4L6.7 4M1.8 2.2L6.7 2.2'],
+    '°': [5, 'M2.5 10C1.7 10 1.1 9.4 1.1 8.6C1.1 7.8 1.7 7.2 2.5 7.2C3.3 7.2 3.9 7.8 3.9 8.6' +
+      'C3.9 9.4 3.3 10 2.5 10Z'],
+    '±': [8, 'M4 2.5L4 8.5M1 5.5L7 5.5M1 0.5L7 0.5'],
+    '·': [3, 'M1.5 4.6L1.5 5'],
+    'Ø': [10, O_UPPER + 'M1.5 -0.5L8.5 10.5'],
+    'ß': [7.5, 'M1 0L1 7.5C1 9.2 2 10 3.5 10C5 10 6 9.2 6 7.9C6 6.7 5.2 6 4 5.9C5.7 5.9 6.6 4.8 6.6 3.2' +
+      'C6.6 1.2 5.5 0 3.8 0C3.3 0 2.9 0.1 2.5 0.3'],
+    'ø': [7.5, O_LOWER + 'M1 -0.5L6.3 7.5'],
+    '×': [8, 'M1.5 2.5L6.5 7.5M6.5 2.5L1.5 7.5'],
+    '÷': [8, 'M1 5L7 5M4 7.6L4 8M4 2L4 2.4'],
+    '–': [7, 'M0.5 4L6.5 4'],
+    '—': [12, 'M0.5 4L11.5 4'],
+    '‘': [3, 'M1.4 7.6L1.4 8.1C1.4 9.1 1.8 9.8 2.4 10.2'],
+    '’': [3, 'M1.6 10L1.6 9.5C1.6 8.5 1.2 7.8 0.6 7.4'],
+    '“': [5, 'M1.4 7.6L1.4 8.1C1.4 9.1 1.8 9.8 2.4 10.2M3.4 7.6L3.4 8.1C3.4 9.1 3.8 9.8 4.4 10.2'],
+    '”': [5, 'M1.6 10L1.6 9.5C1.6 8.5 1.2 7.8 0.6 7.4M3.6 10L3.6 9.5C3.6 8.5 3.2 7.8 2.6 7.4'],
+    '•': [5, 'M2.5 6C1.9 6 1.5 5.6 1.5 5C1.5 4.4 1.9 4 2.5 4C3.1 4 3.5 4.4 3.5 5C3.5 5.6 3.1 6 2.5 6Z'],
+    '…': [10, 'M1.7 0.2L1.7 0.6M5 0.2L5 0.6M8.3 0.2L8.3 0.6'],
+    '€': [8.5, 'M7.5 8.5C6.9 9.5 5.9 10 4.9 10C2.8 10 1.7 8 1.7 5C1.7 2 2.8 0 4.9 0C5.9 0 6.9 0.5 7.5 1.5' +
+      'M0.5 6L5.5 6M0.5 4L5.5 4'],
+    '™': [10, 'M0.5 10L4 10M2.25 10L2.25 6.5M5 6.5L5 10L6.75 7.5L8.5 10L8.5 6.5'],
+    '←': [10, 'M9 5L1 5M4 8L1 5L4 2'],
+    '↑': [7, 'M3.5 0L3.5 10M0.5 7L3.5 10L6.5 7'],
+    '→': [10, 'M1 5L9 5M6 8L9 5L6 2'],
+    '↓': [7, 'M3.5 10L3.5 0M0.5 3L3.5 0L6.5 3'],
+    '▲': [8, 'M1 1L4 8L7 1Z'],
+    '▼': [8, 'M1 8L4 1L7 8Z'],
+    '✓': [8, 'M1 5L3 2L7.5 9'],
+    '�': [8, 'M1 0L1 10L7 10L7 0Z']
+  };
+
+  // Combining marks (after NFD), drawn centered over the previous glyph.
+  // Coordinates are relative to the top of that glyph (or the baseline
+  // for the cedilla).
+  var MARKS = {
+    '̀': 'M-1 2.4L0.6 0.8',
+    '́': 'M-0.6 0.8L1 2.4',
+    '̂': 'M-1.5 0.8L0 2.3L1.5 0.8',
+    '̃': 'M-1.8 1.2C-1.3 2 -0.8 2.1 -0.3 1.7C0.2 1.3 0.7 1.4 1.3 2.1',
+    '̈': 'M-1.2 1.3L-1.2 1.7M1.2 1.3L1.2 1.7',
+    '̊': 'M0 2.6C-0.5 2.6 -0.8 2.3 -0.8 1.8C-0.8 1.3 -0.5 1 0 1C0.5 1 0.8 1.3 0.8 1.8C0.8 2.3 0.5 2.6 0 2.6Z',
+    '̧': 'M0 0L0 -1C1 -1 1.3 -1.5 1 -2.2C0.8 -2.6 0 -2.7 -0.8 -2.4'
+  };
+  var TALL = /[A-Z0-9bdfhklt]/;
+
+  var parsed = {};
+
+  /**
+   * Parse a glyph path into segments [['M', x, y], ['L', x, y],
+   * ['C', x1, y1, x2, y2, x, y], ['Z']]
+   */
+  function parse(path) {
+    var segments = [];
+    var re = /([MLCZ])([^MLCZ]*)/g;
+    var match;
+    while ((match = re.exec(path))) {
+      var numbers = match[2].trim() ? match[2].trim().split(/[\s,]+/).map(Number) : [];
+      segments.push([match[1]].concat(numbers));
+    }
+    return segments;
+  }
+
+  function glyph(ch) {
+    if (!parsed[ch]) {
+      var def = GLYPHS[ch] || GLYPHS['�'];
+      parsed[ch] = { advance: def[0], segments: parse(def[1]) };
+    }
+    return parsed[ch];
+  }
+
+  /**
+   * Font size (px), weight and slant from a parsed CSS font
+   * ({ size, bold, italic }, see RecordingContext.parseFont)
+   */
+  this.strokeWidth = function(font) {
+    return (font.bold ? BOLD_WEIGHT : REGULAR_WEIGHT) * font.size / UNITS_PER_EM;
+  };
+
+  /**
+   * Glyph centerlines for a string in pixels: x from 0, baseline at y = 0,
+   * y down (canvas orientation)
+   * @returns {{ width: number, segments: Array }}
+   */
+  this.outline = function(text, font) {
+    var scale = font.size / UNITS_PER_EM;
+    var slant = font.italic ? ITALIC_SLANT : 0;
+    var extra = font.bold ? BOLD_WEIGHT - REGULAR_WEIGHT : 0;
+    var chars = String(text).normalize ? String(text).normalize('NFD') : String(text);
+    var segments = [];
+    var x = 0;
+    var previous = null;   // { x, advance, tall } of the last base glyph
+
+    function place(source, dx, dy) {
+      for (var i = 0; i < source.length; i++) {
+        var s = source[i];
+        var out = [s[0]];
+        for (var j = 1; j < s.length; j += 2) {
+          var gx = s[j] + dx, gy = s[j + 1] + dy;
+          out.push((gx + gy * slant) * scale, -gy * scale);
+        }
+        segments.push(out);
+      }
+    }
+
+    for (var i = 0; i < chars.length; i++) {
+      var ch = chars.charAt(i);
+      var code = chars.charCodeAt(i);
+      if (code >= 0xD800 && code <= 0xDBFF) {
+        // Astral characters (emoji) are not in the font
+        ch = '�';
+        i++;
+      }
+
+      if (MARKS[ch]) {
+        if (!previous) continue;
+        var top = ch === '̧' ? 0 : previous.tall ? 10.6 : 7.6;
+        place(parse(MARKS[ch]), previous.x + previous.advance / 2, top);
+        continue;
+      }
+
+      // Accented i and j drop their dot
+      var next = chars.charAt(i + 1);
+      if (MARKS[next] && next !== '̧' && (ch === 'i' || ch === 'j')) ch = ch === 'i' ? 'ı' : 'ȷ';
+      if (ch === '\t' || ch === '\n') ch = ' ';
+
+      var g = glyph(ch);
+      place(g.segments, x + extra / 2, 0);
+      previous = { x: x + extra / 2, advance: g.advance - 1, tall: TALL.test(ch) };
+      x += g.advance + extra;
+    }
+
+    return { width: x * scale, segments: segments };
+  };
+
+  /**
+   * Advance width of a string in pixels
+   */
+  this.measure = function(text, font) {
+    return this.outline(text, font).width;
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StrokeFont;
+}
@@ -0,0 +1,219 @@
+/**
+ * SVG Recording Context
+ * A RecordingContext that turns every draw call into SVG markup instead of
+ * pixels, so the same renderFrame(ctx, progress) functions produce vector
+ * output.
+ *
+ * Draw calls: fill, stroke, fillRect, strokeRect, fillText, strokeText
+ * (with colors or gradients, globalAlpha, dashes and transforms).
+ * clearRect only supports clearing the whole canvas. Anything else
+ * (images, clipping, shadows) is not recorded.
+ *
+ * Everything lives inside the constructor so the source can be embedded in
+ * generated pages next to RecordingContext.
+ *
+ * Usage:
+ *   var ctx = new SVGContext(900, 700);
+ *   renderFrame(ctx, 1);
+ *   var svg = ctx.toSVG();
+ */
+
+if (typeof RecordingContext === 'undefined' && typeof require !== 'undefined') {
+  var RecordingContext = require('./recording-context.js');
+}
+
+function SVGContext(width, height, options) {
+  RecordingContext.call(this, width, height, options);
+
+  this.elements = [];   // SVG markup, one string per draw call
+  this.defs = [];       // Gradient definitions, shared by every frame
+  var defIds = {};      // Definition markup -> id, so equal gradients are reused
+
+  var ANCHOR = { start: 'start', left: 'start', center: 'middle', end: 'end', right: 'end' };
+  var BASELINE = { top: 'text-before-edge', hanging: 'hanging', middle: 'central',
+    alphabetic: 'alphabetic', ideographic: 'ideographic', bottom: 'text-after-edge' };
+
+  function num(v) {
+    return String(Math.round(v * 100) / 100);
+  }
+
+  function escape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  function pathData(segments) {
+    var out = '';
+    for (var i = 0; i < segments.length; i++) {
+      var segment = segments[i];
+      out += segment[0];
+      for (var j = 1; j < segment.length; j++) out += (j > 1 ? ' ' : '') + num(segment[j]);
+    }
+    return out;
+  }
+
+  function matrixAttribute(m) {
+    return 'matrix(' + m.map(num).join(' ') + ')';
+  }
+
+  /**
+   * SVG color and opacity for a CSS color; rgba() and #RRGGBBAA are split
+   * since not every SVG renderer understands them
+   */
+  this.svgColor = function(color) {
+    var c = this.parseColor(color);
+    if (!c) return [escape(color), 1];
+    var hex = '#' + ((1 << 24) | (c.r << 16) | (c.g << 8) | c.b).toString(16).slice(1);
+    return [hex, c.a];
+  };
+
+  this.define = function(markup) {
+    if (!defIds[markup]) {
+      var id = 'g' + (this.defs.length + 1);
+      defIds[markup] = id;
+      this.defs.push(markup.replace(/^<(\w+) /, '<$1 id="' + id + '" '));
+    }
+    return defIds[markup];
+  };
+
+  this.gradientMarkup = function(gradient) {
+    var c = gradient.coords;
+    var tag = gradient.type === 'linear' ? 'linearGradient' : 'radialGradient';
+    var attrs = gradient.type === 'linear' ?
+      'x1="' + num(c[0]) + '" y1="' + num(c[1]) + '" x2="' + num(c[2]) + '" y2="' + num(c[3]) + '"' :
+      'fx="' + num(c[0]) + '" fy="' + num(c[1]) + '"' + (c[2] > 0 ? ' fr="' + num(c[2]) + '"' : '') +
+        ' cx="' + num(c[3]) + '" cy="' + num(c[4]) + '" r="' + num(c[5]) + '"';
+    var out = '<' + tag + ' gradientUnits="userSpaceOnUse" ' + attrs;
+    var m = this.getMatrix();
+    if (m.join() !== '1,0,0,1,0,0') out += ' gradientTransform="' + matrixAttribute(m) + '"';
+    out += '>';
+    var stops = gradient.stops.slice().sort(function(a, b) { return a[0] - b[0]; });
+    for (var i = 0; i < stops.length; i++) {
+      var color = this.svgColor(stops[i][1]);
+      out += '<stop offset="' + num(stops[i][0]) + '" stop-color="' + color[0] + '"' +
+        (color[1] < 1 ? ' stop-opacity="' + num(color[1]) + '"' : '') + '/>';
+    }
+    return out + '</' + tag + '>';
+  };
+
+  /**
+   * Paint attributes for a fill or stroke style: fill="..." fill-opacity="..."
+   */
+  this.paint = function(kind, style) {
+    var value, alpha = this.globalAlpha;
+    if (style && style.stops) {
+      value = 'url(#' + this.define(this.gradientMarkup(style)) + ')';
+    } else {
+      var color = this.svgColor(style);
+      value = color[0];
+      alpha *= color[1];
+    }
+    return ' ' + kind + '="' + value + '"' + (alpha < 1 ? ' ' + kind + '-opacity="' + num(alpha) + '"' : '');
+  };
+
+  this.strokeAttributes = function() {
+    var scale = this.lineScale();
+    var out = ' fill="none"' + this.paint('stroke', this.strokeStyle);
+    if (this.lineWidth * scale !== 1) out += ' stroke-width="' + num(this.lineWidth * scale) + '"';
+    if (this.lineCap !== 'butt') out += ' stroke-linecap="' + this.lineCap + '"';
+    if (this.lineJoin !== 'miter') out += ' stroke-linejoin="' + this.lineJoin + '"';
+    var dash = this.getLineDash();
+    if (dash.length) {
+      out += ' stroke-dasharray="' + dash.map(function(v) { return num(v * scale); }).join(' ') + '"';
+      if (this.lineDashOffset) out += ' stroke-dashoffset="' + num(this.lineDashOffset * scale) + '"';
+    }
+    return out;
+  };
+
+  this.fill = function(fillRule) {
+    var path = this.getPath();
+    if (!path.length) return;
+    var rule = fillRule === 'evenodd' ? ' fill-rule="evenodd"' : '';
+    this.elements.push('<path d="' + pathData(path) + '"' + this.paint('fill', this.fillStyle) + rule + '/>');
+  };
+
+  this.stroke = function() {
+    var path = this.getPath();
+    if (!path.length) return;
+    this.elements.push('<path d="' + pathData(path) + '"' + this.strokeAttributes() + '/>');
+  };
+
+  this.fillRect = function(x, y, w, h) {
+    this.elements.push('<path d="' + pathData(this.rectPath(x, y, w, h)) + '"' + this.paint('fill', this.fillStyle) + '/>');
+  };
+
+  this.strokeRect = function(x, y, w, h) {
+    this.elements.push('<path d="' + pathData(this.rectPath(x, y, w, h)) + '"' + this.strokeAttributes() + '/>');
+  };
+
+  /**
+   * Clearing the whole canvas drops everything recorded so far; smaller
+   * areas cannot be punched out of vector output and are ignored
+   */
+  this.clearRect = function(x, y, w, h) {
+    if (this.coversCanvas(x, y, w, h)) this.elements = [];
+  };
+
+  this.text = function(text, x, y, maxWidth, paint) {
+    var attrs = ' style="font:' + escape(this.font) + '"' + paint;
+    var anchor = ANCHOR[this.textAlign] || 'start';
+    if (anchor !== 'start') attrs += ' text-anchor="' + anchor + '"';
+    var baseline = BASELINE[this.textBaseline] || 'alphabetic';
+    if (baseline !== 'alphabetic') attrs += ' dominant-baseline="' + baseline + '"';
+    if (maxWidth !== undefined && this.measureText(text).width > maxWidth) {
+      attrs += ' textLength="' + num(maxWidth) + '" lengthAdjust="spacingAndGlyphs"';
+    }
+
+    // Pure translations are folded into x/y; anything else keeps the text
+    // in user space with a transform
+    var m = this.getMatrix();
+    if (m[0] === 1 && m[1] === 0 && m[2] === 0 && m[3] === 1) {
+      attrs = ' x="' + num(x + m[4]) + '" y="' + num(y + m[5]) + '"' + attrs;
+    } else {
+      attrs = ' x="' + num(x) + '" y="' + num(y) + '" transform="' + matrixAttribute(m) + '"' + attrs;
+    }
+    this.elements.push('<text' + attrs + '>' + escape(text) + '</text>');
+  };
+
+  this.fillText = function(text, x, y, maxWidth) {
+    this.text(text, x, y, maxWidth, this.paint('fill', this.fillStyle));
+  };
+
+  this.strokeText = function(text, x, y, maxWidth) {
+    this.text(text, x, y, maxWidth, this.strokeAttributes());
+  };
+
+  /**
+   * Return the markup recorded since the last call and start a new frame
+   * @returns {string[]}
+   */
+  this.flush = function() {
+    var elements = this.elements;
+    this.elements = [];
+    this.beginPath();
+    return elements;
+  };
+
+  /**
+   * Wrap markup in an SVG document sized like the canvas
+   * @param {string} body - Markup (defaults to what has been recorded)
+   */
+  this.document = function(body) {
+    return '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height +
+      '" viewBox="0 0 ' + width + ' ' + height + '">' +
+      (this.defs.length ? '<defs>' + this.defs.join('') + '</defs>' : '') +
+      body + '</svg>';
+  };
+
+  /**
+   * Static SVG of everything recorded so far
+   * @returns {string}
+   */
+  this.toSVG = function() {
+    return this.document(this.elements.join('\n'));
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SVGContext;
+}
@@ -0,0 +1,170 @@
+/**
+ * Animated SVG Encoder
+ * Turns frames recorded by SVGContext into one SMIL-animated SVG, with the
+ * same start() / addFrame() / finish() interface as the raster encoders.
+ * The output stays crisp at any size and plays in browsers without script.
+ *
+ * Each distinct frame becomes a group that is shown for its delay with a
+ * discrete <animate> on "display". Markup that opens every frame the same
+ * way (background, title, axes) is written once outside the groups, and
+ * identical consecutive frames (the hold) are merged. The final frame is
+ * visible by default, so renderers without SMIL show the finished chart.
+ *
+ * Every group repeats the markup that changes, so the file grows with each
+ * frame written: a 60-frame chart would hold 60 copies of its bars and
+ * labels. Longer animations are sampled down to options.maxFrames evenly
+ * spaced keyframes (default 20, 0 keeps every frame), which plays less
+ * smoothly than the GIF but with the same total duration.
+ *
+ * Usage:
+ *   var ctx = new SVGContext(900, 700);
+ *   var encoder = new SVGEncoder(900, 700, { loop: 0 });
+ *   encoder.start();
+ *   renderFrame(ctx, 0.5);
+ *   encoder.addFrame(ctx, 50);
+ *   var blob = encoder.finish();
+ */
+
+function SVGEncoder(width, height, options) {
+  options = options || {};
+  this.width = width;
+  this.height = height;
+
+  // Loop count, same meaning as GIFEncoder: 0 = forever, -1 = play once,
+  // N = repeat N more times
+  this.loop = options.loop !== undefined ? options.loop : 0;
+
+  // Identical consecutive frames are merged into one with the summed delay
+  this.collapse = options.collapse !== false;
+
+  // Most frames written (see above); 0 = no limit
+  this.maxFrames = options.maxFrames !== undefined ? options.maxFrames : 20;
+
+  this.frames = [];   // { elements, markup, delay }
+  this.context = null;
+
+  this.start = function() {
+    this.frames = [];
+  };
+
+  /**
+   * Take the frame recorded by an SVGContext since its last flush
+   * @param {SVGContext} context - Context renderFrame drew into
+   * @param {number} delay - Frame delay in milliseconds
+   */
+  this.addFrame = function(context, delay) {
+    this.context = context;
+    var elements = context.flush();
+    var markup = elements.join('\n');
+
+    var last = this.frames[this.frames.length - 1];
+    if (this.collapse && last && last.markup === markup) {
+      last.delay += delay;
+      return;
+    }
+    this.frames.push({ elements: elements, markup: markup, delay: delay });
+  };
+
+  /**
+   * The frames to write: all of them, or maxFrames evenly spaced ones
+   * (always the first and last), each with the delays of the frames it
+   * stands in for
+   */
+  this.keyframes = function() {
+    var frames = this.frames;
+    if (!this.maxFrames || frames.length <= this.maxFrames) return frames;
+
+    var count = Math.max(2, this.maxFrames);
+    var indexAt = function(k) {
+      return k < count ? Math.round(k * (frames.length - 1) / (count - 1)) : frames.length;
+    };
+    var kept = [];
+    for (var k = 0; k < count; k++) {
+      var delay = 0;
+      for (var i = indexAt(k); i < indexAt(k + 1); i++) delay += frames[i].delay;
+      kept.push({ elements: frames[indexAt(k)].elements, markup: frames[indexAt(k)].markup, delay: delay });
+    }
+    return kept;
+  };
+
+  /**
+   * Number of leading elements shared by every frame
+   */
+  this.commonPrefix = function(frames) {
+    var first = frames[0].elements;
+    var length = first.length;
+    for (var i = 1; i < frames.length; i++) {
+      var elements = frames[i].elements;
+      length = Math.min(length, elements.length);
+      for (var j = 0; j < length; j++) {
+        if (elements[j] !== first[j]) {
+          length = j;
+          break;
+        }
+      }
+    }
+    return length;
+  };
+
+  /**
+   * Build the SVG document
+   * @returns {string}
+   */
+  this.toSVG = function() {
+    if (!this.frames.length) throw new Error('No frames were added');
+
+    var frames = this.keyframes();
+    var shared = this.commonPrefix(frames);
+    var parts = frames[0].elements.slice(0, shared);
+
+    var total = 0;
+    for (var i = 0; i < frames.length; i++) total += frames[i].delay;
+    var repeat = this.loop === 0 ? 'indefinite' : this.loop === -1 ? 1 : this.loop + 1;
+    var timing = ' dur="' + (total / 1000) + 's" calcMode="discrete" repeatCount="' + repeat + '" fill="freeze"';
+
+    var start = 0;
+    for (i = 0; i < frames.length; i++) {
+      var body = frames[i].elements.slice(shared).join('\n');
+      var end = start + frames[i].delay;
+      var isLast = i === frames.length - 1;
+
+      if (frames.length === 1) {
+        parts.push(body);
+        break;
+      }
+
+      // Show the group from its start time until the next frame's
+      var values = [], times = [];
+      if (i === 0) {
+        values.push('inline', 'none');
+        times.push(0, end / total);
+      } else {
+        values.push('none', 'inline');
+        times.push(0, start / total);
+        if (!isLast) {
+          values.push('none');
+          times.push(end / total);
+        }
+      }
+      parts.push('<g' + (isLast ? '' : ' display="none"') + '>' +
+        '<animate attributeName="display" values="' + values.join(';') + '" keyTimes="' +
+        times.map(function(t) { return Math.round(t * 1e5) / 1e5; }).join(';') + '"' + timing + '/>\n' +
+        body + '</g>');
+      start = end;
+    }
+
+    return this.context.document(parts.join('\n'));
+  };
+
+  /**
+   * @returns {Blob} image/svg+xml
+   */
+  this.finish = function() {
+    return new Blob([this.toSVG()], { type: 'image/svg+xml' });
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SVGEncoder;
+}
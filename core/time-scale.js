@@ -0,0 +1,185 @@
+/**
+ * Time Scale
+ * Places dated points proportionally along an axis and picks calendar
+ * ticks for it, so 2007, 2010, 2011, 2024 are not drawn as equal steps.
+ * Times are UTC milliseconds, as DataParser.parseDates() puts on line,
+ * area, multi-line and stacked-area data.
+ *
+ * Usage (in a template):
+ *   var scale = TimeScale.forChart(data.map(function(d) { return d.time; }), options);
+ *   if (scale) x = area.x + scale.position(d.time) * area.width;
+ *   scale.drawTicks(ctx, area, 12);   // labels below the plot area
+ *
+ * No dependencies, so the generated page can embed the source next to the
+ * template (see HTMLTemplate.generateSpec).
+ */
+
+var TimeScale = {
+
+  // Minimum room per tick label along the axis (px)
+  tickSpacing: 80,
+
+  months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+
+  // Tick intervals from finest to coarsest: [unit, step]
+  intervals: [
+    ['hour', 1], ['hour', 3], ['hour', 6], ['hour', 12],
+    ['day', 1], ['day', 2], ['day', 7], ['day', 14],
+    ['month', 1], ['month', 2], ['month', 3], ['month', 6],
+    ['year', 1], ['year', 2], ['year', 5], ['year', 10], ['year', 20], ['year', 25],
+    ['year', 50], ['year', 100], ['year', 250], ['year', 500], ['year', 1000]
+  ],
+
+  /**
+   * The coarsest calendar unit every time falls on: 'year' when all are
+   * 1 January, 'quarter' for quarter starts, then 'month', 'day', 'hour'
+   */
+  resolution: function(times) {
+    var units = ['year', 'quarter', 'month', 'day', 'hour'];
+    var finest = 0;
+    times.forEach(function(time) {
+      var d = new Date(time);
+      var unit = d.getUTCHours() || d.getUTCMinutes() || d.getUTCSeconds() ? 4 :
+        d.getUTCDate() !== 1 ? 3 :
+        d.getUTCMonth() % 3 !== 0 ? 2 :
+        d.getUTCMonth() !== 0 ? 1 : 0;
+      finest = Math.max(finest, unit);
+    });
+    return units[finest];
+  },
+
+  /**
+   * The scale for a chart's dated points, or null when the chart's
+   * options.timeScale is false (points evenly spaced in the given order)
+   * @param {number[]} times
+   * @param {Object} options - Template options
+   * @returns {Object|null} See create()
+   */
+  forChart: function(times, options) {
+    return options && options.timeScale === false ? null : this.create(times);
+  },
+
+  /**
+   * Create a scale over a set of times
+   * @param {number[]} times - One per point, in any order
+   * @returns {Object|null} null unless every time is a number and at
+   *   least two differ
+   */
+  create: function(times) {
+    if (!times || times.length < 2) return null;
+    for (var i = 0; i < times.length; i++) {
+      if (typeof times[i] !== 'number' || !isFinite(times[i])) return null;
+    }
+    var min = Math.min.apply(null, times);
+    var max = Math.max.apply(null, times);
+    if (max === min) return null;
+
+    var self = this;
+    var resolution = this.resolution(times);
+
+    return {
+      min: min,
+      max: max,
+      resolution: resolution,
+
+      /**
+       * Position of a time along the axis, 0 at the first point, 1 at the last
+       */
+      position: function(time) {
+        return (time - min) / (max - min);
+      },
+
+      /**
+       * Calendar-aligned ticks inside the range, never finer than the data
+       * (no month ticks for yearly points)
+       * @param {number} maxTicks
+       * @returns {Object[]} [{ time, position, label }]
+       */
+      ticks: function(maxTicks) {
+        var floor = { hour: 0, day: 4, month: 8, quarter: 10, year: 12 }[resolution];
+        for (var i = floor; i < self.intervals.length; i++) {
+          var ticks = self.tickTimes(min, max, self.intervals[i][0], self.intervals[i][1]);
+          if (ticks.length <= maxTicks || i === self.intervals.length - 1) {
+            var unit = self.intervals[i][0];
+            var step = self.intervals[i][1];
+            var position = this.position;
+            return ticks.map(function(time, index) {
+              return { time: time, position: position(time), label: self.formatTick(time, unit, step, index === 0, resolution) };
+            });
+          }
+        }
+        return [];
+      },
+
+      /**
+       * Draw the tick labels below a plot area, as many as fit, in the
+       * current font, fill and text alignment
+       * @param {CanvasRenderingContext2D} ctx
+       * @param {Object} area - { x, y, width, height } of the plot
+       * @param {number} offset - Gap between the plot and the labels (px)
+       */
+      drawTicks: function(ctx, area, offset) {
+        this.ticks(Math.max(2, Math.floor(area.width / self.tickSpacing))).forEach(function(tick) {
+          ctx.fillText(tick.label, area.x + tick.position * area.width, area.y + area.height + offset);
+        });
+      }
+    };
+  },
+
+  /**
+   * Times of every step-th unit boundary between min and max
+   */
+  tickTimes: function(min, max, unit, step) {
+    var ticks = [];
+    var d = new Date(min);
+    var year = d.getUTCFullYear();
+
+    if (unit === 'year') {
+      for (var y = Math.ceil(year / step) * step; ; y += step) {
+        var time = Date.UTC(y, 0, 1);
+        if (time > max) break;
+        if (time >= min) ticks.push(time);
+      }
+    } else if (unit === 'month') {
+      for (var m = Math.ceil(d.getUTCMonth() / step) * step; ; m += step) {
+        time = Date.UTC(year, m, 1);
+        if (time > max) break;
+        if (time >= min) ticks.push(time);
+      }
+    } else {
+      var size = unit === 'day' ? 86400000 : 3600000;
+      // Weekly ticks fall on Mondays (1970-01-05 was one)
+      var origin = unit === 'day' && step === 7 ? 4 * 86400000 : 0;
+      for (time = Math.ceil((min - origin) / (size * step)) * size * step + origin; time <= max; time += size * step) {
+        ticks.push(time);
+      }
+    }
+    return ticks;
+  },
+
+  /**
+   * Tick label for the interval in use: "2024", "Q3 2024" (3-month steps,
+   * and any multiple of 3 for quarterly data), "Jan 2024" (the year only on
+   * the first tick and in January), "Mar 5", "14:00" (the date at midnight)
+   */
+  formatTick: function(time, unit, step, first, resolution) {
+    var d = new Date(time);
+    var year = d.getUTCFullYear();
+    var month = d.getUTCMonth();
+
+    if (unit === 'year') return String(year);
+    if (unit === 'month') {
+      if (step === 3 || (resolution === 'quarter' && step % 3 === 0)) return 'Q' + (month / 3 + 1) + ' ' + year;
+      return this.months[month] + (first || month === 0 ? ' ' + year : '');
+    }
+    if (unit === 'day') return this.months[month] + ' ' + d.getUTCDate();
+    var hours = d.getUTCHours();
+    if (hours === 0) return this.months[month] + ' ' + d.getUTCDate();
+    return (hours < 10 ? '0' : '') + hours + ':00';
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TimeScale;
+}
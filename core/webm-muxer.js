@@ -0,0 +1,265 @@
+/**
+ * Self-contained WebM (Matroska) Muxer
+ * Wraps VP8/VP9 chunks from WebCodecs' VideoEncoder in a WebM file. Frames
+ * keep the timestamps they were encoded with, so the video timing follows
+ * the animation exactly (unlike real-time MediaRecorder capture).
+ *
+ * Layout: EBML header, then a Segment with SeekHead, Info, Tracks, one
+ * Cluster per key frame and Cues for seeking. Everything lives inside the
+ * constructor so the source can be embedded in generated pages.
+ *
+ * Usage:
+ *   var muxer = new WebMMuxer({ width: 900, height: 700, codec: 'V_VP9' });
+ *   new VideoEncoder({ output: function(chunk, meta) { muxer.addVideoChunk(chunk, meta); }, ... });
+ *   ...
+ *   var blob = new Blob([muxer.finalize()], { type: 'video/webm' });
+ */
+
+function WebMMuxer(options) {
+  options = options || {};
+  this.width = options.width;
+  this.height = options.height;
+  this.codec = options.codec || 'V_VP9';  // Matroska codec ID: 'V_VP9' or 'V_VP8'
+
+  this.frames = [];  // { data, time (ms), duration (ms), key }
+
+  // Block timecodes are 16-bit offsets from their cluster's timecode
+  var MAX_CLUSTER_SPAN = 32767;
+
+  var ID = {
+    EBML: 0x1A45DFA3, EBMLVersion: 0x4286, EBMLReadVersion: 0x42F7, EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3, DocType: 0x4282, DocTypeVersion: 0x4287, DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067, SeekHead: 0x114D9B74, Seek: 0x4DBB, SeekID: 0x53AB, SeekPosition: 0x53AC,
+    Info: 0x1549A966, TimecodeScale: 0x2AD7B1, Duration: 0x4489, MuxingApp: 0x4D80, WritingApp: 0x5741,
+    Tracks: 0x1654AE6B, TrackEntry: 0xAE, TrackNumber: 0xD7, TrackUID: 0x73C5, TrackType: 0x83,
+    FlagLacing: 0x9C, CodecID: 0x86, Video: 0xE0, PixelWidth: 0xB0, PixelHeight: 0xBA,
+    Cluster: 0x1F43B675, Timecode: 0xE7, SimpleBlock: 0xA3, BlockGroup: 0xA0, Block: 0xA1,
+    BlockDuration: 0x9B, ReferenceBlock: 0xFB,
+    Cues: 0x1C53BB6B, CuePoint: 0xBB, CueTime: 0xB3, CueTrackPositions: 0xB7, CueTrack: 0xF7,
+    CueClusterPosition: 0xF1
+  };
+
+  /**
+   * Add an encoded chunk from VideoEncoder's output callback. Also accepts
+   * plain objects { data, timestamp, duration, type } (e.g. under Node).
+   * @param {EncodedVideoChunk|Object} chunk - Timestamps in microseconds
+   */
+  this.addVideoChunk = function(chunk) {
+    var data;
+    if (chunk.copyTo) {
+      data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+    } else {
+      data = chunk.data;
+    }
+
+    this.frames.push({
+      data: data,
+      time: Math.round(chunk.timestamp / 1000),
+      duration: chunk.duration ? Math.round(chunk.duration / 1000) : null,
+      key: chunk.type === 'key'
+    });
+  };
+
+  /**
+   * Build the WebM file
+   * @returns {Uint8Array}
+   */
+  this.finalize = function() {
+    if (!this.frames.length) throw new Error('No video chunks were added');
+
+    var frames = this.frames.slice().sort(function(a, b) { return a.time - b.time; });
+    var lastFrame = frames[frames.length - 1];
+    if (!lastFrame.duration) {
+      lastFrame.duration = frames.length > 1 ? lastFrame.time - frames[frames.length - 2].time : 33;
+    }
+    var duration = lastFrame.time + lastFrame.duration;
+
+    var header = this.element(ID.EBML, [
+      this.uint(ID.EBMLVersion, 1),
+      this.uint(ID.EBMLReadVersion, 1),
+      this.uint(ID.EBMLMaxIDLength, 4),
+      this.uint(ID.EBMLMaxSizeLength, 8),
+      this.string(ID.DocType, 'webm'),
+      this.uint(ID.DocTypeVersion, 4),
+      this.uint(ID.DocTypeReadVersion, 2)
+    ]);
+
+    var info = this.element(ID.Info, [
+      this.uint(ID.TimecodeScale, 1000000),  // Timecodes in milliseconds
+      this.string(ID.MuxingApp, 'infographic-gif'),
+      this.string(ID.WritingApp, 'infographic-gif'),
+      this.float(ID.Duration, duration)
+    ]);
+
+    var tracks = this.element(ID.Tracks, [
+      this.element(ID.TrackEntry, [
+        this.uint(ID.TrackNumber, 1),
+        this.uint(ID.TrackUID, 1),
+        this.uint(ID.TrackType, 1),  // Video
+        this.uint(ID.FlagLacing, 0),
+        this.string(ID.CodecID, this.codec),
+        this.element(ID.Video, [
+          this.uint(ID.PixelWidth, this.width),
+          this.uint(ID.PixelHeight, this.height)
+        ])
+      ])
+    ]);
+
+    // A cluster starts at every key frame, and whenever block offsets
+    // would overflow 16 bits
+    var clusters = [];
+    var current = null;
+    for (var i = 0; i < frames.length; i++) {
+      var frame = frames[i];
+      if (!current || frame.key || frame.time - current.time > MAX_CLUSTER_SPAN) {
+        current = { time: frame.time, key: frame.key, blocks: [this.uint(ID.Timecode, frame.time)] };
+        clusters.push(current);
+      }
+      var relative = frame.time - current.time;
+      if (frame === lastFrame) {
+        // The last frame carries an explicit duration so the hold is not cut short
+        var group = [this.element(ID.Block, this.block(frame, relative, 0)), this.uint(ID.BlockDuration, frame.duration)];
+        if (!frame.key) group.push(this.int(ID.ReferenceBlock, frames[i - 1].time - frame.time));
+        current.blocks.push(this.element(ID.BlockGroup, group));
+      } else {
+        current.blocks.push(this.element(ID.SimpleBlock, this.block(frame, relative, frame.key ? 0x80 : 0)));
+      }
+    }
+
+    // Positions are relative to the start of the Segment payload. The
+    // SeekHead uses fixed-width positions so its size is known up front.
+    var seekHeadSize = this.seekHead(0, 0, 0).length;
+    var position = seekHeadSize + info.length + tracks.length;
+    var clusterElements = [];
+    var cuePoints = [];
+    for (i = 0; i < clusters.length; i++) {
+      var cluster = this.element(ID.Cluster, clusters[i].blocks);
+      if (clusters[i].key) {
+        cuePoints.push(this.element(ID.CuePoint, [
+          this.uint(ID.CueTime, clusters[i].time),
+          this.element(ID.CueTrackPositions, [
+            this.uint(ID.CueTrack, 1),
+            this.uint(ID.CueClusterPosition, position)
+          ])
+        ]));
+      }
+      clusterElements.push(cluster);
+      position += cluster.length;
+    }
+    var cues = this.element(ID.Cues, cuePoints);
+    var seekHead = this.seekHead(seekHeadSize, seekHeadSize + info.length, position);
+
+    var segment = this.element(ID.Segment, [seekHead, info, tracks].concat(clusterElements, [cues]));
+    return this.concat([header, segment]);
+  };
+
+  this.seekHead = function(infoPosition, tracksPosition, cuesPosition) {
+    var self = this;
+    function seek(id, position) {
+      return self.element(ID.Seek, [
+        self.element(ID.SeekID, self.id(id)),
+        self.element(ID.SeekPosition, self.fixedUint(position, 8))
+      ]);
+    }
+    return this.element(ID.SeekHead, [
+      seek(ID.Info, infoPosition),
+      seek(ID.Tracks, tracksPosition),
+      seek(ID.Cues, cuesPosition)
+    ]);
+  };
+
+  /**
+   * (Simple)Block payload: track number, signed 16-bit timecode offset,
+   * flags, frame data
+   */
+  this.block = function(frame, relative, flags) {
+    var out = new Uint8Array(4 + frame.data.length);
+    out[0] = 0x81;  // Track 1 as a 1-byte variable-length integer
+    out[1] = (relative >> 8) & 0xFF;
+    out[2] = relative & 0xFF;
+    out[3] = flags;
+    out.set(frame.data, 4);
+    return out;
+  };
+
+  /**
+   * EBML element: ID, variable-length size, payload (bytes or list of parts)
+   */
+  this.element = function(id, payload) {
+    var body = payload instanceof Uint8Array ? payload : this.concat(payload);
+    return this.concat([this.id(id), this.size(body.length), body]);
+  };
+
+  this.id = function(id) {
+    var bytes = [];
+    while (id > 0) {
+      bytes.unshift(id & 0xFF);
+      id = Math.floor(id / 256);
+    }
+    return new Uint8Array(bytes);
+  };
+
+  /**
+   * Variable-length size: the position of the first set bit gives the
+   * length (all ones is reserved for "unknown")
+   */
+  this.size = function(value) {
+    var length = 1;
+    while (value >= Math.pow(2, 7 * length) - 1) length++;
+    var out = this.fixedUint(value, length);
+    out[0] |= 1 << (8 - length);
+    return out;
+  };
+
+  this.fixedUint = function(value, length) {
+    var out = new Uint8Array(length);
+    for (var i = length - 1; i >= 0; i--) {
+      out[i] = value % 256;
+      value = Math.floor(value / 256);
+    }
+    return out;
+  };
+
+  this.uint = function(id, value) {
+    var length = 1;
+    while (value >= Math.pow(2, 8 * length)) length++;
+    return this.element(id, this.fixedUint(value, length));
+  };
+
+  this.int = function(id, value) {
+    var out = new Uint8Array(2);
+    out[0] = (value >> 8) & 0xFF;
+    out[1] = value & 0xFF;
+    return this.element(id, out);
+  };
+
+  this.float = function(id, value) {
+    var out = new Uint8Array(8);
+    new DataView(out.buffer).setFloat64(0, value);
+    return this.element(id, out);
+  };
+
+  this.string = function(id, value) {
+    var out = new Uint8Array(value.length);
+    for (var i = 0; i < value.length; i++) out[i] = value.charCodeAt(i);
+    return this.element(id, out);
+  };
+
+  this.concat = function(parts) {
+    var size = 0;
+    for (var i = 0; i < parts.length; i++) size += parts[i].length;
+    var out = new Uint8Array(size);
+    var offset = 0;
+    for (i = 0; i < parts.length; i++) {
+      out.set(parts[i], offset);
+      offset += parts[i].length;
+    }
+    return out;
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WebMMuxer;
+}
@@ -0,0 +1,733 @@
+/**
+ * Self-contained Animated WebP Encoder (lossless VP8L + ANIM/ANMF)
+ * Same start() / addFrame() / finish() interface as GIFEncoder. Flat-color
+ * charts compress well: images with up to 256 colors use the color-indexing
+ * transform (packing 2-8 pixels per entry for small palettes), others use
+ * subtract-green plus per-tile spatial prediction. Pixels are then coded
+ * with LZ77 back-references, a color cache and Huffman codes.
+ *
+ * Huffman code construction is shared with DeflateEncoder; like the other
+ * encoders everything lives inside the constructor so the source can be
+ * embedded in generated pages.
+ */
+
+if (typeof DeflateEncoder === 'undefined' && typeof require !== 'undefined') {
+  var DeflateEncoder = require('./deflate.js');
+}
+
+function WebPEncoder(width, height, options) {
+  options = options || {};
+  this.width = width;
+  this.height = height;
+
+  // Loop count, same meaning as GIFEncoder: 0 = forever, -1 = play once,
+  // N = repeat N more times (WebP stores the total number of plays)
+  this.loop = options.loop !== undefined ? options.loop : 0;
+
+  // Delta mode: frames after the first only cover the region that changed
+  // (offsets rounded down to even, as ANMF requires), drawn without blending
+  this.delta = options.delta !== false;
+
+  // Identical consecutive frames are merged into one with the summed delay
+  this.collapse = options.collapse !== false;
+
+  // Hash chain depth for LZ77 matches
+  this.maxChain = options.maxChain || 32;
+
+  this.frames = [];
+  this.prevPixels = null;
+  this.hasAlpha = false;
+
+  var MAX_DELAY = 0xFFFFFF;    // ANMF durations are 24-bit milliseconds
+  var NUM_LENGTH_CODES = 24;
+  var NUM_DISTANCE_CODES = 40;
+  var MAX_LENGTH = 4096;
+  var MIN_LENGTH = 3;
+  var CACHE_BITS = 10;
+  var PREDICTOR_BITS = 4;      // 16x16 tiles per predictor mode
+  var CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+
+  // Short distance codes 1..120 stand for nearby (dx, dy) pixels
+  var DISTANCE_MAP = [
+    0, 1, 1, 0, 1, 1, -1, 1, 0, 2, 2, 0, 1, 2, -1, 2, 2, 1, -2, 1, 2, 2, -2, 2,
+    0, 3, 3, 0, 1, 3, -1, 3, 3, 1, -3, 1, 2, 3, -2, 3, 3, 2, -3, 2, 0, 4, 4, 0,
+    1, 4, -1, 4, 4, 1, -4, 1, 3, 3, -3, 3, 2, 4, -2, 4, 4, 2, -4, 2, 0, 5, 3, 4,
+    -3, 4, 4, 3, -4, 3, 5, 0, 1, 5, -1, 5, 5, 1, -5, 1, 2, 5, -2, 5, 5, 2, -5, 2,
+    4, 4, -4, 4, 3, 5, -3, 5, 5, 3, -5, 3, 0, 6, 6, 0, 1, 6, -1, 6, 6, 1, -6, 1,
+    2, 6, -2, 6, 6, 2, -6, 2, 4, 5, -4, 5, 5, 4, -5, 4, 3, 6, -3, 6, 6, 3, -6, 3,
+    0, 7, 7, 0, 1, 7, -1, 7, 5, 5, -5, 5, 7, 1, -7, 1, 4, 6, -4, 6, 6, 4, -6, 4,
+    2, 7, -2, 7, 7, 2, -7, 2, 3, 7, -3, 7, 7, 3, -7, 3, 5, 6, -5, 6, 6, 5, -6, 5,
+    8, 0, 4, 7, -4, 7, 7, 4, -7, 4, 8, 1, 8, 2, 6, 6, -6, 6, 8, 3, 5, 7, -5, 7,
+    7, 5, -7, 5, 8, 4, 6, 7, -6, 7, 7, 6, -7, 6, 8, 5, 7, 7, -7, 7, 8, 6, 8, 7
+  ];
+
+  var huffman = new DeflateEncoder();
+
+  // Output: a Uint8Array that doubles in size when full, written LSB-first
+  this.data = null;
+  this.length = 0;
+  this.bitBuffer = 0;
+  this.bitCount = 0;
+
+  this.writeBits = function(value, count) {
+    this.bitBuffer |= value << this.bitCount;
+    this.bitCount += count;
+    while (this.bitCount >= 8) {
+      if (this.length === this.data.length) this.grow(1);
+      this.data[this.length++] = this.bitBuffer & 0xFF;
+      this.bitBuffer >>>= 8;
+      this.bitCount -= 8;
+    }
+  };
+  this.grow = function(needed) {
+    var size = this.data.length;
+    while (size < this.length + needed) size *= 2;
+    var next = new Uint8Array(size);
+    next.set(this.data.subarray(0, this.length));
+    this.data = next;
+  };
+
+  /**
+   * Read a frame from a canvas context, or use an ImageData-like
+   * { data: Uint8ClampedArray } as-is (same as GIFEncoder)
+   */
+  this.getFrameData = function(source) {
+    return source.getImageData ? source.getImageData(0, 0, width, height) : source;
+  };
+
+  this.start = function() {
+    this.frames = [];
+    this.prevPixels = null;
+    this.hasAlpha = false;
+  };
+
+  /**
+   * Encode a frame
+   * @param {CanvasRenderingContext2D|ImageData} ctx - Frame source
+   * @param {number} delay - Frame delay in milliseconds
+   */
+  this.addFrame = function(ctx, delay) {
+    var pixels = this.getFrameData(ctx).data;
+    delay = Math.min(MAX_DELAY, Math.round(delay));
+
+    var last = this.frames[this.frames.length - 1];
+    if (this.collapse && last && last.delay + delay <= MAX_DELAY &&
+        this.sameFrame(this.prevPixels, pixels)) {
+      last.delay += delay;
+      return;
+    }
+
+    var rect = { x: 0, y: 0, width: width, height: height };
+    if (this.delta && this.prevPixels) {
+      rect = this.changedRect(this.prevPixels, pixels) || { x: 0, y: 0, width: 1, height: 1 };
+      rect.width += rect.x & 1;
+      rect.height += rect.y & 1;
+      rect.x &= ~1;
+      rect.y &= ~1;
+    }
+    this.prevPixels = new Uint8ClampedArray(pixels);
+
+    var argb = this.toArgb(pixels, rect);
+    this.frames.push({ rect: rect, delay: delay, data: this.encodeImage(argb, rect.width, rect.height) });
+  };
+
+  /**
+   * Bounding box of the pixels that differ between two frames, or null
+   * when the frames are identical
+   */
+  this.changedRect = function(prev, pixels) {
+    var a = new Uint32Array(prev.buffer, prev.byteOffset, width * height);
+    var b = new Uint32Array(pixels.buffer, pixels.byteOffset, width * height);
+    var minX = width, minY = height, maxX = -1, maxY = -1;
+    for (var y = 0; y < height; y++) {
+      var row = y * width;
+      for (var x = 0; x < width; x++) {
+        if (a[row + x] !== b[row + x]) {
+          if (x < minX) minX = x;
+          if (x > maxX) maxX = x;
+          if (y < minY) minY = y;
+          maxY = y;
+        }
+      }
+    }
+    if (maxX < 0) return null;
+    return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+  };
+
+  this.sameFrame = function(prev, pixels) {
+    var a = new Uint32Array(prev.buffer, prev.byteOffset, width * height);
+    var b = new Uint32Array(pixels.buffer, pixels.byteOffset, width * height);
+    for (var i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return false;
+    }
+    return true;
+  };
+
+  /**
+   * Copy a rectangle of RGBA bytes into 32-bit ARGB values
+   */
+  this.toArgb = function(pixels, rect) {
+    var argb = new Uint32Array(rect.width * rect.height);
+    for (var y = 0; y < rect.height; y++) {
+      for (var x = 0; x < rect.width; x++) {
+        var p = ((rect.y + y) * width + rect.x + x) * 4;
+        if (pixels[p + 3] !== 255) this.hasAlpha = true;
+        argb[y * rect.width + x] = ((pixels[p + 3] << 24) | (pixels[p] << 16) | (pixels[p + 1] << 8) | pixels[p + 2]) >>> 0;
+      }
+    }
+    return argb;
+  };
+
+  /**
+   * Encode ARGB pixels as a VP8L bitstream
+   * @returns {Uint8Array}
+   */
+  this.encodeImage = function(argb, w, h) {
+    this.data = new Uint8Array(1024);
+    this.length = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+
+    var alpha = false;
+    for (var i = 0; i < argb.length && !alpha; i++) alpha = (argb[i] >>> 24) !== 255;
+
+    this.writeBits(0x2F, 8); // Signature
+    this.writeBits(w - 1, 14);
+    this.writeBits(h - 1, 14);
+    this.writeBits(alpha ? 1 : 0, 1);
+    this.writeBits(0, 3); // Version
+
+    var image = argb;
+    var xsize = w;
+    var palette = this.collectPalette(argb, 256);
+
+    if (palette) {
+      // Color indexing transform: the palette is stored delta-coded
+      this.writeBits(1, 1);
+      this.writeBits(3, 2);
+      this.writeBits(palette.length - 1, 8);
+      var deltas = new Uint32Array(palette.length);
+      for (i = 0; i < palette.length; i++) {
+        deltas[i] = i === 0 ? palette[0] : this.subPixels(palette[i], palette[i - 1]);
+      }
+      this.writeImageData(deltas, palette.length, false);
+
+      var bundle = palette.length <= 2 ? 3 : palette.length <= 4 ? 2 : palette.length <= 16 ? 1 : 0;
+      image = this.bundlePixels(argb, w, h, palette, bundle);
+      xsize = (w + (1 << bundle) - 1) >> bundle;
+    } else {
+      // Subtract green, then predict each pixel from its neighbours
+      this.writeBits(1, 1);
+      this.writeBits(2, 2);
+      image = new Uint32Array(argb);
+      for (i = 0; i < image.length; i++) {
+        var g = (image[i] >> 8) & 0xFF;
+        var r = (((image[i] >> 16) & 0xFF) - g) & 0xFF;
+        var b = ((image[i] & 0xFF) - g) & 0xFF;
+        image[i] = ((image[i] & 0xFF00FF00) | (r << 16) | b) >>> 0;
+      }
+
+      var predicted = this.predict(image, w, h);
+      this.writeBits(1, 1);
+      this.writeBits(0, 2);
+      this.writeBits(PREDICTOR_BITS - 2, 3);
+      this.writeImageData(predicted.modes, (w + (1 << PREDICTOR_BITS) - 1) >> PREDICTOR_BITS, false);
+      image = predicted.residuals;
+    }
+    this.writeBits(0, 1); // No more transforms
+
+    this.writeImageData(image, xsize, true);
+    if (this.bitCount > 0) this.writeBits(0, 8 - this.bitCount);
+    return this.data.slice(0, this.length);
+  };
+
+  /**
+   * Distinct colors in first-seen order, or null when there are more
+   * than maxColors
+   */
+  this.collectPalette = function(argb, maxColors) {
+    var seen = new Map();
+    var palette = [];
+    for (var i = 0; i < argb.length; i++) {
+      if (seen.has(argb[i])) continue;
+      if (palette.length === maxColors) return null;
+      seen.set(argb[i], palette.length);
+      palette.push(argb[i]);
+    }
+    return new Uint32Array(palette);
+  };
+
+  /**
+   * Replace pixels by palette indices (in the green channel), packing
+   * 1 << bundle indices into each pixel for small palettes
+   */
+  this.bundlePixels = function(argb, w, h, palette, bundle) {
+    var index = new Map();
+    for (var i = 0; i < palette.length; i++) index.set(palette[i], i);
+    var xsize = (w + (1 << bundle) - 1) >> bundle;
+    var bitsPerIndex = 8 >> bundle;
+    var out = new Uint32Array(xsize * h);
+    for (var y = 0; y < h; y++) {
+      for (var x = 0; x < w; x++) {
+        var o = y * xsize + (x >> bundle);
+        out[o] |= index.get(argb[y * w + x]) << (8 + bitsPerIndex * (x & ((1 << bundle) - 1)));
+      }
+    }
+    for (i = 0; i < out.length; i++) out[i] = (out[i] | 0xFF000000) >>> 0;
+    return out;
+  };
+
+  this.subPixels = function(a, b) {
+    return ((((a >>> 24) - (b >>> 24)) & 0xFF) << 24 |
+      ((((a >> 16) & 0xFF) - ((b >> 16) & 0xFF)) & 0xFF) << 16 |
+      ((((a >> 8) & 0xFF) - ((b >> 8) & 0xFF)) & 0xFF) << 8 |
+      (((a & 0xFF) - (b & 0xFF)) & 0xFF)) >>> 0;
+  };
+
+  this.average = function(a, b) {
+    return ((((a >>> 24) + (b >>> 24)) >> 1) << 24 |
+      ((((a >> 16) & 0xFF) + ((b >> 16) & 0xFF)) >> 1) << 16 |
+      ((((a >> 8) & 0xFF) + ((b >> 8) & 0xFF)) >> 1) << 8 |
+      (((a & 0xFF) + (b & 0xFF)) >> 1)) >>> 0;
+  };
+
+  /**
+   * Prediction from neighbours L (left), T (top), TR, TL for predictor
+   * modes 0-13 of the VP8L spec
+   */
+  this.predictor = function(mode, L, T, TR, TL) {
+    switch (mode) {
+      case 0: return 0xFF000000;
+      case 1: return L;
+      case 2: return T;
+      case 3: return TR;
+      case 4: return TL;
+      case 5: return this.average(this.average(L, TR), T);
+      case 6: return this.average(L, TL);
+      case 7: return this.average(L, T);
+      case 8: return this.average(TL, T);
+      case 9: return this.average(T, TR);
+      case 10: return this.average(this.average(L, TL), this.average(T, TR));
+      case 11: {
+        var pL = 0, pT = 0;
+        for (var s = 0; s < 32; s += 8) {
+          var tl = (TL >>> s) & 0xFF;
+          pL += Math.abs(((T >>> s) & 0xFF) - tl);
+          pT += Math.abs(((L >>> s) & 0xFF) - tl);
+        }
+        return pL < pT ? L : T;
+      }
+      case 12: {
+        var full = 0;
+        for (s = 0; s < 32; s += 8) {
+          var v = ((L >>> s) & 0xFF) + ((T >>> s) & 0xFF) - ((TL >>> s) & 0xFF);
+          full |= (v < 0 ? 0 : v > 255 ? 255 : v) << s;
+        }
+        return full >>> 0;
+      }
+      default: {
+        var avg = this.average(L, T);
+        var half = 0;
+        for (s = 0; s < 32; s += 8) {
+          var a = (avg >>> s) & 0xFF;
+          var h = a + (((a - ((TL >>> s) & 0xFF)) / 2) | 0);
+          half |= (h < 0 ? 0 : h > 255 ? 255 : h) << s;
+        }
+        return half >>> 0;
+      }
+    }
+  };
+
+  /**
+   * Predictor transform: pick the mode with the smallest residuals for each
+   * tile and return the mode image plus the residual image. The first row
+   * always predicts from the left and the first column from above.
+   */
+  this.predict = function(image, w, h) {
+    var tiles = 1 << PREDICTOR_BITS;
+    var tilesX = (w + tiles - 1) >> PREDICTOR_BITS;
+    var tilesY = (h + tiles - 1) >> PREDICTOR_BITS;
+    var modes = new Uint32Array(tilesX * tilesY);
+    var residuals = new Uint32Array(image.length);
+    var self = this;
+
+    function residual(i, x, y, mode) {
+      if (x === 0 && y === 0) return self.subPixels(image[i], 0xFF000000);
+      if (y === 0) return self.subPixels(image[i], image[i - 1]);
+      if (x === 0) return self.subPixels(image[i], image[i - w]);
+      // For the last column, i - w + 1 is the first pixel of this row, as the spec requires
+      return self.subPixels(image[i], self.predictor(mode, image[i - 1], image[i - w], image[i - w + 1], image[i - w - 1]));
+    }
+
+    for (var ty = 0; ty < tilesY; ty++) {
+      for (var tx = 0; tx < tilesX; tx++) {
+        var x0 = tx * tiles, y0 = ty * tiles;
+        var x1 = Math.min(x0 + tiles, w), y1 = Math.min(y0 + tiles, h);
+        var best = 0, bestCost = Infinity;
+        for (var mode = 0; mode < 14; mode++) {
+          var cost = 0;
+          for (var y = y0; y < y1 && cost < bestCost; y++) {
+            for (var x = x0; x < x1; x++) {
+              var r = residual(y * w + x, x, y, mode);
+              for (var s = 0; s < 32; s += 8) {
+                var c = (r >>> s) & 0xFF;
+                cost += c < 128 ? c : 256 - c;
+              }
+            }
+          }
+          if (cost < bestCost) {
+            bestCost = cost;
+            best = mode;
+          }
+        }
+        modes[ty * tilesX + tx] = (0xFF000000 | (best << 8)) >>> 0;
+        for (y = y0; y < y1; y++) {
+          for (x = x0; x < x1; x++) residuals[y * w + x] = residual(y * w + x, x, y, best);
+        }
+      }
+    }
+
+    return { modes: modes, residuals: residuals };
+  };
+
+  /**
+   * LZ77 over pixels: back-references found through hash chains on pixel
+   * pairs, with the left and upper neighbours always tried first
+   * @returns {Object} { lengths: 0 for literals, distances in pixels, count }
+   */
+  this.backwardRefs = function(pixels, xsize) {
+    var n = pixels.length;
+    var HBITS = 16;
+    var head = new Int32Array(1 << HBITS).fill(-1);
+    var chainPrev = new Int32Array(n);
+    var lengths = new Uint16Array(n);
+    var distances = new Uint32Array(n);
+    var count = 0;
+
+    function hash(i) {
+      return (Math.imul(pixels[i], 0x1E35A7BD) ^ Math.imul(pixels[i + 1], 0x2545F491)) >>> (32 - HBITS);
+    }
+    function matchLength(i, j, max) {
+      var len = 0;
+      while (len < max && pixels[i + len] === pixels[j + len]) len++;
+      return len;
+    }
+    function insert(i) {
+      if (i + 1 >= n) return;
+      var hh = hash(i);
+      chainPrev[i] = head[hh];
+      head[hh] = i;
+    }
+
+    for (var i = 0; i < n; ) {
+      var max = Math.min(MAX_LENGTH, n - i);
+      var bestLen = 0, bestDist = 0;
+
+      if (i >= 1) {
+        bestLen = matchLength(i, i - 1, max);
+        bestDist = 1;
+      }
+      if (i >= xsize && xsize > 1) {
+        var up = matchLength(i, i - xsize, max);
+        if (up > bestLen) {
+          bestLen = up;
+          bestDist = xsize;
+        }
+      }
+      if (bestLen < max && i + 1 < n) {
+        var candidate = head[hash(i)];
+        var chain = this.maxChain;
+        while (candidate >= 0 && chain-- > 0) {
+          if (pixels[candidate + bestLen] === pixels[i + bestLen]) {
+            var len = matchLength(i, candidate, max);
+            if (len > bestLen) {
+              bestLen = len;
+              bestDist = i - candidate;
+              if (len === max) break;
+            }
+          }
+          candidate = chainPrev[candidate];
+        }
+      }
+
+      if (bestLen >= MIN_LENGTH) {
+        lengths[count] = bestLen;
+        distances[count] = bestDist;
+        for (var j = 0; j < bestLen; j++) insert(i + j);
+        i += bestLen;
+      } else {
+        lengths[count] = 0;
+        distances[count] = pixels[i];
+        insert(i);
+        i++;
+      }
+      count++;
+    }
+
+    return { lengths: lengths, distances: distances, count: count };
+  };
+
+  /**
+   * Prefix coding of lengths and distances: a code plus extra bits
+   */
+  this.prefixEncode = function(value) {
+    value--;
+    if (value < 4) return { code: value, bits: 0, extra: 0 };
+    var highest = 31 - Math.clz32(value);
+    var second = (value >> (highest - 1)) & 1;
+    var bits = highest - 1;
+    return { code: 2 * highest + second, bits: bits, extra: value & ((1 << bits) - 1) };
+  };
+
+  /**
+   * Turn back-references into symbols for the five prefix codes (green +
+   * length + cache, red, blue, alpha, distance), applying the color cache
+   */
+  this.buildSymbols = function(pixels, refs, xsize, cacheBits) {
+    var planeCodes = new Map();
+    for (var c = DISTANCE_MAP.length / 2 - 1; c >= 0; c--) {
+      var d = DISTANCE_MAP[2 * c] + DISTANCE_MAP[2 * c + 1] * xsize;
+      planeCodes.set(d < 1 ? 1 : d, c + 1); // Lowest code wins
+    }
+
+    var cache = cacheBits ? new Uint32Array(1 << cacheBits) : null;
+    var shift = 32 - cacheBits;
+    var histograms = [
+      new Uint32Array(256 + NUM_LENGTH_CODES + (cacheBits ? 1 << cacheBits : 0)),
+      new Uint32Array(256), new Uint32Array(256), new Uint32Array(256),
+      new Uint32Array(NUM_DISTANCE_CODES)
+    ];
+    var symbols = [];  // [green symbol, red, blue, alpha] or [length code, extra bits, extra, distance code, extra bits, extra]
+    var extraBits = 0;
+    var pos = 0;
+
+    for (var i = 0; i < refs.count; i++) {
+      var len = refs.lengths[i];
+      if (len === 0) {
+        var argb = pixels[pos];
+        if (cache) {
+          var key = Math.imul(argb, 0x1E35A7BD) >>> shift;
+          if (cache[key] === argb) {
+            symbols.push([256 + NUM_LENGTH_CODES + key]);
+            histograms[0][256 + NUM_LENGTH_CODES + key]++;
+            pos++;
+            continue;
+          }
+          cache[key] = argb;
+        }
+        var g = (argb >> 8) & 0xFF, r = (argb >> 16) & 0xFF, b = argb & 0xFF, a = argb >>> 24;
+        symbols.push([g, r, b, a]);
+        histograms[0][g]++;
+        histograms[1][r]++;
+        histograms[2][b]++;
+        histograms[3][a]++;
+        pos++;
+      } else {
+        var dist = refs.distances[i];
+        var lp = this.prefixEncode(len);
+        var dp = this.prefixEncode(planeCodes.get(dist) || dist + 120);
+        symbols.push([256 + lp.code, lp.bits, lp.extra, dp.code, dp.bits, dp.extra]);
+        histograms[0][256 + lp.code]++;
+        histograms[4][dp.code]++;
+        extraBits += lp.bits + dp.bits;
+        if (cache) {
+          for (var j = 0; j < len; j++) {
+            var p = pixels[pos + j];
+            cache[Math.imul(p, 0x1E35A7BD) >>> shift] = p;
+          }
+        }
+        pos += len;
+      }
+    }
+
+    var lengths = histograms.map(function(hist) { return huffman.huffmanLengths(hist, 15); });
+    var bits = extraBits;
+    for (var k = 0; k < 5; k++) bits += huffman.codedBits(histograms[k], lengths[k]);
+    return { symbols: symbols, lengths: lengths, bits: bits };
+  };
+
+  /**
+   * Write an entropy-coded image: color cache info, (for the main image)
+   * the meta prefix code flag, five prefix codes and the coded pixels.
+   * The main image is tried with and without a color cache.
+   */
+  this.writeImageData = function(pixels, xsize, isMain) {
+    var refs = this.backwardRefs(pixels, xsize);
+    var cacheBits = 0;
+    var coded = this.buildSymbols(pixels, refs, xsize, 0);
+    if (isMain) {
+      var cached = this.buildSymbols(pixels, refs, xsize, CACHE_BITS);
+      if (cached.bits < coded.bits) {
+        coded = cached;
+        cacheBits = CACHE_BITS;
+      }
+    }
+
+    this.writeBits(cacheBits ? 1 : 0, 1);
+    if (cacheBits) this.writeBits(cacheBits, 4);
+    if (isMain) this.writeBits(0, 1); // One set of prefix codes for the whole image
+
+    var codes = [];
+    for (var k = 0; k < 5; k++) codes.push(this.writePrefixCode(coded.lengths[k]));
+
+    var symbols = coded.symbols;
+    for (var i = 0; i < symbols.length; i++) {
+      var s = symbols[i];
+      this.writeBits(codes[0].codes[s[0]], codes[0].depths[s[0]]);
+      if (s.length === 4) {
+        for (k = 1; k < 4; k++) this.writeBits(codes[k].codes[s[k]], codes[k].depths[s[k]]);
+      } else if (s.length === 6) {
+        if (s[1]) this.writeBits(s[2], s[1]);
+        this.writeBits(codes[4].codes[s[3]], codes[4].depths[s[3]]);
+        if (s[4]) this.writeBits(s[5], s[4]);
+      }
+    }
+  };
+
+  /**
+   * Write one prefix code and return the codes and bit depths used to
+   * write symbols with it. A code with a single symbol takes zero bits.
+   */
+  this.writePrefixCode = function(lengths) {
+    var used = [];
+    for (var i = 0; i < lengths.length && used.length < 3; i++) if (lengths[i]) used.push(i);
+
+    if (used.length <= 2 && (used.length === 0 || used[used.length - 1] < 256)) {
+      // Simple code: one or two 8-bit symbols
+      if (used.length === 0) used.push(0);
+      this.writeBits(1, 1);
+      this.writeBits(used.length - 1, 1);
+      if (used[0] < 2) {
+        this.writeBits(0, 1);
+        this.writeBits(used[0], 1);
+      } else {
+        this.writeBits(1, 1);
+        this.writeBits(used[0], 8);
+      }
+      if (used.length === 2) this.writeBits(used[1], 8);
+    } else {
+      this.writeBits(0, 1);
+      this.writeCodeLengths(lengths);
+    }
+
+    return this.symbolCodes(lengths);
+  };
+
+  this.symbolCodes = function(lengths) {
+    var depths = new Uint8Array(lengths);
+    var nonZero = 0;
+    for (var i = 0; i < depths.length; i++) if (depths[i]) nonZero++;
+    if (nonZero <= 1) depths.fill(0);
+    return { codes: huffman.canonicalCodes(lengths), depths: depths };
+  };
+
+  /**
+   * Normal prefix code: code lengths run-length coded with the
+   * code-length alphabet (16 = repeat previous non-zero, 17/18 = zeros)
+   */
+  this.writeCodeLengths = function(lengths) {
+    var tokens = [];  // [symbol, extra]
+    for (var i = 0; i < lengths.length; ) {
+      var len = lengths[i];
+      var run = 1;
+      while (i + run < lengths.length && lengths[i + run] === len) run++;
+      i += run;
+      if (len === 0) {
+        while (run >= 11) {
+          var r = Math.min(run, 138);
+          tokens.push([18, r - 11]);
+          run -= r;
+        }
+        if (run >= 3) {
+          tokens.push([17, run - 3]);
+          run = 0;
+        }
+      } else {
+        tokens.push([len, 0]);
+        run--;
+        while (run >= 3) {
+          var rr = Math.min(run, 6);
+          tokens.push([16, rr - 3]);
+          run -= rr;
+        }
+      }
+      while (run-- > 0) tokens.push([len, 0]);
+    }
+
+    var freq = new Uint32Array(19);
+    for (i = 0; i < tokens.length; i++) freq[tokens[i][0]]++;
+    var clLengths = huffman.huffmanLengths(freq, 7);
+    var count = 19;
+    while (count > 4 && clLengths[CODE_LENGTH_ORDER[count - 1]] === 0) count--;
+
+    this.writeBits(count - 4, 4);
+    for (i = 0; i < count; i++) this.writeBits(clLengths[CODE_LENGTH_ORDER[i]], 3);
+    this.writeBits(0, 1); // Code lengths cover the whole alphabet
+
+    var cl = this.symbolCodes(clLengths);
+    for (i = 0; i < tokens.length; i++) {
+      var sym = tokens[i][0];
+      this.writeBits(cl.codes[sym], cl.depths[sym]);
+      if (sym === 16) this.writeBits(tokens[i][1], 2);
+      else if (sym === 17) this.writeBits(tokens[i][1], 3);
+      else if (sym === 18) this.writeBits(tokens[i][1], 7);
+    }
+  };
+
+  /**
+   * RIFF chunk: FourCC, little-endian size, data, pad byte to even length
+   */
+  this.chunk = function(type, data) {
+    var out = new Uint8Array(8 + data.length + (data.length & 1));
+    for (var i = 0; i < 4; i++) out[i] = type.charCodeAt(i);
+    new DataView(out.buffer).setUint32(4, data.length, true);
+    out.set(data, 8);
+    return out;
+  };
+
+  this.uint24 = function(out, offset, value) {
+    out[offset] = value & 0xFF;
+    out[offset + 1] = (value >> 8) & 0xFF;
+    out[offset + 2] = (value >> 16) & 0xFF;
+  };
+
+  this.finish = function() {
+    var vp8x = new Uint8Array(10);
+    vp8x[0] = 0x02 | (this.hasAlpha ? 0x10 : 0); // Animation, alpha
+    this.uint24(vp8x, 4, width - 1);
+    this.uint24(vp8x, 7, height - 1);
+
+    var anim = new Uint8Array(6); // Background color 0 (transparent)
+    var plays = this.loop === -1 ? 1 : this.loop === 0 ? 0 : this.loop + 1;
+    anim[4] = plays & 0xFF;
+    anim[5] = (plays >> 8) & 0xFF;
+
+    var parts = [this.chunk('VP8X', vp8x), this.chunk('ANIM', anim)];
+    for (var i = 0; i < this.frames.length; i++) {
+      var frame = this.frames[i];
+      var image = this.chunk('VP8L', frame.data);
+      var anmf = new Uint8Array(16 + image.length);
+      this.uint24(anmf, 0, frame.rect.x / 2);
+      this.uint24(anmf, 3, frame.rect.y / 2);
+      this.uint24(anmf, 6, frame.rect.width - 1);
+      this.uint24(anmf, 9, frame.rect.height - 1);
+      this.uint24(anmf, 12, frame.delay);
+      anmf[15] = 0x02; // Do not blend, do not dispose
+      anmf.set(image, 16);
+      parts.push(this.chunk('ANMF', anmf));
+    }
+
+    var size = 4;
+    for (i = 0; i < parts.length; i++) size += parts[i].length;
+    var header = new Uint8Array(12);
+    header.set([0x52, 0x49, 0x46, 0x46], 0); // RIFF
+    new DataView(header.buffer).setUint32(4, size, true);
+    header.set([0x57, 0x45, 0x42, 0x50], 8); // WEBP
+    return new Blob([header].concat(parts), {type: 'image/webp'});
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WebPEncoder;
+}
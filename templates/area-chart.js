@@ -2,8 +2,13 @@
  * Area Chart Template
  * Single series line chart with filled area beneath
  * Best for: Trends over time, volume data, stock prices
+ * Points with a time (dated labels, see DataParser) sit on a time axis.
  */
 
+if (typeof TimeScale === 'undefined' && typeof require !== 'undefined') {
+  var TimeScale = require('../core/time-scale.js');
+}
+
 var AreaChartTemplate = {
   render: function(ctx, config, progress) {
     var data = config.data; // [{label: 'Jan', value: 100}, ...]
@@ -66,12 +71,15 @@ var AreaChartTemplate = {
     }
     ctx.setLineDash([]);
 
+    var timeScale = typeof TimeScale !== 'undefined' ?
+      TimeScale.forChart(data.map(function(d) { return d.time; }), options) : null;
+
     // Calculate points
     var points = [];
     var stepX = plotArea.width / (data.length - 1);
 
     data.forEach(function(item, i) {
-      var x = plotArea.x + i * stepX;
+      var x = timeScale ? plotArea.x + timeScale.position(item.time) * plotArea.width : plotArea.x + i * stepX;
       var normalizedValue = (item.value - minValue) / valueRange;
       var y = plotArea.y + plotArea.height - (normalizedValue * plotArea.height * eased);
       points.push({ x: x, y: y, label: item.label, value: item.value });
@@ -129,12 +137,16 @@ var AreaChartTemplate = {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
 
-    var labelInterval = Math.ceil(data.length / 10);
-    points.forEach(function(pt, i) {
-      if (i % labelInterval === 0 || i === points.length - 1) {
-        ctx.fillText(pt.label, pt.x, plotArea.y + plotArea.height + 8);
-      }
-    });
+    if (timeScale) {
+      timeScale.drawTicks(ctx, plotArea, 8);
+    } else {
+      var labelInterval = Math.ceil(data.length / 10);
+      points.forEach(function(pt, i) {
+        if (i % labelInterval === 0 || i === points.length - 1) {
+          ctx.fillText(pt.label, pt.x, plotArea.y + plotArea.height + 8);
+        }
+      });
+    }
 
     // Axes
     ctx.strokeStyle = style.textMuted;
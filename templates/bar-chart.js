@@ -3,6 +3,10 @@
  * Bars grow from 0 to final value with smooth animation
  */
 
+if (typeof GeneratorAdapter === 'undefined' && typeof require !== 'undefined') {
+  var GeneratorAdapter = require('../core/generator-adapter.js');
+}
+
 class BarChartTemplate {
   constructor(generator, style, animationEngine) {
     this.generator = generator;
@@ -11,6 +15,15 @@ class BarChartTemplate {
     this.ctx = generator.getContext();
   }
 
+  /**
+   * Draw one frame at a progress (0-1), like the render(ctx, config,
+   * progress) templates (see GeneratorAdapter)
+   */
+  static render(ctx, config, progress) {
+    const method = config.options.orientation === 'horizontal' ? 'generateHorizontal' : 'generateVertical';
+    GeneratorAdapter.render(BarChartTemplate, method, ctx, config, progress);
+  }
+
   /**
    * Generate horizontal bar chart animation
    * @param {Array} data - Array of {label, value}
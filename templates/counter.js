@@ -3,6 +3,10 @@
  * Animated number counting up to a final value
  */
 
+if (typeof GeneratorAdapter === 'undefined' && typeof require !== 'undefined') {
+  var GeneratorAdapter = require('../core/generator-adapter.js');
+}
+
 class CounterTemplate {
   constructor(generator, style, animationEngine) {
     this.generator = generator;
@@ -11,6 +15,14 @@ class CounterTemplate {
     this.ctx = generator.getContext();
   }
 
+  /**
+   * Draw one frame at a progress (0-1), like the render(ctx, config,
+   * progress) templates (see GeneratorAdapter)
+   */
+  static render(ctx, config, progress) {
+    GeneratorAdapter.render(CounterTemplate, 'generate', ctx, config, progress);
+  }
+
   /**
    * Generate counter animation
    * @param {Object} data - Counter data {value, label, prefix, suffix}
@@ -1,8 +1,13 @@
 /**
  * Line Chart Template
- * Animated line that draws from left to right with points appearing
+ * Animated line that draws from left to right with points appearing.
+ * Points with a time (dated labels, see DataParser) sit on a time axis.
  */
 
+if (typeof TimeScale === 'undefined' && typeof require !== 'undefined') {
+  var TimeScale = require('../core/time-scale.js');
+}
+
 var LineChartTemplate = {
 
   /**
@@ -28,9 +33,13 @@ var LineChartTemplate = {
     var minValue = 0;
     var maxValue = Math.ceil(Math.max.apply(null, values) * 1.15);
 
+    var timeScale = typeof TimeScale !== 'undefined' ?
+      TimeScale.forChart(data.map(function(d) { return d.time; }), options) : null;
+
     // Scale functions
     function scaleX(index) {
-      return area.x + (index / (data.length - 1)) * area.width;
+      var position = timeScale ? timeScale.position(data[index].time) : index / (data.length - 1);
+      return area.x + position * area.width;
     }
     function scaleY(value) {
       return area.y + area.height - ((value - minValue) / (maxValue - minValue)) * area.height;
@@ -91,9 +100,13 @@ var LineChartTemplate = {
     ctx.fillStyle = style.textMuted;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
-    data.forEach(function(d, i) {
-      ctx.fillText(d.label, scaleX(i), area.y + area.height + 12);
-    });
+    if (timeScale) {
+      timeScale.drawTicks(ctx, area, 12);
+    } else {
+      data.forEach(function(d, i) {
+        ctx.fillText(d.label, scaleX(i), area.y + area.height + 12);
+      });
+    }
 
     // Axes
     ctx.strokeStyle = style.textMuted;
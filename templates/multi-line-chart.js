@@ -2,8 +2,13 @@
  * Multi-Line Chart Template
  * Multiple data series plotted as lines for comparison
  * Best for: Comparing trends, performance metrics, stock comparisons
+ * With data.times (dated labels, see DataParser) points sit on a time axis.
  */
 
+if (typeof TimeScale === 'undefined' && typeof require !== 'undefined') {
+  var TimeScale = require('../core/time-scale.js');
+}
+
 var MultiLineChartTemplate = {
   render: function(ctx, config, progress) {
     var data = config.data; // {labels: ['Jan','Feb'...], series: [{name: 'A', values: [1,2,3], color: '#FF0000'}]}
@@ -75,7 +80,11 @@ var MultiLineChartTemplate = {
     }
     ctx.setLineDash([]);
 
+    var timeScale = typeof TimeScale !== 'undefined' ? TimeScale.forChart(data.times, options) : null;
     var stepX = plotArea.width / (labels.length - 1);
+    function scaleX(index) {
+      return timeScale ? plotArea.x + timeScale.position(data.times[index]) * plotArea.width : plotArea.x + index * stepX;
+    }
 
     // Draw each series
     series.forEach(function(s, seriesIndex) {
@@ -87,7 +96,7 @@ var MultiLineChartTemplate = {
 
       // Calculate points
       s.values.forEach(function(val, i) {
-        var x = plotArea.x + i * stepX;
+        var x = scaleX(i);
         var normalizedValue = (val - minValue) / valueRange;
         var y = plotArea.y + plotArea.height - (normalizedValue * plotArea.height);
         points.push({ x: x, y: y });
@@ -126,13 +135,16 @@ var MultiLineChartTemplate = {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
 
-    var labelInterval = Math.ceil(labels.length / 8);
-    labels.forEach(function(label, i) {
-      if (i % labelInterval === 0 || i === labels.length - 1) {
-        var x = plotArea.x + i * stepX;
-        ctx.fillText(label, x, plotArea.y + plotArea.height + 8);
-      }
-    });
+    if (timeScale) {
+      timeScale.drawTicks(ctx, plotArea, 8);
+    } else {
+      var labelInterval = Math.ceil(labels.length / 8);
+      labels.forEach(function(label, i) {
+        if (i % labelInterval === 0 || i === labels.length - 1) {
+          ctx.fillText(label, scaleX(i), plotArea.y + plotArea.height + 8);
+        }
+      });
+    }
 
     // Axes
     ctx.strokeStyle = style.textMuted;
@@ -3,6 +3,10 @@
  * Segments draw in sequentially with smooth animation
  */
 
+if (typeof GeneratorAdapter === 'undefined' && typeof require !== 'undefined') {
+  var GeneratorAdapter = require('../core/generator-adapter.js');
+}
+
 class PieChartTemplate {
   constructor(generator, style, animationEngine) {
     this.generator = generator;
@@ -11,6 +15,14 @@ class PieChartTemplate {
     this.ctx = generator.getContext();
   }
 
+  /**
+   * Draw one frame at a progress (0-1), like the render(ctx, config,
+   * progress) templates (see GeneratorAdapter)
+   */
+  static render(ctx, config, progress) {
+    GeneratorAdapter.render(PieChartTemplate, 'generate', ctx, config, progress);
+  }
+
   /**
    * Generate pie chart animation
    * @param {Array} data - Array of {label, value}
@@ -3,6 +3,10 @@
  * Progress bars fill from left to right with percentages
  */
 
+if (typeof GeneratorAdapter === 'undefined' && typeof require !== 'undefined') {
+  var GeneratorAdapter = require('../core/generator-adapter.js');
+}
+
 class ProgressBarTemplate {
   constructor(generator, style, animationEngine) {
     this.generator = generator;
@@ -11,6 +15,15 @@ class ProgressBarTemplate {
     this.ctx = generator.getContext();
   }
 
+  /**
+   * Draw one frame at a progress (0-1), like the render(ctx, config,
+   * progress) templates (see GeneratorAdapter)
+   */
+  static render(ctx, config, progress) {
+    const method = config.options.circular ? 'generateCircular' : 'generate';
+    GeneratorAdapter.render(ProgressBarTemplate, method, ctx, config, progress);
+  }
+
   /**
    * Generate progress bar animation
    * @param {Array} items - Array of {label, value, unit}
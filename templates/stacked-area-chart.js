@@ -2,8 +2,13 @@
  * Stacked Area Chart Template
  * Shows composition changes over time with areas stacked to 100%
  * Best for: Energy mix over time, market share trends, budget allocation history
+ * Periods with a time (dated labels, see DataParser) sit on a time axis.
  */
 
+if (typeof TimeScale === 'undefined' && typeof require !== 'undefined') {
+  var TimeScale = require('../core/time-scale.js');
+}
+
 var StackedAreaChartTemplate = {
   render: function(ctx, config, progress) {
     var data = config.data; // [{period: '2020', values: {Solar: 10, Wind: 15, Coal: 50, Nuclear: 25}}]
@@ -80,9 +85,18 @@ var StackedAreaChartTemplate = {
     }
     ctx.setLineDash([]);
 
-    // Scale functions
+    var timeScale = typeof TimeScale !== 'undefined' ?
+      TimeScale.forChart(data.map(function(d) { return d.time; }), options) : null;
+    function positionAt(index) {
+      return timeScale ? timeScale.position(data[index].time) : index / (data.length - 1);
+    }
+
+    // Scale functions (index may be fractional mid-animation)
     function scaleX(index) {
-      return plotArea.x + (index / (data.length - 1)) * plotArea.width;
+      var i = Math.min(Math.floor(index), data.length - 1);
+      var next = Math.min(i + 1, data.length - 1);
+      var position = positionAt(i) + (positionAt(next) - positionAt(i)) * (index - i);
+      return plotArea.x + position * plotArea.width;
     }
     function scaleY(percent) {
       return plotArea.y + plotArea.height - (percent / 100) * plotArea.height;
@@ -152,12 +166,16 @@ var StackedAreaChartTemplate = {
     ctx.fillStyle = style.textMuted;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
-    var labelInterval = Math.ceil(data.length / 8);
-    data.forEach(function(d, i) {
-      if (i % labelInterval === 0 || i === data.length - 1) {
-        ctx.fillText(d.period, scaleX(i), plotArea.y + plotArea.height + 8);
-      }
-    });
+    if (timeScale) {
+      timeScale.drawTicks(ctx, plotArea, 8);
+    } else {
+      var labelInterval = Math.ceil(data.length / 8);
+      data.forEach(function(d, i) {
+        if (i % labelInterval === 0 || i === data.length - 1) {
+          ctx.fillText(d.period, scaleX(i), plotArea.y + plotArea.height + 8);
+        }
+      });
+    }
 
     // Legend
     var legendY = height * 0.88;
@@ -3,6 +3,10 @@
  * Events appear sequentially along a timeline
  */
 
+if (typeof GeneratorAdapter === 'undefined' && typeof require !== 'undefined') {
+  var GeneratorAdapter = require('../core/generator-adapter.js');
+}
+
 class TimelineTemplate {
   constructor(generator, style, animationEngine) {
     this.generator = generator;
@@ -11,6 +15,15 @@ class TimelineTemplate {
     this.ctx = generator.getContext();
   }
 
+  /**
+   * Draw one frame at a progress (0-1), like the render(ctx, config,
+   * progress) templates (see GeneratorAdapter)
+   */
+  static render(ctx, config, progress) {
+    const method = config.options.orientation === 'horizontal' ? 'generateHorizontal' : 'generateVertical';
+    GeneratorAdapter.render(TimelineTemplate, method, ctx, config, progress);
+  }
+
   /**
    * Generate vertical timeline animation
    * @param {Array} events - Array of {date, title, description}